@@ -787,13 +787,15 @@ function injectCSS(css) {
             injectCssFunc,
             hljsCode,
             localImportCode,
+            'if (typeof document !== "undefined") {',
+            '  injectCSS(STYLES_CSS);',
+            '}',
             indexJsContent
                 .replace(/import\s+.*?from\s+['"].*?['"];?/g, '')
                 .replace(/import\s+['"].*?['"];?/g, ''),
             'global.HighlightIt = HighlightIt;',
             'if (typeof window !== "undefined") {',
             '  window.HighlightIt = HighlightIt;',
-            '  injectCSS(STYLES_CSS);',
             '}',
             '})(typeof window !== "undefined" ? window : this);',
         ].join('\n\n');
@@ -803,13 +805,15 @@ function injectCSS(css) {
             ...cssVariables,
             injectCssFunc,
             localImportCode,
+            'if (typeof document !== "undefined") {',
+            '  injectCSS(STYLES_CSS);',
+            '}',
             indexJsContent
                 .replace(/import\s+.*?from\s+['"].*?['"];?/g, '')
                 .replace(/import\s+['"].*?['"];?/g, ''),
             'global.HighlightIt = HighlightIt;',
             'if (typeof window !== "undefined") {',
             '  window.HighlightIt = HighlightIt;',
-            '  injectCSS(STYLES_CSS);',
             '}',
             '})(typeof window !== "undefined" ? window : this);',
         ].join('\n\n');
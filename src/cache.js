@@ -67,7 +67,6 @@ const cache = {
         ['ini', 'ini'],
         ['hcl', 'hcl'],
         ['tf', 'terraform'],
-        ['dockerfile', 'dockerfile'],
         ['vue', 'vue'],
         ['elm', 'elm'],
         ['clj', 'clojure'],
@@ -85,6 +84,77 @@ const cache = {
         ['gql', 'graphql'],
         ['proto', 'protobuf'],
         ['sol', 'solidity'],
+        ['cmake', 'cmake'],
+        ['ps1', 'powershell'],
+        ['vim', 'vim'],
+        ['txt', 'plaintext'],
+    ]),
+    filenameMap: new Map([
+        ['Dockerfile', 'dockerfile'],
+        ['Containerfile', 'dockerfile'],
+        ['Makefile', 'makefile'],
+        ['GNUmakefile', 'makefile'],
+        ['CMakeLists.txt', 'cmake'],
+        ['nginx.conf', 'nginx'],
+        ['.htaccess', 'apache'],
+        ['httpd.conf', 'apache'],
+        ['Gemfile', 'ruby'],
+        ['Rakefile', 'ruby'],
+        ['Vagrantfile', 'ruby'],
+        ['Jenkinsfile', 'groovy'],
+        ['.bashrc', 'bash'],
+        ['.bash_profile', 'bash'],
+        ['.zshrc', 'bash'],
+        ['.profile', 'bash'],
+        ['.env', 'bash'],
+        ['.gitignore', 'plaintext'],
+        ['.dockerignore', 'plaintext'],
+        ['.gitconfig', 'ini'],
+        ['.editorconfig', 'ini'],
+        ['.vimrc', 'vim'],
+    ]),
+    filenameGlobs: [
+        ['Dockerfile.*', 'dockerfile'],
+        ['*.dockerfile', 'dockerfile'],
+        ['Makefile.*', 'makefile'],
+        ['*.mk', 'makefile'],
+        ['nginx*.conf', 'nginx'],
+        ['*.nginx', 'nginx'],
+        ['.env.*', 'bash'],
+        ['*.env', 'bash'],
+        ['*.bashrc', 'bash'],
+        ['*.gitignore', 'plaintext'],
+    ],
+    interpreterMap: new Map([
+        ['sh', 'bash'],
+        ['bash', 'bash'],
+        ['zsh', 'bash'],
+        ['ksh', 'bash'],
+        ['dash', 'bash'],
+        ['python', 'python'],
+        ['node', 'javascript'],
+        ['nodejs', 'javascript'],
+        ['deno', 'typescript'],
+        ['ts-node', 'typescript'],
+        ['ruby', 'ruby'],
+        ['perl', 'perl'],
+        ['php', 'php'],
+        ['lua', 'lua'],
+        ['rscript', 'r'],
+        ['pwsh', 'powershell'],
+        ['awk', 'awk'],
+        ['make', 'makefile'],
+    ]),
+    languageLabels: new Map(),
+    indentFoldingLanguages: new Set([
+        'python',
+        'py',
+        'gyp',
+        'yaml',
+        'yml',
+        'coffeescript',
+        'coffee',
+        'cson',
     ]),
     htmlEscapes: new Map([
         ['&', '&amp;'],
@@ -96,12 +166,66 @@ const cache = {
         ['`', '&#x60;'],
         ['=', '&#x3D;'],
     ]),
+    codeGroupStorageKey: 'highlightit-group-tab',
+    elementAttributes: [
+        'language',
+        'filename',
+        'theme',
+        'with-lines',
+        'line-start',
+        'with-share',
+        'with-download',
+        'no-header',
+        'no-copy',
+        'highlight-lines',
+        'focus-lines',
+        'diff',
+        'wrap',
+        'max-lines',
+        'with-folding',
+        'with-search',
+        'annotations',
+        'annotations-margin',
+    ],
+    optionAttributes: new Map([
+        ['language', 'language'],
+        ['filename', 'filename'],
+        ['theme', 'theme'],
+        ['addLines', 'withLines'],
+        ['lineStart', 'lineStart'],
+        ['withReload', 'withReload'],
+        ['addShare', 'withShare'],
+        ['addDownload', 'withDownload'],
+        ['addSearch', 'withSearch'],
+        ['addHeader', 'noHeader'],
+        ['addCopyButton', 'noCopy'],
+        ['highlightLines', 'highlightLines'],
+        ['focusLines', 'focusLines'],
+        ['diff', 'diff'],
+        ['wrap', 'wrap'],
+        ['maxLines', 'maxLines'],
+        ['withFolding', 'withFolding'],
+        ['annotations', 'annotations'],
+        ['annotationsMargin', 'annotationsMargin'],
+    ]),
+    negatedOptions: new Set(['addHeader', 'addCopyButton']),
+    buttonLabels: new Map([
+        ['search', 'Find in code'],
+        ['wrap', 'Toggle line wrapping'],
+        ['copy', 'Copy code'],
+        ['download', 'Download code'],
+        ['share', 'Copy link to this code'],
+    ]),
     svgIcons: {
         copy: `<svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" class="highlightit-copy-icon"><rect x="9" y="9" width="13" height="13" rx="2" ry="2"></rect><path d="M5 15H4a2 2 0 0 1-2-2V4a2 2 0 0 1 2-2h9a2 2 0 0 1 2 2v1"></path></svg>`,
         check: `<svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" class="highlightit-check-icon"><polyline points="20 6 9 17 4 12"></polyline></svg>`,
         share: `<svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" class="highlightit-share-icon"><circle cx="18" cy="5" r="3"></circle><circle cx="6" cy="12" r="3"></circle><circle cx="18" cy="19" r="3"></circle><line x1="8.59" y1="13.51" x2="15.42" y2="17.49"></line><line x1="15.41" y1="6.51" x2="8.59" y2="10.49"></line></svg>`,
         link: `<svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" class="highlightit-link-icon"><path d="M10 13a5 5 0 0 0 7.54.54l3-3a5 5 0 0 0-7.07-7.07l-1.72 1.71"></path><path d="M14 11a5 5 0 0 0-7.54-.54l-3 3a5 5 0 0 0 7.07 7.07l1.71-1.71"></path></svg>`,
         download: `<svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" class="highlightit-download-icon"><path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4"></path><polyline points="7 10 12 15 17 10"></polyline><line x1="12" y1="15" x2="12" y2="3"></line></svg>`,
+        wrap: `<svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" class="highlightit-wrap-icon"><line x1="3" y1="6" x2="21" y2="6"></line><path d="M3 12h15a3 3 0 1 1 0 6h-4"></path><polyline points="16 16 14 18 16 20"></polyline><line x1="3" y1="18" x2="10" y2="18"></line></svg>`,
+        chevron: `<svg xmlns="http://www.w3.org/2000/svg" width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" class="highlightit-chevron-icon"><polyline points="6 9 12 15 18 9"></polyline></svg>`,
+        search: `<svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" class="highlightit-search-icon"><circle cx="11" cy="11" r="8"></circle><line x1="21" y1="21" x2="16.65" y2="16.65"></line></svg>`,
+        close: `<svg xmlns="http://www.w3.org/2000/svg" width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" class="highlightit-close-icon"><line x1="18" y1="6" x2="6" y2="18"></line><line x1="6" y1="6" x2="18" y2="18"></line></svg>`,
     },
 };
 
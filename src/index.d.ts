@@ -13,6 +13,12 @@ export interface HighlightItOptions {
 	 */
 	selector?: string
 
+	/**
+	 * CSS selector for inline code spans to highlight without header, container or buttons
+	 * @default '.highlight-it-inline'
+	 */
+	inlineSelector?: string
+
 	/**
 	 * Whether to auto-detect language if not specified
 	 * @default true
@@ -55,6 +61,18 @@ export interface HighlightItOptions {
 	 */
 	addDownload?: boolean
 
+	/**
+	 * Whether to add a soft-wrap toggle button to code blocks
+	 * @default false
+	 */
+	addWrap?: boolean
+
+	/**
+	 * Whether to add a find button to code blocks
+	 * @default false
+	 */
+	addSearch?: boolean
+
 	/**
 	 * Theme to use ('light', 'dark', or 'auto')
 	 * @default 'auto'
@@ -66,6 +84,36 @@ export interface HighlightItOptions {
 	 * @default 50
 	 */
 	debounceTime?: number
+
+	/**
+	 * Whether to highlight blocks only when they come near the viewport.
+	 * Blocks are still highlighted at once when a link targets them or before printing.
+	 * @default false
+	 */
+	lazy?: boolean
+
+	/**
+	 * How far outside the viewport lazy blocks are highlighted (an IntersectionObserver rootMargin)
+	 * @default '200px'
+	 */
+	lazyRootMargin?: string
+
+	/**
+	 * Highlight blocks with at least this many lines in a Web Worker (0 disables the worker)
+	 * @default 1000
+	 */
+	workerThreshold?: number
+
+	/**
+	 * URL of the highlight-it build to load in the worker
+	 * (default is the script the library was loaded from)
+	 */
+	workerScriptUrl?: string | null
+
+	/**
+	 * URL of highlight.js to load in the worker (needed with the slim build)
+	 */
+	workerHljsUrl?: string | null
 }
 
 /**
@@ -120,6 +168,48 @@ export interface HighlightElementOptions {
 	 */
 	addDownload?: boolean
 
+	/**
+	 * Whether to add a soft-wrap toggle button
+	 * @default false
+	 */
+	addWrap?: boolean
+
+	/**
+	 * Whether to add a find button
+	 * @default false
+	 */
+	addSearch?: boolean
+
+	/**
+	 * Whether to soft-wrap long lines initially (also adds the toggle button)
+	 * @default false
+	 */
+	wrap?: boolean
+
+	/**
+	 * Collapse the block behind a "Show all N lines" button when it is longer than this
+	 */
+	maxLines?: number
+
+	/**
+	 * Whether readers can fold brace and indentation regions from the line number gutter
+	 * (also adds line numbers)
+	 * @default false
+	 */
+	withFolding?: boolean
+
+	/**
+	 * Notes attached to lines, shown as gutter markers with popovers (also adds line numbers).
+	 * Lines use the displayed line numbers, so they follow lineStart.
+	 */
+	annotations?: LineAnnotation[]
+
+	/**
+	 * Whether to also show the annotations in a side margin on wide screens
+	 * @default false
+	 */
+	annotationsMargin?: boolean
+
 	/**
 	 * Filename to use for the download button and language detection
 	 */
@@ -140,259 +230,1744 @@ export interface HighlightElementOptions {
 	 * @default 1
 	 */
 	lineStart?: number
+
+	/**
+	 * Lines to keep emphasized, e.g. '3,5-7' (uses the displayed line numbers)
+	 */
+	highlightLines?: string
+
+	/**
+	 * Lines to keep in focus while every other line is dimmed, e.g. '3,5-7'
+	 */
+	focusLines?: string
+
+	/**
+	 * Whether to render the code as a unified diff ('+', '-' and ' ' prefixed lines)
+	 * while highlighting the underlying language
+	 * @default false
+	 */
+	diff?: boolean
 }
 
 /**
- * HighlightIt class for syntax highlighting
+ * Options for rendering a code block to an HTML string
  */
-declare class HighlightIt {
+export interface RenderToStringOptions extends HighlightElementOptions {
 	/**
-	 * Whether the instance has been initialized
-	 * @internal
+	 * The id of the block, used for share links (default is a hash of the code)
 	 */
-	private static _initialized: boolean
+	id?: string
+}
 
+/**
+ * Highlighted HTML and the language it was highlighted in
+ */
+export interface HighlightResult {
 	/**
-	 * Debounce time for live updates in milliseconds
-	 * @internal
+	 * The highlighted HTML
 	 */
-	private static debounceTime: number
+	value: string
 
 	/**
-	 * Whether the device is a touch device
-	 * @internal
+	 * The language of the code, if known
 	 */
-	private static isTouchDevice: boolean
+	language: string | null
+}
 
+/**
+ * Writes streamed code into a code block created by HighlightIt.stream()
+ */
+/**
+ * The handle of a code block, returned by HighlightIt.highlight() and HighlightIt.getBlock()
+ */
+export interface BlockHandle {
 	/**
-	 * Initialize HighlightIt by finding and highlighting all matching elements
-	 * @param options - Configuration options
+	 * The container of the code block; a new container after the block is rebuilt
 	 */
-	static init(options?: HighlightItOptions): void
+	readonly container: HTMLElement
 
 	/**
-	 * Highlight a new element that wasn't present when the library was initialized
-	 * @param element - The element to highlight
-	 * @param options - Configuration options
-	 * @returns The highlighted element container
+	 * Get the current code of the block
 	 */
-	static highlight(element: HTMLElement, options?: HighlightElementOptions): HTMLElement
+	getCode(): string
 
 	/**
-	 * Generate a hash using SHA-256 and convert to a 12-character base62 string
-	 * @param input - The string to hash
-	 * @returns A 12-character base62 hash
+	 * Replace the code of the block. Blocks with live updates rehighlight through their live
+	 * update observer, other blocks are rebuilt.
+	 * @param code - The new code
 	 */
-	static generateHash(input: string): Promise<string>
+	setCode(code: string): BlockHandle
 
 	/**
-	 * Create a share button for code blocks
-	 * @param code - The code to generate hash from if no id exists
-	 * @param container - The container element (to extract id)
-	 * @returns The share button element
-	 *
-	 * The ID priority is:
-	 * 1. data-original-id attribute on container
-	 * 2. Existing container.id
-	 * 3. Generated hash from code content
+	 * Rebuild the block in another language, or with auto-detection for null
+	 * @param language - The language
 	 */
-	static createShareButton(code: string, container: HTMLElement): Promise<HTMLElement>
+	setLanguage(language: string | null): BlockHandle
 
 	/**
-	 * Update block ID when code changes for blocks with live updates
-	 * @param container - The container element
-	 * @param newCode - The new code content
-	 * @returns The updated block ID
-	 *
-	 * The ID priority is:
-	 * 1. data-original-id attribute
-	 * 2. Existing container.id
-	 * 3. Generated hash from newCode
-	 *
-	 * Note: When using data-with-reload, the original ID is preserved
-	 * on the hidden element, and the visible element uses data-original-id
-	 * to reference it without duplicating the ID attribute.
+	 * Rebuild the block with changed options, e.g. { addLines: true }
+	 * @param options - The options to change
 	 */
-	static updateBlockId(container: HTMLElement, newCode: string): Promise<string>
+	setOptions(options: HighlightElementOptions): BlockHandle
 
 	/**
-	 * Scroll to the element specified in the URL hash
-	 * @param attempts - Number of attempts made so far
+	 * Rebuild the block with its current code and options
 	 */
-	static scrollToAnchor(attempts?: number): void
+	refresh(): BlockHandle
 
 	/**
-	 * Scroll to a highlighted element and optionally to a specific line
-	 * @param element - The element to scroll to
-	 * @param lineNumber - The line number to highlight, if any
-	 * @private
+	 * Tear down the block, see HighlightIt.destroy()
+	 * @returns The restored element, or null if the block was already destroyed
 	 */
-	private static scrollToHighlightedElement(element: HTMLElement, lineNumber: number | null): void
+	destroy(): HTMLElement | null
+}
 
+export interface StreamWriter {
 	/**
-	 * Create a full-width highlight that spans both line numbers and code
-	 * @param lineContainer - The line container element
-	 * @param codeContainer - The code container element
-	 * @private
+	 * The container of the code block
 	 */
-	private static createFullWidthHighlight(
-		lineContainer: HTMLElement,
-		codeContainer: HTMLElement
-	): void
+	container: HTMLElement
 
 	/**
-	 * Process an element for highlighting, handling both single and nested element structures
-	 * @param element - The element to process
-	 * @param autoDetect - Whether to auto-detect language
-	 * @param addCopyButton - Whether to add a copy button
-	 * @param showLanguage - Whether to show the language label
-	 * @param addHeader - Whether to add header section
-	 * @param addLines - Whether to add line numbers
-	 * @param addShare - Whether to add share button
-	 * @param addDownload - Whether to add download button
-	 * @private
+	 * Resolves with the container once the final code is rendered
 	 */
-	private static processElement(
-		element: HTMLElement,
-		autoDetect: boolean,
-		addCopyButton: boolean,
-		showLanguage: boolean,
-		addHeader: boolean,
-		addLines: boolean,
-		addShare: boolean,
-		addDownload: boolean
-	): void
+	ended: Promise<HTMLElement>
 
 	/**
-	 * Initialize sharing functionality
+	 * Append a chunk to the code
+	 * @param chunk - The chunk to append
 	 */
-	static initSharing(): void
+	append(chunk: string): void
 
 	/**
-	 * Apply global theme to the document root
-	 * @param theme - Theme to apply ('light', 'dark', or 'auto')
-	 * @private
+	 * Replace all code written so far
+	 * @param text - The new code
 	 */
-	private static applyGlobalTheme(theme: string): void
+	replace(text: string): void
 
 	/**
-	 * Highlight a single element
-	 * @param element - The code element to highlight
-	 * @param autoDetect - Whether to auto-detect language
-	 * @param addCopyButton - Whether to add a copy button
-	 * @param showLanguage - Whether to show the language label
-	 * @param addHeader - Whether to add header section
-	 * @param addLines - Whether to add line numbers
-	 * @param addShare - Whether to add share button
-	 * @param addDownload - Whether to add download button
-	 * @private
-	 *
-	 * The element can have various data attributes:
-	 * - data-language: The programming language for syntax highlighting
-	 * - data-filename: Filename to display (also used to detect language)
-	 * - data-theme: Override global theme for this element ('light', 'dark', 'auto')
-	 * - data-with-lines: Add line numbers to the code block
-	 * - data-line-start: Set the starting line number (default is 1, can be positive or negative)
-	 * - data-no-header: Hide the header (language label and copy button)
-	 * - data-no-copy: Hide the copy button
-	 * - data-with-reload: Enable live updates - code will be rehighlighted automatically when content changes
-	 * - data-with-share: Add a share button that copies the URL with the element ID as the fragment
-	 * - data-with-download: Add a download button that downloads the code as a file
-	 * - data-filename: Used for the download feature to set the filename for downloaded code
+	 * Finish the stream: render the final code and detect its language from the complete code
+	 * @param text - The complete code, if it should replace what was written
 	 */
-	private static highlightElement(
-		element: HTMLElement,
-		autoDetect: boolean,
-		addCopyButton: boolean,
-		showLanguage: boolean,
-		addHeader: boolean,
-		addLines: boolean,
-		addShare: boolean,
-		addDownload: boolean
-	): void
+	end(text?: string): void
+}
 
+/**
+ * Options for streaming Markdown with HighlightIt.streamMarkdown()
+ */
+export interface StreamMarkdownOptions extends HighlightElementOptions {
 	/**
-	 * Set up live updates to watch for changes to the code element
-	 * @param element - The code element to watch
-	 * @param container - The container element
-	 * @param autoDetect - Whether to auto-detect language
-	 * @param showLanguage - Whether to show the language label
-	 * @param withShare - Whether to update block ID for sharing
-	 * @private
+	 * Renders the Markdown of a text segment outside the code fences into its element;
+	 * called again with the whole segment whenever it grows (default shows it as plain text)
 	 */
-	private static setupLiveUpdates(
-		element: HTMLElement,
-		container: HTMLElement,
-		autoDetect: boolean,
-		showLanguage: boolean,
-		withShare: boolean
-	): void
+	renderText?: (text: string, element: HTMLElement) => void
+}
 
+/**
+ * Writes streamed Markdown into a container created by HighlightIt.streamMarkdown()
+ */
+export interface MarkdownStreamWriter {
 	/**
-	 * Intelligently update line numbers for live updates, preserving existing DOM elements
-	 * @param lineNumbersWrapper - The line numbers wrapper element
-	 * @param newLineCount - The new line count
-	 * @param oldLineCount - The old line count
-	 * @param startLine - The starting line number
-	 * @param withShare - Whether share buttons should be included
-	 * @param blockId - The block ID for share links
-	 * @param container - The container element
+	 * The element the text and code blocks are rendered into
 	 */
-	static updateLineNumbersForLiveUpdates(
-		lineNumbersWrapper: HTMLElement,
-		newLineCount: number,
-		oldLineCount: number,
-		startLine: number,
-		withShare: boolean,
-		blockId: string,
-		container: HTMLElement
-	): void
+	container: HTMLElement
 
 	/**
-	 * Create a styled container for code block
-	 * @param element - The code element to wrap
-	 * @returns The container element
-	 * @private
+	 * Resolves with the container once every code block is rendered
 	 */
-	private static createCodeContainer(element: HTMLElement): HTMLElement
+	ended: Promise<HTMLElement>
 
 	/**
-	 * Create code header with language/filename label and copy button
-	 * @param displayLabel - The text to display (language or filename)
-	 * @param code - The code to copy
-	 * @param addCopyButton - Whether to add a copy button
-	 * @param showLanguage - Whether to show the language label
-	 * @param addShareButton - Whether to add a share button
-	 * @param addDownloadButton - Whether to add a download button
-	 * @param container - The container element (for share button)
-	 * @returns The header element
-	 * @private
+	 * Append a chunk of Markdown
+	 * @param chunk - The chunk to append
 	 */
-	private static createCodeHeader(
-		displayLabel: string | null,
-		code: string,
-		addCopyButton: boolean,
-		showLanguage: boolean,
-		addShareButton: boolean,
-		addDownloadButton: boolean,
-		container: HTMLElement
-	): HTMLElement
+	append(chunk: string): void
 
 	/**
-	 * Create copy button element
-	 * @param code - The code to copy
-	 * @returns The copy button element
-	 * @private
+	 * Finish the stream and any code block whose closing fence never arrived
 	 */
-	private static createCopyButton(code: string): HTMLElement
+	end(): void
+}
 
+/**
+ * The context passed to plugin hooks
+ */
+export interface HookContext {
 	/**
-	 * Create download button element
-	 * @param code - The code to download
-	 * @param language - The language of the code (for filename extension)
-	 * @param container - The container element (for filename attribute)
-	 * @returns The download button element
-	 * @private
+	 * The code element, or null when rendering to a string
+	 */
+	element: HTMLElement | null
+
+	/**
+	 * The container of the code block, or null when rendering to a string
+	 */
+	container: HTMLElement | null
+
+	/**
+	 * The language of the code, if known
+	 */
+	language: string | null
+
+	/**
+	 * Whether the hook runs for a live update or a streamed block
+	 */
+	live: boolean
+}
+
+/**
+ * A plugin added with HighlightIt.use()
+ */
+export interface HighlightItPlugin {
+	/**
+	 * Called with the code before it is highlighted; return a string to replace it
+	 */
+	beforeHighlight?: (code: string, context: HookContext) => string | void
+
+	/**
+	 * Called with the highlighted HTML before it is rendered; return a string to replace it
+	 */
+	afterHighlight?: (html: string, context: HookContext) => string | void
+
+	/**
+	 * Called once a block is highlighted
+	 */
+	afterRender?: (container: HTMLElement, context: HookContext) => void
+
+	/**
+	 * Called after a live-updated or streamed block is rehighlighted
+	 */
+	onLiveUpdate?: (container: HTMLElement, context: HookContext) => void
+}
+
+/**
+ * Which built-in buttons are enabled for a code block
+ */
+export interface ButtonFeatures {
+	copy: boolean
+	share: boolean
+	download: boolean
+	wrap: boolean
+	search: boolean
+}
+
+/**
+ * The context passed to button callbacks
+ */
+export interface ButtonContext {
+	/**
+	 * The code of the block (the new side of a diff)
+	 */
+	code: string
+
+	/**
+	 * The language of the code, if known
+	 */
+	language: string | null
+
+	/**
+	 * The filename of the block, if it has one
+	 */
+	filename: string | null
+
+	/**
+	 * The container of the code block, or null when rendering to a string
+	 */
+	container: HTMLElement | null
+
+	/**
+	 * Whether the button floats over the code (no-header mode)
+	 */
+	floating: boolean
+
+	/**
+	 * Which built-in buttons are enabled for the block
+	 */
+	features: ButtonFeatures
+}
+
+/**
+ * A button registered with HighlightIt.registerButton()
+ */
+export interface ButtonDefinition {
+	/**
+	 * A unique id for the button; 'search', 'wrap', 'copy', 'download' and 'share' are the
+	 * built-in buttons
+	 */
+	id: string
+
+	/**
+	 * The SVG (or other HTML) shown in the button
+	 */
+	icon?: string
+
+	/**
+	 * The accessible label of the button
+	 */
+	label?: string
+
+	/**
+	 * Where to place the button, lower comes first; the built-in buttons use 10 to 50
+	 * @default 100
+	 */
+	order?: number
+
+	/**
+	 * Return false to hide the button for a block
+	 */
+	when?: (context: ButtonContext) => boolean
+
+	/**
+	 * Called on click; return (or resolve to) true to show a check mark
+	 */
+	onClick?: (context: ButtonContext) => boolean | void | Promise<boolean | void>
+}
+
+/**
+ * An entry of the button registry
+ * @internal
+ */
+export interface RegisteredButton extends ButtonDefinition {
+	/**
+	 * The built-in feature that must be enabled for the button to show
+	 */
+	feature?: keyof ButtonFeatures
+
+	/**
+	 * Creates a built-in button
+	 */
+	create?: (context: ButtonContext) => HTMLElement | Promise<HTMLElement>
+}
+
+/**
+ * The detail of the highlightit:* events dispatched on code block containers
+ */
+export interface HighlightItEventDetail {
+	/**
+	 * The code of the block (the new side of a diff), or the code being copied or downloaded
+	 */
+	code: string
+
+	/**
+	 * The language of the code, if known
+	 */
+	language: string | null
+
+	/**
+	 * The ID of the block, if it has one
+	 */
+	blockId: string | null
+
+	/**
+	 * The filename of a download (highlightit:download)
+	 */
+	filename?: string
+
+	/**
+	 * The link that is copied (highlightit:share and highlightit:line-share)
+	 */
+	url?: string
+
+	/**
+	 * The line number whose share button was clicked (highlightit:line-share)
+	 */
+	lineNumber?: number
+
+	/**
+	 * All line numbers in the shared link (highlightit:line-share)
+	 */
+	lines?: number[]
+
+	/**
+	 * Whether a streamed block has ended (highlightit:live-update)
+	 */
+	final?: boolean
+}
+
+/**
+ * A highlight.js language definition function, e.g. the default export of a highlight.js
+ * language module
+ */
+// eslint-disable-next-line @typescript-eslint/no-explicit-any
+export type LanguageGrammar = (hljs: any) => object
+
+/**
+ * Options for registering a language with HighlightIt.registerLanguage()
+ */
+export interface RegisterLanguageOptions {
+	/**
+	 * File extensions of the language, e.g. ['flow'] (used for data-filename and downloads)
+	 */
+	extensions?: string[]
+
+	/**
+	 * Other names of the language, e.g. in data-language
+	 */
+	aliases?: string[]
+
+	/**
+	 * The label to show in the header instead of the language name
+	 */
+	displayName?: string
+
+	/**
+	 * Whether to prefer the language when auto-detecting
+	 * @default false
+	 */
+	popular?: boolean
+}
+
+/**
+ * A highlighting request waiting for the Web Worker
+ */
+export interface WorkerRequest {
+	/**
+	 * Resolves the request with the highlighted HTML
+	 */
+	resolve: (result: HighlightResult) => void
+
+	/**
+	 * The code to highlight
+	 */
+	code: string
+
+	/**
+	 * The language of the code
+	 */
+	language: string | null
+
+	/**
+	 * Whether to auto-detect the language if none is given
+	 */
+	autoDetect: boolean
+}
+
+/**
+ * Document styles collected for the shadow roots of <highlight-it> elements
+ */
+export interface ShadowStyles {
+	/**
+	 * The document stylesheets the styles were collected from
+	 */
+	sources: CSSStyleSheet[]
+
+	/**
+	 * The CSS of the readable library and theme stylesheets
+	 */
+	cssText: string
+
+	/**
+	 * A constructed stylesheet with the CSS, where supported
+	 */
+	sheet: CSSStyleSheet | null
+
+	/**
+	 * Stylesheet links that cannot be read and are cloned into the shadow root instead
+	 */
+	links: HTMLElement[]
+}
+
+/**
+ * A single line of a unified diff
+ */
+export interface DiffLine {
+	/**
+	 * The kind of line: added ('+'), removed ('-'), context (' '), hunk ('@@'),
+	 * file header ('---', '+++', 'diff', 'index') or meta ('\ No newline at end of file')
+	 */
+	type: 'added' | 'removed' | 'context' | 'hunk' | 'header' | 'meta'
+
+	/**
+	 * The text of the line without its diff prefix
+	 */
+	text: string
+}
+
+/**
+ * A unified diff parsed into typed lines and the before and after versions of the code
+ */
+export interface ParsedDiff {
+	lines: DiffLine[]
+	before: string
+	after: string
+}
+
+/**
+ * A note attached to a line of a code block
+ */
+export interface LineAnnotation {
+	/** The displayed line number the note belongs to */
+	line: number
+	/** The text of the note */
+	text: string
+}
+
+/**
+ * State of the find bar of a code block
+ */
+export interface SearchState {
+	query: string
+	caseSensitive: boolean
+	regex: boolean
+	/** Index of the current match */
+	current: number
+	/** Number of matches */
+	count: number
+}
+
+/**
+ * HighlightIt class for syntax highlighting
+ */
+declare class HighlightIt {
+	/**
+	 * Whether the instance has been initialized
+	 * @internal
+	 */
+	private static _initialized: boolean
+
+	/**
+	 * Whether the global sharing listeners have been registered
+	 * @internal
+	 */
+	private static _sharingInitialized: boolean
+
+	/**
+	 * Debounce time for live updates in milliseconds
+	 * @internal
+	 */
+	private static debounceTime: number
+
+	/**
+	 * Whether the device is a touch device
+	 * @internal
+	 */
+	private static isTouchDevice: boolean
+
+	/**
+	 * The document styles collected for the shadow roots of <highlight-it> elements
+	 * @internal
+	 */
+	private static _shadowStyles: ShadowStyles | undefined
+
+	/**
+	 * The elements waiting to be highlighted by lazy init, with their highlight callback
+	 * @internal
+	 */
+	private static _deferredElements:
+		| Map<HTMLElement, { highlight: () => void; observer: IntersectionObserver }>
+		| undefined
+
+	/**
+	 * The IntersectionObserver of lazy init
+	 * @internal
+	 */
+	private static _lazyObserver: IntersectionObserver | undefined
+
+	/**
+	 * The rootMargin of the lazy init observer
+	 * @internal
+	 */
+	private static _lazyRootMargin: string | undefined
+
+	/**
+	 * Minimum number of lines of a block to highlight it in a Web Worker
+	 * @internal
+	 */
+	private static workerThreshold: number | undefined
+
+	/**
+	 * URL of the highlight-it build loaded in the worker
+	 * @internal
+	 */
+	private static workerScriptUrl: string | null | undefined
+
+	/**
+	 * URL of highlight.js loaded in the worker
+	 * @internal
+	 */
+	private static workerHljsUrl: string | null | undefined
+
+	/**
+	 * The highlighting worker, or null if it could not be created
+	 * @internal
+	 */
+	private static _worker: Worker | null | undefined
+
+	/**
+	 * The highlighting requests waiting for the worker, by request id
+	 * @internal
+	 */
+	private static _workerRequests: Map<number, WorkerRequest> | undefined
+
+	/**
+	 * The id of the last highlighting request sent to the worker
+	 * @internal
+	 */
+	private static _workerRequestId: number | undefined
+
+	/**
+	 * The names and aliases of the languages registered with registerLanguage()
+	 * @internal
+	 */
+	private static _registeredLanguages: Set<string> | undefined
+
+	/**
+	 * The plugins added with use()
+	 * @internal
+	 */
+	private static _plugins: HighlightItPlugin[] | undefined
+
+	/**
+	 * The registered buttons by id, including the built-in ones
+	 * @internal
+	 */
+	private static _buttons: Map<string, RegisteredButton> | undefined
+
+	/**
+	 * Initialize HighlightIt by finding and highlighting all matching elements
+	 * @param options - Configuration options
+	 */
+	static init(options?: HighlightItOptions): void
+
+	/**
+	 * Wire up the behavior of code blocks that were rendered on the server with renderToString.
+	 * The markup is kept as it is: nothing is highlighted again and no element is replaced.
+	 * @param root - The root to search for code blocks in
+	 */
+	static hydrate(root?: Document | HTMLElement): void
+
+	/**
+	 * Tear down a code block and put back the element it was created from, with its ID, data
+	 * attributes and current code. Observers are disconnected and the hidden original kept for
+	 * live updates is removed, so the returned element can be highlighted again.
+	 * @param target - The container, an element inside it, its hidden original or an element
+	 * still waiting to be highlighted lazily
+	 * @returns The restored element, or null if the target is no code block
+	 */
+	static destroy(target: HTMLElement): HTMLElement | null
+
+	/**
+	 * Tear down every code block inside a root, see destroy()
+	 * @param root - The root to search for code blocks in
+	 * @returns The restored elements
+	 */
+	static destroyAll(root?: Document | HTMLElement): HTMLElement[]
+
+	/**
+	 * Disconnect the observers of a code block and replace it with the element it was
+	 * created from. Blocks rendered with renderToString get a plain .highlight-it element.
+	 * @param container - The container element
+	 * @returns The restored element
+	 * @private
+	 */
+	private static destroyContainer(container: HTMLElement): HTMLElement
+
+	/**
+	 * Move the code blocks of a tabbed group back in place of the group
+	 * @param group - The group element
+	 * @private
+	 */
+	private static dissolveCodeGroup(group: HTMLElement): void
+
+	/**
+	 * Find the container of a code block from the container itself, an element inside it, the
+	 * element it was created from or its hidden original
+	 * @param target - The element to start from
+	 * @returns The container, or null if there is none or it was destroyed
+	 * @private
+	 */
+	private static findContainer(target: HTMLElement | null): HTMLElement | null
+
+	/**
+	 * Get the current source code of a code block
+	 * @param container - The container element
+	 * @returns The code, untrimmed
+	 * @private
+	 */
+	private static getBlockCode(container: HTMLElement): string
+
+	/**
+	 * Get the element holding the code of a copy made for destroy()
+	 * @param source - The copy of the element a block was created from
+	 * @returns The element holding the code
+	 * @private
+	 */
+	private static getSourceCodeElement(source: HTMLElement): HTMLElement
+
+	/**
+	 * Write the data attributes of the given options on an element restored by destroy(), or
+	 * remove them for options that are turned off, so they do not override the new options
+	 * @param element - The restored element
+	 * @param options - The changed options
+	 * @private
+	 */
+	private static applyOptionAttributes(
+		element: HTMLElement,
+		options: HighlightElementOptions
+	): void
+
+	/**
+	 * Create the handle returned by highlight() and getBlock()
+	 * @param container - The container element
+	 * @returns The block handle
+	 * @private
+	 */
+	private static createBlockHandle(container: HTMLElement): BlockHandle
+
+	/**
+	 * Attach the event handlers, live-update observer and interactive line decorations
+	 * to a pre-rendered code block
+	 * @param container - The container element
+	 * @private
+	 */
+	private static hydrateContainer(container: HTMLElement): void
+
+	/**
+	 * Highlight an element once it comes near the viewport instead of right away.
+	 * Deferred elements are still highlighted at once before printing.
+	 * @param element - The element to highlight
+	 * @param highlight - Highlights the element
+	 * @param rootMargin - How far outside the viewport the element is highlighted
+	 * @private
+	 */
+	private static deferHighlight(
+		element: HTMLElement,
+		highlight: () => void,
+		rootMargin: string
+	): void
+
+	/**
+	 * Stop waiting for deferred elements that were removed from the page before they came
+	 * near the viewport, so they are not kept alive
+	 * @private
+	 */
+	private static pruneDeferred(): void
+
+	/**
+	 * Stop waiting to highlight a deferred element
+	 * @param element - The deferred element
+	 * @returns Whether the element was waiting to be highlighted
+	 * @private
+	 */
+	private static cancelDeferred(element: HTMLElement): boolean
+
+	/**
+	 * Highlight a deferred element now
+	 * @param element - The deferred element
+	 * @returns Whether the element was waiting to be highlighted
+	 * @private
+	 */
+	private static highlightDeferred(element: HTMLElement): boolean
+
+	/**
+	 * Highlight every deferred element inside a root now
+	 * @param root - The root element (or the deferred element itself)
+	 * @returns Whether any element was highlighted
+	 * @private
+	 */
+	private static highlightAllDeferred(root: Document | HTMLElement): boolean
+
+	/**
+	 * Highlight a new element that wasn't present when the library was initialized
+	 * @param element - The element to highlight
+	 * @param options - Configuration options
+	 * @returns The handle of the block, or null if the element cannot be highlighted
+	 */
+	static highlight(element: HTMLElement, options?: HighlightElementOptions): BlockHandle | null
+
+	/**
+	 * Get the handle of a code block, e.g. to change it after init()
+	 * @param idOrElement - The ID of the block, its container, an element inside it or the
+	 * element it was created from
+	 * @returns The block handle, or null if there is no such block
+	 */
+	static getBlock(idOrElement: string | HTMLElement): BlockHandle | null
+
+	/**
+	 * Stream code into a new code block. The block is highlighted as chunks arrive, at most
+	 * once per animation frame, without the hidden original copy and the debounce that
+	 * data-with-reload needs.
+	 * @param element - The element to turn into a code block (usually empty)
+	 * @param options - The same options as highlight() (withReload is ignored)
+	 * @returns The writer for the code block
+	 */
+	static stream(element: HTMLElement, options?: HighlightElementOptions): StreamWriter
+
+	/**
+	 * Stream Markdown into a container. A fenced code block becomes a live code block as soon
+	 * as its opening fence arrives, is highlighted in the fence's language while it is still
+	 * open and is finished when its closing fence arrives. Text outside the fences is shown as
+	 * plain text or handed to options.renderText.
+	 * @param container - The element to render the text and code blocks into
+	 * @param options - The same options as highlight() for the code blocks, plus renderText
+	 * @returns The writer for the Markdown stream
+	 */
+	static streamMarkdown(
+		container: HTMLElement,
+		options?: StreamMarkdownOptions
+	): MarkdownStreamWriter
+
+	/**
+	 * Render a code block to an HTML string without touching the DOM, e.g. on a server
+	 * @param code - The code to render
+	 * @param options - The same options as highlight()
+	 * @returns The HTML of the highlighted code block
+	 */
+	static renderToString(code: string, options?: RenderToStringOptions): string
+
+	/**
+	 * Add a plugin whose hooks run while blocks are highlighted, rendered and live-updated.
+	 * Plugins run in the order they were added; add them before init().
+	 * @param plugin - The plugin
+	 * @returns HighlightIt, so calls can be chained
+	 */
+	static use(plugin: HighlightItPlugin): typeof HighlightIt
+
+	/**
+	 * Register a language with highlight.js and with HighlightIt's own tables, so it gets
+	 * filename detection, a download extension, a header label and, if popular, priority in
+	 * auto-detection. Pass null as the grammar to only add extensions, aliases or a label to a
+	 * language that is already registered.
+	 * @param name - The language name, as used in data-language
+	 * @param grammar - The highlight.js language definition function
+	 * @param options - Registration options
+	 */
+	static registerLanguage(
+		name: string,
+		grammar: LanguageGrammar | null,
+		options?: RegisterLanguageOptions
+	): void
+
+	/**
+	 * Register a button for the header and the floating buttons of code blocks. The built-in
+	 * buttons are registered as 'search', 'wrap', 'copy', 'download' and 'share' (orders 10 to
+	 * 50): registering one of these ids with only order or when moves or hides it, with onClick
+	 * replaces it. Register buttons before init().
+	 * @param button - The button
+	 */
+	static registerButton(button: ButtonDefinition): void
+
+	/**
+	 * Register the <highlight-it> custom element, which highlights its text content inside its
+	 * own shadow root. Its attributes are the data attributes without the data- prefix.
+	 * The element is registered automatically when the library loads in a browser.
+	 * @param name - The tag name to register the element under
+	 * @returns The element class, or null without custom element support
+	 */
+	static defineElement(name?: string): CustomElementConstructor | null
+
+	/**
+	 * Generate a hash using SHA-256 and convert to a 12-character base62 string
+	 * @param input - The string to hash
+	 * @returns A 12-character base62 hash
+	 */
+	static generateHash(input: string): Promise<string>
+
+	/**
+	 * Create a share button for code blocks
+	 * @param code - The code to generate hash from if no id exists
+	 * @param container - The container element (to extract id)
+	 * @returns The share button element
+	 *
+	 * The ID priority is:
+	 * 1. data-original-id attribute on container
+	 * 2. Existing container.id
+	 * 3. Generated hash from code content
+	 */
+	static createShareButton(code: string, container: HTMLElement): Promise<HTMLElement>
+
+	/**
+	 * Attach the click handler that copies a link to the code block to a share button
+	 * @param shareButton - The share button element
+	 * @param container - The container element (to extract id)
+	 * @private
+	 */
+	private static setupShareButtonHandler(shareButton: HTMLElement, container: HTMLElement): void
+
+	/**
+	 * Update block ID when code changes for blocks with live updates
+	 * @param container - The container element
+	 * @param newCode - The new code content
+	 * @returns The updated block ID
+	 *
+	 * The ID priority is:
+	 * 1. data-original-id attribute
+	 * 2. Existing container.id
+	 * 3. Generated hash from newCode
+	 *
+	 * Note: When using data-with-reload, the original ID is preserved
+	 * on the hidden element, and the visible element uses data-original-id
+	 * to reference it without duplicating the ID attribute.
+	 */
+	static updateBlockId(container: HTMLElement, newCode: string): Promise<string>
+
+	/**
+	 * Scroll to the element specified in the URL hash
+	 * @param attempts - Number of attempts made so far
+	 */
+	static scrollToAnchor(attempts?: number): void
+
+	/**
+	 * Parse a URL fragment into a block ID and the linked lines
+	 * @param fragment - The URL fragment without the leading '#'
+	 * @returns The block ID and the linked lines
+	 * @private
+	 *
+	 * Supports the range grammar "blockId:L10-L20,L30" and the legacy "blockId_10" form.
+	 * An ID that exists in the document as a whole is never split on '_'.
+	 */
+	private static parseAnchor(fragment: string): { id: string; lines: Set<number> | null }
+
+	/**
+	 * Build a URL fragment that links to lines of a block, e.g. "blockId:L10-L20,L30"
+	 * @param blockId - The block ID
+	 * @param lines - The line numbers to link to
+	 * @returns The URL fragment without the leading '#'
+	 * @private
+	 */
+	private static formatLineAnchor(blockId: string, lines: Iterable<number>): string
+
+	/**
+	 * Scroll to a highlighted element and optionally to specific lines
+	 * @param element - The element to scroll to
+	 * @param lines - The line numbers to highlight, if any
+	 * @private
+	 */
+	private static scrollToHighlightedElement(element: HTMLElement, lines: Set<number> | null): void
+
+	/**
+	 * Highlight linked lines of a block until the user dismisses them
+	 * @param container - The container element
+	 * @param lines - The line numbers to highlight
+	 * @returns The first highlighted row, if any
+	 * @private
+	 */
+	private static setTargetLines(container: HTMLElement, lines: Set<number>): HTMLElement | null
+
+	/**
+	 * Remove the linked line highlight from a block
+	 * @param container - The container element
+	 * @private
+	 */
+	private static clearTargetLines(container: HTMLElement): void
+
+	/**
+	 * Dismiss all linked line highlights and drop a line fragment from the URL
+	 * @private
+	 */
+	private static dismissTargetLines(): void
+
+	/**
+	 * Set up click, shift-click and drag selection of lines in the line number gutter
+	 * @param container - The container element
+	 * @private
+	 */
+	private static setupLineSelection(container: HTMLElement): void
+
+	/**
+	 * Parse a list of lines and line ranges such as "3,5-7" into a set of line numbers
+	 * @param value - The comma separated list of lines and ranges
+	 * @returns The line numbers contained in the list
+	 * @private
+	 */
+	private static parseLineRanges(value: string | undefined): Set<number>
+
+	/**
+	 * Split highlighted HTML into lines, closing and reopening tags that span a line break
+	 * @param html - The highlighted HTML
+	 * @param openCounts - Receives the number of tags open at every line break
+	 * @returns The HTML of every line with balanced tags
+	 * @private
+	 */
+	private static splitHighlightedLines(html: string, openCounts?: number[]): string[]
+
+	/**
+	 * Wrap every line of highlighted HTML in its own line span
+	 * @param html - The highlighted HTML
+	 * @param lineClasses - Extra classes for every line, by line index
+	 * @returns The HTML of the wrapped lines
+	 * @private
+	 */
+	private static wrapHighlightedLines(html: string, lineClasses?: string[]): string
+
+	/**
+	 * Render highlighted HTML into a code element, wrapping every line in its own span
+	 * @param element - The code element to render into
+	 * @param html - The highlighted HTML
+	 * @param language - The language the HTML was highlighted in
+	 * @param live - Whether the code is rendered for a live update
+	 * @private
+	 */
+	private static renderHighlightedCode(
+		element: HTMLElement,
+		html: string,
+		language?: string | null,
+		live?: boolean
+	): void
+
+	/**
+	 * Render plain code into a code element while it is highlighted in a web worker. Plugin
+	 * hooks only run for the highlighted HTML.
+	 * @param element - The code element to render into
+	 * @param code - The code
+	 * @private
+	 */
+	private static renderPlaceholderCode(element: HTMLElement, code: string): void
+
+	/**
+	 * Build the context passed to plugin hooks
+	 * @param element - The code element
+	 * @param language - The language of the code, if known
+	 * @param live - Whether the hook runs for a live update
+	 * @returns The hook context
+	 * @private
+	 */
+	private static getHookContext(
+		element: HTMLElement,
+		language: string | null,
+		live?: boolean
+	): HookContext
+
+	/**
+	 * Run a hook of every plugin added with use(). The string returned by a beforeHighlight or
+	 * afterHighlight hook replaces the value passed to the next plugin; other return values
+	 * are ignored. Errors thrown by a hook are logged and do not stop highlighting.
+	 * @param hook - The hook name
+	 * @param value - The code, HTML or container passed to the hook
+	 * @param context - The hook context
+	 * @returns The value returned by the last plugin that changed it
+	 * @private
+	 */
+	private static runPluginHooks<T>(
+		hook: keyof HighlightItPlugin,
+		value: T,
+		context: HookContext
+	): T
+
+	/**
+	 * Run the afterRender hooks and dispatch highlightit:highlighted once a block is highlighted
+	 * @param element - The code element
+	 * @param container - The container element
+	 * @param language - The language of the code
+	 * @private
+	 */
+	private static finishRender(
+		element: HTMLElement,
+		container: HTMLElement,
+		language: string | null
+	): void
+
+	/**
+	 * Reapply search marks and line decorations after the lines of a code element changed
+	 * @param element - The code element
+	 * @private
+	 */
+	private static refreshRenderedLines(element: HTMLElement): void
+
+	/**
+	 * Re-highlight a live-updated code element, keeping the DOM of its unchanged leading lines.
+	 * Highlighting restarts at the last line before the first changed line at which no
+	 * highlight.js scope was open.
+	 * @param element - The code element
+	 * @param code - The new code
+	 * @param language - The language of the code
+	 * @private
+	 */
+	private static renderIncrementally(element: HTMLElement, code: string, language: string): void
+
+	/**
+	 * Highlight the lines of a streamed block. A string or comment that is still unterminated
+	 * at the end only colors the rest of the line it starts on; the lines after it are
+	 * highlighted on their own until it is closed, so they are not all recolored meanwhile.
+	 * @param lines - The lines to highlight, starting from a safe parser state
+	 * @param language - The language of the code
+	 * @returns The highlighted HTML and, for every line, whether highlighting can restart there
+	 * @private
+	 */
+	private static highlightStreamedLines(
+		lines: string[],
+		language: string
+	): { html: string; safeStarts: boolean[] }
+
+	/**
+	 * Apply the static line emphasis and focus from data-highlight-lines and data-focus-lines
+	 * to the code lines and the line number gutter
+	 * @param container - The container element
+	 * @private
+	 */
+	private static applyLineEmphasis(container: HTMLElement): void
+
+	/**
+	 * Get the number of the first line of a code block (data-line-start, default 1)
+	 * @param element - The code element
+	 * @param container - The container element
+	 * @returns The number of the first line
+	 * @private
+	 */
+	private static getLineStart(element: HTMLElement | null, container: HTMLElement): number
+
+	/**
+	 * Mark the lines linked from the URL or selected in the gutter
+	 * @param container - The container element
+	 * @private
+	 */
+	private static applyTargetLines(container: HTMLElement): void
+
+	/**
+	 * Apply all per-line decorations to the code lines and the line number gutter
+	 * @param container - The container element
+	 * @private
+	 */
+	private static decorateLines(container: HTMLElement): void
+
+	/**
+	 * Parse line annotations from a data-annotations JSON value such as
+	 * '[{"line":4,"text":"Cache miss path"}]'
+	 * @param value - The JSON array of annotations
+	 * @returns The notes of every annotated line number
+	 * @private
+	 */
+	private static parseAnnotations(value: string): Map<number, string[]>
+
+	/**
+	 * Get the annotations of a code block, parsing data-annotations only when it changed
+	 * @param container - The container element
+	 * @returns The notes of every annotated line number
+	 * @private
+	 */
+	private static getAnnotations(container: HTMLElement): Map<number, string[]>
+
+	/**
+	 * Add a marker to the line number gutter of every annotated line and, with
+	 * data-annotations-margin, lay out the notes in a side margin on wide screens
+	 * @param container - The container element
+	 * @private
+	 */
+	private static applyAnnotations(container: HTMLElement): void
+
+	/**
+	 * Position the notes of the annotation margin next to their lines. Lines that are not
+	 * rendered (inactive tab, collapsed block) are skipped, so this runs again whenever the
+	 * container is resized, a tab is selected or a block is expanded.
+	 * @param container - The container element
+	 * @private
+	 */
+	private static layoutAnnotationNotes(container: HTMLElement): void
+
+	/**
+	 * Set up the delegated handlers that open annotation popovers on hover, focus and click
+	 * @param container - The container element
+	 * @private
+	 */
+	private static setupAnnotations(container: HTMLElement): void
+
+	/**
+	 * Open the popover with the notes of an annotated line next to its gutter marker
+	 * @param container - The container element
+	 * @param marker - The annotation marker of the line
+	 * @param pinned - Whether the popover stays open until dismissed
+	 * @private
+	 */
+	private static showAnnotationPopover(
+		container: HTMLElement,
+		marker: HTMLElement,
+		pinned: boolean
+	): void
+
+	/**
+	 * Close the open annotation popover of a code block
+	 * @param container - The container element
+	 * @private
+	 */
+	private static hideAnnotationPopover(container: HTMLElement): void
+
+	/**
+	 * Create the button that opens the find bar of a code block
+	 * @param container - The container element
+	 * @returns The search button element
+	 * @private
+	 */
+	private static createSearchButton(container: HTMLElement): HTMLElement
+
+	/**
+	 * Attach the click handler that opens and closes the find bar to a search button
+	 * @param searchButton - The search button element
+	 * @param container - The container element
+	 * @private
+	 */
+	private static setupSearchButtonHandler(searchButton: HTMLElement, container: HTMLElement): void
+
+	/**
+	 * Open the find bar of a code block below its header and focus the search input
+	 * @param container - The container element
+	 * @private
+	 */
+	private static openFindBar(container: HTMLElement): void
+
+	/**
+	 * Close the find bar of a code block and remove its match marks
+	 * @param container - The container element
+	 * @private
+	 */
+	private static closeFindBar(container: HTMLElement): void
+
+	/**
+	 * Create the find bar with the search input, the match count, the match case and
+	 * regular expression options and the match navigation buttons
+	 * @param container - The container element
+	 * @returns The find bar element
+	 * @private
+	 */
+	private static createFindBar(container: HTMLElement): HTMLElement
+
+	/**
+	 * Mark every match of the find bar query in the rendered code. Matches are marked by
+	 * splitting text nodes, so the hljs spans around them stay intact.
+	 * @param container - The container element
+	 * @private
+	 */
+	private static applySearchMarks(container: HTMLElement): void
+
+	/**
+	 * Remove the find bar match marks from the rendered code
+	 * @param container - The container element
+	 * @private
+	 */
+	private static clearSearchMarks(container: HTMLElement): void
+
+	/**
+	 * Move to the next or previous match of the find bar, wrapping around at the ends
+	 * @param container - The container element
+	 * @param step - 1 for the next match, -1 for the previous one
+	 * @private
+	 */
+	private static moveSearchMatch(container: HTMLElement, step: number): void
+
+	/**
+	 * Scroll the current match of the find bar into view, expanding collapsed blocks and
+	 * unfolding regions that hide it
+	 * @param container - The container element
+	 * @private
+	 */
+	private static showSearchMatch(container: HTMLElement): void
+
+	/**
+	 * Create the button that toggles soft wrapping of long lines
+	 * @param container - The container element
+	 * @returns The wrap button element
+	 * @private
+	 */
+	private static createWrapButton(container: HTMLElement): HTMLElement
+
+	/**
+	 * Attach the click handler that toggles soft wrapping to a wrap button
+	 * @param wrapButton - The wrap button element
+	 * @param container - The container element
+	 * @private
+	 */
+	private static setupWrapButtonHandler(wrapButton: HTMLElement, container: HTMLElement): void
+
+	/**
+	 * Switch a code block between horizontal scrolling and soft wrapping of long lines
+	 * @param container - The container element
+	 * @param wrap - Whether long lines should wrap
+	 * @private
+	 */
+	private static setWrap(container: HTMLElement, wrap: boolean): void
+
+	/**
+	 * Give every gutter row the height of its logical line, so line numbers stay aligned
+	 * when a wrapped line spans several visual rows
+	 * @param container - The container element
+	 * @private
+	 */
+	private static syncWrappedLineHeights(container: HTMLElement): void
+
+	/**
+	 * Find the foldable regions of a rendered code block. Brace and bracket pairs outside of
+	 * strings and comments are used for C-like languages, indentation for Python and YAML.
+	 * @param element - The rendered code element
+	 * @returns The index of every region's first line mapped to the index of its last hidden line
+	 * @private
+	 */
+	private static findFoldRegions(element: HTMLElement): Map<number, number>
+
+	/**
+	 * Add fold chevrons to the line number gutter of blocks with data-with-folding and hide the
+	 * lines of folded regions behind a "… N lines" placeholder
+	 * @param container - The container element
+	 * @private
+	 */
+	private static applyFolding(container: HTMLElement): void
+
+	/**
+	 * Set up the delegated click handler for fold chevrons and placeholders
+	 * @param container - The container element
+	 * @private
+	 */
+	private static setupFolding(container: HTMLElement): void
+
+	/**
+	 * Fold or unfold the region starting at the given line
+	 * @param container - The container element
+	 * @param lineNumber - The displayed number of the region's first line
+	 * @private
+	 */
+	private static toggleFold(container: HTMLElement, lineNumber: number): void
+
+	/**
+	 * Collapse blocks longer than data-max-lines behind a fade-out and a "Show all N lines"
+	 * button. The block expands when the button is used or a permalink targets a hidden line.
+	 * @param container - The container element
+	 * @private
+	 */
+	private static applyLineCollapse(container: HTMLElement): void
+
+	/**
+	 * Create the control that expands a block collapsed by data-max-lines
+	 * @param container - The container element
+	 * @returns The expand control element
+	 * @private
+	 */
+	private static createExpandControl(container: HTMLElement): HTMLElement
+
+	/**
+	 * Show every line of a block collapsed by data-max-lines
+	 * @param container - The container element
+	 * @private
+	 */
+	private static expandBlock(container: HTMLElement): void
+
+	/**
+	 * Check whether a code block is rendered in unified diff mode (data-diff)
+	 * @param element - The code element
+	 * @param container - The container element
+	 * @returns Whether the block is a diff block
+	 * @private
+	 */
+	private static isDiffBlock(element: HTMLElement, container: HTMLElement | null): boolean
+
+	/**
+	 * Parse a unified diff into typed lines and the before and after versions of the code
+	 * @param code - The diff with '+', '-' and ' ' prefixed lines
+	 * @returns The parsed lines and the before and after code
+	 * @private
+	 */
+	private static parseDiff(code: string): ParsedDiff
+
+	/**
+	 * Compute the word-level changes between a removed and an added line
+	 * @param oldText - The text of the removed line
+	 * @param newText - The text of the added line
+	 * @returns The changed [start, end) character ranges of both lines
+	 * @private
+	 */
+	private static diffWords(
+		oldText: string,
+		newText: string
+	): { removed: [number, number][]; added: [number, number][] }
+
+	/**
+	 * Wrap character ranges of the text inside highlighted HTML without breaking its tags
+	 * @param html - The highlighted HTML of a single line
+	 * @param ranges - Sorted [start, end) character ranges of the text
+	 * @param className - The class name of the wrapping span
+	 * @returns The HTML with the ranges wrapped
+	 * @private
+	 */
+	private static wrapTextRanges(
+		html: string,
+		ranges: [number, number][],
+		className: string
+	): string
+
+	/**
+	 * Render a parsed diff, highlighting the before and after code in the underlying language
+	 * @param element - The code element to render into
+	 * @param diff - The diff returned by parseDiff
+	 * @param language - The language of the code in the diff
+	 * @param live - Whether the diff is rendered for a live update
+	 * @private
+	 */
+	private static renderDiff(
+		element: HTMLElement,
+		diff: ParsedDiff,
+		language: string | null,
+		live?: boolean
+	): void
+
+	/**
+	 * Highlight a parsed diff, with the changed words of paired removed and added lines marked
+	 * @param diff - The parsed diff from parseDiff
+	 * @param language - The language of the code in the diff
+	 * @returns The highlighted HTML with one line per diff line
+	 * @private
+	 */
+	private static highlightDiff(diff: ParsedDiff, language: string | null): string
+
+	/**
+	 * Mark the code lines and the line number gutter with the line types of a rendered diff
+	 * @param container - The container element
+	 * @private
+	 */
+	private static applyDiffLineTypes(container: HTMLElement): void
+
+	/**
+	 * Highlight an inline code span inside prose. Inline spans get no header, container or
+	 * buttons and take their colors from the active theme.
+	 * @param element - The inline code element
+	 * @param autoDetect - Whether to auto-detect the language if none is specified
+	 * @private
+	 *
+	 * The element can have the following data attributes:
+	 * - data-language: The programming language for syntax highlighting
+	 * - data-theme: Override global theme for this element ('light', 'dark')
+	 */
+	private static processInlineElement(element: HTMLElement, autoDetect: boolean): void
+
+	/**
+	 * Process an element for highlighting, handling both single and nested element structures
+	 * @param element - The element to process
+	 * @param autoDetect - Whether to auto-detect language
+	 * @param addCopyButton - Whether to add a copy button
+	 * @param showLanguage - Whether to show the language label
+	 * @param addHeader - Whether to add header section
+	 * @param addLines - Whether to add line numbers
+	 * @param addShare - Whether to add share button
+	 * @param addDownload - Whether to add download button
+	 * @param addWrap - Whether to add a soft-wrap toggle button
+	 * @param addSearch - Whether to add a find button
+	 * @returns The code element that was highlighted
+	 * @private
+	 */
+	private static processElement(
+		element: HTMLElement,
+		autoDetect: boolean,
+		addCopyButton: boolean,
+		showLanguage: boolean,
+		addHeader: boolean,
+		addLines: boolean,
+		addShare: boolean,
+		addDownload: boolean,
+		addWrap: boolean,
+		addSearch: boolean
+	): HTMLElement
+
+	/**
+	 * Get the element a code block replaces: the <pre> of a <pre><code> pair, otherwise the
+	 * element itself
+	 * @param element - The element to highlight
+	 * @returns The element to keep a copy of for destroy()
+	 * @private
+	 */
+	private static getSourceElement(element: HTMLElement): HTMLElement
+
+	/**
+	 * Initialize sharing functionality
+	 */
+	static initSharing(): void
+
+	/**
+	 * Apply global theme to the document root
+	 * @param theme - Theme to apply ('light', 'dark', or 'auto')
+	 * @private
+	 */
+	private static applyGlobalTheme(theme: string): void
+
+	/**
+	 * Highlight a single element
+	 * @param element - The code element to highlight
+	 * @param autoDetect - Whether to auto-detect language
+	 * @param addCopyButton - Whether to add a copy button
+	 * @param showLanguage - Whether to show the language label
+	 * @param addHeader - Whether to add header section
+	 * @param addLines - Whether to add line numbers
+	 * @param addShare - Whether to add share button
+	 * @param addDownload - Whether to add download button
+	 * @param addWrap - Whether to add a soft-wrap toggle button
+	 * @param addSearch - Whether to add a find button
+	 * @private
+	 *
+	 * The element can have various data attributes:
+	 * - data-language: The programming language for syntax highlighting
+	 * - data-filename: Filename to display (also used to detect language)
+	 * - data-theme: Override global theme for this element ('light', 'dark', 'auto')
+	 * - data-with-lines: Add line numbers to the code block
+	 * - data-line-start: Set the starting line number (default is 1, can be positive or negative)
+	 * - data-no-header: Hide the header (language label and copy button)
+	 * - data-no-copy: Hide the copy button
+	 * - data-with-reload: Enable live updates - code will be rehighlighted automatically when content changes
+	 * - data-with-share: Add a share button that copies the URL with the element ID as the fragment
+	 * - data-with-download: Add a download button that downloads the code as a file
+	 * - data-filename: Used for the download feature to set the filename for downloaded code
+	 * - data-highlight-lines: Lines to keep emphasized, e.g. "3,5-7" (uses the displayed line numbers)
+	 * - data-focus-lines: Lines to keep in focus while every other line is dimmed, e.g. "3,5-7"
+	 * - data-diff: Render the code as a unified diff ('+', '-' and ' ' prefixed lines) while
+	 *   highlighting the underlying language; copy and download use the "after" version
+	 * - data-wrap: Soft-wrap long lines initially and add a button to toggle wrapping
+	 * - data-max-lines: Collapse blocks longer than this many lines behind a "Show all N lines" button
+	 * - data-with-folding: Add chevrons to the line number gutter to fold braces and indented blocks
+	 * - data-group: Show consecutive blocks with the same group name as tabs of one group
+	 * - data-with-search: Add a find button that opens a find bar for the code block
+	 * - data-annotations: JSON array of line notes such as '[{"line":4,"text":"Cache miss path"}]'
+	 *   shown as gutter markers with popovers (enables line numbers)
+	 * - data-annotations-margin: Also show the notes in a side margin on wide screens
+	 */
+	private static highlightElement(
+		element: HTMLElement,
+		autoDetect: boolean,
+		addCopyButton: boolean,
+		showLanguage: boolean,
+		addHeader: boolean,
+		addLines: boolean,
+		addShare: boolean,
+		addDownload: boolean,
+		addWrap: boolean,
+		addSearch: boolean
+	): void
+
+	/**
+	 * Set up live updates to watch for changes to the code element
+	 * @param element - The code element to watch
+	 * @param container - The container element
+	 * @param autoDetect - Whether to auto-detect language
+	 * @param showLanguage - Whether to show the language label
+	 * @param withShare - Whether to update block ID for sharing
+	 * @private
+	 */
+	private static setupLiveUpdates(
+		element: HTMLElement,
+		container: HTMLElement,
+		autoDetect: boolean,
+		showLanguage: boolean,
+		withShare: boolean
+	): void
+
+	/**
+	 * Create the function that rehighlights a live-updated code element with new code
+	 * @param element - The code element to rehighlight
+	 * @param container - The container element
+	 * @param autoDetect - Whether to auto-detect language
+	 * @param showLanguage - Whether to show the language label
+	 * @param withShare - Whether to update block ID for sharing
+	 * @param initialCode - The code the element starts with
+	 * @returns Rehighlights the element with the given code; pass true for the final update of
+	 * a stream to detect the language again from the complete code
+	 * @private
+	 */
+	private static createLiveUpdater(
+		element: HTMLElement,
+		container: HTMLElement,
+		autoDetect: boolean,
+		showLanguage: boolean,
+		withShare: boolean,
+		initialCode: string
+	): (code: string, final?: boolean) => Promise<void> | undefined
+
+	/**
+	 * Intelligently update line numbers for live updates, preserving existing DOM elements
+	 * @param lineNumbersWrapper - The line numbers wrapper element
+	 * @param newLineCount - The new line count
+	 * @param oldLineCount - The old line count
+	 * @param startLine - The starting line number
+	 * @param withShare - Whether share buttons should be included
+	 * @param blockId - The block ID for share links
+	 * @param container - The container element
+	 */
+	static updateLineNumbersForLiveUpdates(
+		lineNumbersWrapper: HTMLElement,
+		newLineCount: number,
+		oldLineCount: number,
+		startLine: number,
+		withShare: boolean,
+		blockId: string,
+		container: HTMLElement
+	): void
+
+	/**
+	 * Combine consecutive code blocks that share a data-group attribute into one tabbed group.
+	 * The tab chosen last (stored in localStorage) is selected where the group has it.
+	 * @param root - The root to search for code blocks in
+	 * @private
+	 */
+	private static initCodeGroups(root?: Document | HTMLElement): void
+
+	/**
+	 * Get the data-group name of a code block
+	 * @param container - The container element
+	 * @returns The group name, if any
+	 * @private
+	 */
+	private static getCodeGroupName(container: HTMLElement): string | null
+
+	/**
+	 * Check whether a code block directly follows another one, ignoring whitespace and the
+	 * hidden originals kept for live updates
+	 * @param previous - The previous container element
+	 * @param container - The container element
+	 * @returns Whether the container directly follows the previous one
+	 * @private
+	 */
+	private static isNextCodeBlock(previous: HTMLElement, container: HTMLElement): boolean
+
+	/**
+	 * Move code blocks into a tabbed group, titled by each block's filename or language
+	 * @param name - The data-group name
+	 * @param containers - The container elements of the group
+	 * @returns The group element
+	 * @private
+	 */
+	private static createCodeGroup(name: string, containers: HTMLElement[]): HTMLElement
+
+	/**
+	 * Show one tab of a code group. When chosen by the user, every other group on the page
+	 * with a tab for the same language follows and the choice is remembered in localStorage.
+	 * @param group - The group element
+	 * @param index - The index of the tab to show
+	 * @param sync - Whether to sync the other groups and store the choice
+	 * @private
+	 */
+	private static selectCodeGroupTab(group: HTMLElement, index: number, sync?: boolean): void
+
+	/**
+	 * Show the tab of a code group that holds the given element, e.g. when it is linked
+	 * @param element - The element to reveal
+	 * @private
+	 */
+	private static revealInCodeGroup(element: HTMLElement): void
+
+	/**
+	 * Create a styled container for code block
+	 * @param element - The code element to wrap
+	 * @returns The container element
+	 * @private
+	 */
+	private static createCodeContainer(element: HTMLElement): HTMLElement
+
+	/**
+	 * Create code header with language/filename label and copy button
+	 * @param displayLabel - The text to display (language or filename)
+	 * @param code - The code to copy
+	 * @param addCopyButton - Whether to add a copy button
+	 * @param showLanguage - Whether to show the language label
+	 * @param addShareButton - Whether to add a share button
+	 * @param addDownloadButton - Whether to add a download button
+	 * @param container - The container element (for share button)
+	 * @param addWrapButton - Whether to add a soft-wrap toggle button
+	 * @param addSearchButton - Whether to add a find button
+	 * @returns The header element
+	 * @private
+	 */
+	private static createCodeHeader(
+		displayLabel: string | null,
+		code: string,
+		addCopyButton: boolean,
+		showLanguage: boolean,
+		addShareButton: boolean,
+		addDownloadButton: boolean,
+		container: HTMLElement,
+		addWrapButton?: boolean,
+		addSearchButton?: boolean
+	): HTMLElement
+
+	/**
+	 * Parse the markup of a single element, e.g. one returned by getButtonMarkup()
+	 * @param html - The markup
+	 * @returns The element
+	 * @private
+	 */
+	private static createElementFromMarkup(html: string): HTMLElement
+
+	/**
+	 * Get the markup of a code block header with an empty or given button container. The
+	 * markup helpers are shared by the DOM pipeline and renderToString(), so server-rendered
+	 * blocks match highlighted ones.
+	 * @param displayLabel - The language or filename to show
+	 * @param showLanguage - Whether to show the language label
+	 * @param buttonsHtml - The markup of the buttons
+	 * @returns The header markup
+	 * @private
+	 */
+	private static getHeaderMarkup(
+		displayLabel: string | null,
+		showLanguage: boolean,
+		buttonsHtml?: string
+	): string
+
+	/**
+	 * Get the markup of a built-in button
+	 * @param id - The button id: search, wrap, copy, download or share
+	 * @param floating - Whether the button floats over a block without header
+	 * @param pressed - Whether the wrap button starts pressed
+	 * @returns The button markup
+	 * @private
+	 */
+	private static getButtonMarkup(id: string, floating?: boolean, pressed?: boolean): string
+
+	/**
+	 * Get the markup of a button registered with HighlightIt.registerButton()
+	 * @param button - The registered button
+	 * @param floating - Whether the button floats over a block without header
+	 * @returns The button markup
+	 * @private
+	 */
+	private static getCustomButtonMarkup(button: ButtonDefinition, floating?: boolean): string
+
+	/**
+	 * Get the markup of a row of the line number gutter
+	 * @param lineNumber - The displayed line number
+	 * @param blockId - The block id for the line share button (none without it)
+	 * @param rowClass - Extra classes of the row
+	 * @returns The row markup
+	 * @private
+	 */
+	private static getLineNumberMarkup(
+		lineNumber: number,
+		blockId?: string,
+		rowClass?: string
+	): string
+
+	/**
+	 * Append rows to a line number gutter and set up their line share buttons
+	 * @param lineNumbersWrapper - The line number gutter
+	 * @param fromIndex - The index of the first row to add
+	 * @param toIndex - The index after the last row to add
+	 * @param startLine - The line number of the first row of the block
+	 * @param blockId - The block id for line share buttons (none without it)
+	 * @param container - The container element
+	 * @private
+	 */
+	private static appendLineNumberRows(
+		lineNumbersWrapper: HTMLElement,
+		fromIndex: number,
+		toIndex: number,
+		startLine: number,
+		blockId: string,
+		container: HTMLElement
+	): void
+
+	/**
+	 * Create copy button element
+	 * @param code - The code to copy
+	 * @returns The copy button element
+	 * @private
+	 */
+	private static createCopyButton(code: string): HTMLElement
+
+	/**
+	 * Attach the click handler that copies the code to a copy button
+	 * @param copyButton - The copy button element
+	 * @param code - The code to copy
+	 * @private
+	 */
+	private static setupCopyButtonHandler(copyButton: HTMLElement, code: string): void
+
+	/**
+	 * Create download button element
+	 * @param code - The code to download
+	 * @param language - The language of the code (for filename extension)
+	 * @param container - The container element (for filename attribute)
+	 * @returns The download button element
+	 * @private
 	 */
 	private static createDownloadButton(
 		code: string,
@@ -400,12 +1975,30 @@ declare class HighlightIt {
 		container: HTMLElement
 	): HTMLElement
 
+	/**
+	 * Attach the click handler that downloads the code to a download button
+	 * @param downloadButton - The download button element
+	 * @param code - The code to download
+	 * @param language - The language of the code (for filename extension)
+	 * @param container - The container element (for filename attribute)
+	 * @private
+	 */
+	private static setupDownloadButtonHandler(
+		downloadButton: HTMLElement,
+		code: string,
+		language: string | null,
+		container: HTMLElement
+	): void
+
 	/**
 	 * Create floating buttons for no-header mode
 	 * @param code - The code to copy
 	 * @param withShare - Whether to add a share button
 	 * @param withDownload - Whether to add a download button
 	 * @param container - The container element for share functionality
+	 * @param withWrap - Whether to add a soft-wrap toggle button
+	 * @param withSearch - Whether to add a find button
+	 * @param withCopy - Whether to add a copy button
 	 * @returns The floating buttons container
 	 * @private
 	 */
@@ -413,17 +2006,202 @@ declare class HighlightIt {
 		code: string,
 		withShare?: boolean,
 		withDownload?: boolean,
-		container?: HTMLElement | null
+		container?: HTMLElement | null,
+		withWrap?: boolean,
+		withSearch?: boolean,
+		withCopy?: boolean
 	): HTMLElement
 
 	/**
-	 * Get language from filename extension
-	 * @param filename - The filename to extract extension from
+	 * Create the floating copy button for no-header mode
+	 * @param code - The code to copy
+	 * @returns The floating copy button element
+	 * @private
+	 */
+	private static createFloatingCopyButton(code: string): HTMLElement
+
+	/**
+	 * Create the floating download button for no-header mode
+	 * @param code - The code to download
+	 * @param container - The container element (for filename and language)
+	 * @returns The floating download button element
+	 * @private
+	 */
+	private static createFloatingDownloadButton(code: string, container: HTMLElement): HTMLElement
+
+	/**
+	 * Get the button registry, seeded with the built-in buttons on first use
+	 * @returns The registered buttons by id
+	 * @private
+	 */
+	private static getButtonRegistry(): Map<string, RegisteredButton>
+
+	/**
+	 * Get the registered buttons to show for a code block, sorted by their order
+	 * @param context - The button context
+	 * @returns The buttons whose feature is enabled and whose when() passes
+	 * @private
+	 */
+	private static getRegisteredButtons(context: ButtonContext): RegisteredButton[]
+
+	/**
+	 * Build the context passed to button callbacks
+	 * @param container - The container element
+	 * @param code - The code of the block
+	 * @param floating - Whether the buttons float over the code (no-header mode)
+	 * @param features - Which built-in buttons are enabled for the block
+	 * @returns The button context
+	 * @private
+	 */
+	private static getButtonContext(
+		container: HTMLElement | null,
+		code: string,
+		floating: boolean,
+		features: ButtonFeatures
+	): ButtonContext
+
+	/**
+	 * Get the language and filename of a code block
+	 * @param container - The container element
+	 * @returns The language and filename, if known
+	 * @private
+	 */
+	private static getBlockInfo(container: HTMLElement | null): {
+		language: string | null
+		filename: string | null
+	}
+
+	/**
+	 * Dispatch a bubbling highlightit:<type> event on the container of an element
+	 * @param element - The container or an element inside it
+	 * @param type - The event type without the highlightit: prefix
+	 * @param detail - Additional event detail
+	 * @param cancelable - Whether the event can be canceled
+	 * @returns False if a listener canceled the event
+	 * @private
+	 */
+	private static emitEvent(
+		element: HTMLElement,
+		type: string,
+		detail?: Partial<HighlightItEventDetail>,
+		cancelable?: boolean
+	): boolean
+
+	/**
+	 * Create the registered buttons for a code block and append them to a button container
+	 * @param buttonContainer - The element to append the buttons to
+	 * @param context - The button context
+	 * @private
+	 */
+	private static appendButtons(buttonContainer: HTMLElement, context: ButtonContext): void
+
+	/**
+	 * Create a button registered with registerButton()
+	 * @param button - The registered button
+	 * @param context - The button context
+	 * @returns The button element
+	 * @private
+	 */
+	private static createCustomButton(button: RegisteredButton, context: ButtonContext): HTMLElement
+
+	/**
+	 * Attach the click handler of a registered button
+	 * @param customButton - The button element
+	 * @param button - The registered button
+	 * @param container - The container element
+	 * @param features - Which built-in buttons are enabled for the block
+	 * @private
+	 */
+	private static setupCustomButtonHandler(
+		customButton: HTMLElement,
+		button: RegisteredButton,
+		container: HTMLElement,
+		features: ButtonFeatures
+	): void
+
+	/**
+	 * Attach the click handler that copies the code to a floating copy button
+	 * @param copyButton - The floating copy button element
+	 * @param code - The code to copy
+	 * @private
+	 */
+	private static setupFloatingCopyButtonHandler(copyButton: HTMLElement, code: string): void
+
+	/**
+	 * Get language from a filename: well-known names such as Dockerfile or .bashrc first,
+	 * then glob rules such as Makefile.* and finally the extension
+	 * @param filename - The filename (or path) to get the language for
 	 * @returns The language name or null if not determined
 	 * @private
 	 */
 	private static getLanguageFromFilename(filename: string): string | null
 
+	/**
+	 * Check whether a filename matches a glob with * and ? wildcards, ignoring case
+	 * @param filename - The filename
+	 * @param glob - The glob, e.g. "Dockerfile.*"
+	 * @returns Whether the filename matches
+	 * @private
+	 */
+	private static matchesGlob(filename: string, glob: string): boolean
+
+	/**
+	 * Get the language a code snippet declares itself: a shebang such as
+	 * "#!/usr/bin/env python", a Vim or Emacs modeline, or a leading "<?php"
+	 * @param code - The code
+	 * @returns The language name or null if the code declares none
+	 * @private
+	 */
+	private static detectLanguageFromContent(code: string): string | null
+
+	/**
+	 * Highlight code in the given language, or in the auto-detected language if none is given.
+	 * Also runs inside the highlighting Web Worker.
+	 * @param code - The code to highlight
+	 * @param language - The language of the code
+	 * @param autoDetect - Whether to auto-detect the language if none is given
+	 * @returns The highlighted HTML and its language
+	 * @private
+	 */
+	private static highlightCode(
+		code: string,
+		language: string | null,
+		autoDetect: boolean
+	): HighlightResult
+
+	/**
+	 * Check whether a block is large enough to be highlighted in a Web Worker. Languages
+	 * registered with registerLanguage() only exist on the main thread, so blocks in them, or
+	 * auto-detected blocks once any are registered, stay on the main thread.
+	 * @param code - The code of the block
+	 * @param language - The language of the block, if known
+	 * @returns Whether to highlight the block in a Web Worker
+	 * @private
+	 */
+	private static shouldUseWorker(code: string, language: string | null): boolean
+
+	/**
+	 * Get the highlighting Web Worker, creating it on first use. The worker loads the
+	 * highlight-it build (and highlight.js for the slim build) and calls highlightCode.
+	 * @returns The worker, or null if it could not be created
+	 * @private
+	 */
+	private static getWorker(): Worker | null
+
+	/**
+	 * Highlight code in the Web Worker, falling back to the main thread without one
+	 * @param code - The code to highlight
+	 * @param language - The language of the code
+	 * @param autoDetect - Whether to auto-detect the language if none is given
+	 * @returns The highlighted HTML and its language
+	 * @private
+	 */
+	private static highlightInWorker(
+		code: string,
+		language: string | null,
+		autoDetect: boolean
+	): Promise<HighlightResult>
+
 	/**
 	 * Auto-detect language with priority given to popular languages
 	 * @param code - The code to detect the language of
@@ -455,6 +2233,7 @@ declare class HighlightIt {
 	 * @param languageOrFilename The language or filename to use for highlighting
 	 * @param code The code to highlight
 	 * @param showLanguage Whether to show the language in the header
+	 * @param html The code already highlighted in the Web Worker
 	 *
 	 * @remarks
 	 * This method maintains proper ID handling to ensure consistency across re-highlighting:
@@ -469,7 +2248,8 @@ declare class HighlightIt {
 		container: HTMLElement,
 		languageOrFilename: string | null,
 		code: string,
-		showLanguage: boolean
+		showLanguage: boolean,
+		html?: string | null
 	): void
 
 	/**
@@ -504,6 +2284,41 @@ declare class HighlightIt {
 	 * @private
 	 */
 	private static getLanguageFileExtension(language: string): string
+
+	/**
+	 * Get the label to show in the header for a language: its registered display name, or the
+	 * label itself (a language name or filename)
+	 * @param label - The language name or filename
+	 * @returns The label to show
+	 * @private
+	 */
+	private static getLanguageLabel(label: string | null): string | null
+
+	/**
+	 * Get the filename to download code in a language as: code.<extension>, or the
+	 * well-known filename for languages without an extension, e.g. Dockerfile or Makefile
+	 * @param language - The language of the code
+	 * @returns The filename
+	 * @private
+	 */
+	private static getLanguageFilename(language: string | null | undefined): string
+
+	/**
+	 * Collect the library and theme styles of the document for the shadow root of a
+	 * <highlight-it> element. Stylesheets that cannot be read (cross-origin links) are
+	 * returned as link elements to clone instead.
+	 * @returns The styles
+	 * @private
+	 */
+	private static getShadowStyles(): ShadowStyles
+
+	/**
+	 * Get the global theme set on the document root. Theme rules keyed on the root class
+	 * cannot match inside a shadow root, so <highlight-it> elements pass it on to their block.
+	 * @returns 'light' or 'dark', or null for the auto theme
+	 * @private
+	 */
+	private static getDocumentTheme(): 'light' | 'dark' | null
 }
 
 export default HighlightIt
@@ -513,6 +2328,15 @@ declare global {
 		HighlightIt: typeof HighlightIt
 	}
 
+	interface HTMLElementEventMap {
+		'highlightit:highlighted': CustomEvent<HighlightItEventDetail>
+		'highlightit:copy': CustomEvent<HighlightItEventDetail>
+		'highlightit:share': CustomEvent<HighlightItEventDetail>
+		'highlightit:download': CustomEvent<HighlightItEventDetail>
+		'highlightit:line-share': CustomEvent<HighlightItEventDetail>
+		'highlightit:live-update': CustomEvent<HighlightItEventDetail>
+	}
+
 	interface HTMLElement {
 		/**
 		 * Stored ResizeObserver for line numbers
@@ -520,11 +2344,101 @@ declare global {
 		 */
 		_lineNumbersResizeObserver?: ResizeObserver
 
+		/**
+		 * Stored ResizeObserver that lays out the annotation margin again
+		 * @internal
+		 */
+		_annotationsResizeObserver?: ResizeObserver | null
+
 		/**
 		 * Highlight.js observer for the element
 		 * @internal
 		 */
 		_highlightObserver?: MutationObserver
+
+		/**
+		 * Line types of a rendered diff
+		 * @internal
+		 */
+		_diffLineTypes?: string[]
+
+		/**
+		 * Lines highlighted from a permalink or the gutter selection
+		 * @internal
+		 */
+		_targetLines?: Set<number> | null
+
+		/**
+		 * First line of the current gutter selection, used for shift-click
+		 * @internal
+		 */
+		_selectionAnchor?: number | null
+
+		/**
+		 * Whether gutter line selection is set up for the container
+		 * @internal
+		 */
+		_lineSelectionReady?: boolean
+
+		/**
+		 * Whether a block collapsed by data-max-lines has been expanded
+		 * @internal
+		 */
+		_expanded?: boolean
+
+		/**
+		 * Whether the event handlers of the container have been attached
+		 * @internal
+		 */
+		_hydrated?: boolean
+
+		/**
+		 * First line numbers of the folded regions of the container
+		 * @internal
+		 */
+		_foldedLines?: Set<number>
+
+		/**
+		 * Whether the fold click handler is set up for the container
+		 * @internal
+		 */
+		_foldingReady?: boolean
+
+		/**
+		 * State of the container's find bar
+		 * @internal
+		 */
+		_search?: SearchState | null
+
+		/**
+		 * The lines of a live-updated code element and where highlighting can restart
+		 * @internal
+		 */
+		_incremental?: { language: string; lines: string[]; safeStarts: boolean[] } | null
+
+		/**
+		 * The data-annotations value the cached annotations were parsed from
+		 * @internal
+		 */
+		_annotationsSource?: string
+
+		/**
+		 * The parsed annotations of the container
+		 * @internal
+		 */
+		_annotations?: Map<number, string[]>
+
+		/**
+		 * Whether the annotation popover handlers are set up for the container
+		 * @internal
+		 */
+		_annotationsReady?: boolean
+
+		/**
+		 * Whether the open annotation popover was opened by a click
+		 * @internal
+		 */
+		_annotationPinned?: boolean
 	}
 
 	interface HTMLButtonElement {
@@ -535,11 +2449,56 @@ declare global {
 		_currentCode?: string
 
 		/**
-		 * Stored code content for download buttons
+		 * Stored code content for download buttons, and the current code of a container as
+		 * passed to button callbacks and events
 		 * @internal
 		 */
 		_code?: string
 
+		/**
+		 * A copy of the element a container was created from (on the container), or of an
+		 * element before highlight() changed its data attributes (on the element)
+		 * @internal
+		 */
+		_source?: HTMLElement | null
+
+		/**
+		 * The container an element was turned into
+		 * @internal
+		 */
+		_container?: HTMLElement
+
+		/**
+		 * Whether the container was torn down with destroy()
+		 * @internal
+		 */
+		_destroyed?: boolean
+
+		/**
+		 * The options a container was highlighted with, read again when its handle rebuilds it
+		 * @internal
+		 */
+		_options?: HighlightElementOptions
+
+		/**
+		 * The buttons a container was rendered with, read when live updates rebuild its
+		 * floating buttons
+		 * @internal
+		 */
+		_buttons?: {
+			copy: boolean
+			share: boolean
+			download: boolean
+			wrap: boolean
+			search: boolean
+		}
+
+		/**
+		 * The handle of a container
+		 * @internal
+		 */
+		_block?: BlockHandle
+
 		/**
 		 * Stored block ID for share buttons
 		 * @internal
@@ -11,6 +11,11 @@ import hljs from 'highlight.js';
 
 const BASE62_CHARS = '0123456789abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ';
 
+const currentScriptUrl =
+    typeof document !== 'undefined' && document.currentScript && document.currentScript.src
+        ? document.currentScript.src
+        : null;
+
 /**
  * HighlightIt class for syntax highlighting
  */
@@ -19,6 +24,7 @@ class HighlightIt {
      * Initialize HighlightIt by finding and highlighting all matching elements
      * @param {Object} options - Configuration options
      * @param {string} [options.selector='.highlight-it'] - CSS selector for elements to highlight
+     * @param {string} [options.inlineSelector='.highlight-it-inline'] - CSS selector for inline code spans
      * @param {boolean} [options.autoDetect=true] - Whether to auto-detect language if not specified
      * @param {boolean} [options.addCopyButton=true] - Whether to add a copy button to code blocks
      * @param {boolean} [options.showLanguage=true] - Whether to show the language label
@@ -26,12 +32,20 @@ class HighlightIt {
      * @param {boolean} [options.addLines=false] - Whether to add line numbers to code blocks
      * @param {boolean} [options.addShare=false] - Whether to add share button to code blocks
      * @param {boolean} [options.addDownload=false] - Whether to add download button to code blocks
+     * @param {boolean} [options.addWrap=false] - Whether to add a soft-wrap toggle button to code blocks
+     * @param {boolean} [options.addSearch=false] - Whether to add a find button to code blocks
      * @param {string} [options.theme='auto'] - Theme to use ('light', 'dark', or 'auto')
      * @param {number} [options.debounceTime=50] - Debounce time in ms for live updates (lower values = more responsive)
+     * @param {boolean} [options.lazy=false] - Whether to highlight blocks only when they come near the viewport
+     * @param {string} [options.lazyRootMargin='200px'] - How far outside the viewport lazy blocks are highlighted
+     * @param {number} [options.workerThreshold=1000] - Highlight blocks with at least this many lines in a Web Worker (0 disables the worker)
+     * @param {string} [options.workerScriptUrl] - URL of the highlight-it build to load in the worker (default is the script the library was loaded from)
+     * @param {string} [options.workerHljsUrl] - URL of highlight.js to load in the worker (needed with the slim build)
      */
     static init(options = {}) {
         const {
             selector = '.highlight-it',
+            inlineSelector = '.highlight-it-inline',
             autoDetect = true,
             addCopyButton = true,
             showLanguage = true,
@@ -39,13 +53,23 @@ class HighlightIt {
             addLines = false,
             addShare = false,
             addDownload = false,
+            addWrap = false,
+            addSearch = false,
             theme = 'auto',
             debounceTime = 50,
+            lazy = false,
+            lazyRootMargin = '200px',
+            workerThreshold = 1000,
+            workerScriptUrl = currentScriptUrl,
+            workerHljsUrl = null,
         } = options;
 
         polyfills.init();
 
         this.debounceTime = debounceTime;
+        this.workerThreshold = workerThreshold;
+        this.workerScriptUrl = workerScriptUrl;
+        this.workerHljsUrl = workerHljsUrl;
         this.applyGlobalTheme(theme);
 
         this.isTouchDevice = polyfills.supports.touch;
@@ -54,26 +78,52 @@ class HighlightIt {
             polyfills.classList.add(document.documentElement, 'highlightit-touch-device');
         }
 
-        const elements = document.querySelectorAll(`${selector}:not(.highlightit-original)`);
+        document.querySelectorAll('.highlightit-container').forEach((container) => {
+            this.hydrateContainer(container);
+        });
+
+        if (inlineSelector) {
+            document.querySelectorAll(inlineSelector).forEach((element) => {
+                this.processInlineElement(element, autoDetect);
+            });
+        }
+
+        const elements = document.querySelectorAll(
+            `${selector}:not(.highlightit-original):not(.highlightit-container)`
+        );
+
+        const deferBlocks = lazy && polyfills.supports.IntersectionObserver;
 
         const chunkSize = 50;
         const processChunk = (startIndex) => {
             const endIndex = Math.min(startIndex + chunkSize, elements.length);
             for (let i = startIndex; i < endIndex; i++) {
-                this.processElement(
-                    elements[i],
-                    autoDetect,
-                    addCopyButton,
-                    showLanguage,
-                    addHeader,
-                    addLines,
-                    addShare,
-                    addDownload
-                );
+                const element = elements[i];
+                const highlight = () =>
+                    this.processElement(
+                        element,
+                        autoDetect,
+                        addCopyButton,
+                        showLanguage,
+                        addHeader,
+                        addLines,
+                        addShare,
+                        addDownload,
+                        addWrap,
+                        addSearch
+                    );
+
+                if (deferBlocks && element.dataset.group === undefined) {
+                    this.deferHighlight(element, highlight, lazyRootMargin);
+                } else {
+                    highlight();
+                }
             }
             if (endIndex < elements.length) {
                 polyfills.requestAnimationFrame(() => processChunk(endIndex));
             } else {
+                this.initCodeGroups();
+
                 if (window.location.hash) {
                     this.scrollToAnchor();
                 }
@@ -86,6 +136,506 @@ class HighlightIt {
         this.initSharing();
     }
 
+    /**
+     * Wire up the behavior of code blocks that were rendered on the server with renderToString.
+     * The markup is kept as it is: nothing is highlighted again and no element is replaced.
+     * @param {Document|HTMLElement} [root=document] - The root to search for code blocks in
+     */
+    static hydrate(root = document) {
+        polyfills.init();
+
+        this.isTouchDevice = polyfills.supports.touch;
+
+        const containers = Array.from(root.querySelectorAll('.highlightit-container'));
+        if (root.classList && root.classList.contains('highlightit-container')) {
+            containers.unshift(root);
+        }
+
+        containers.forEach((container) => this.hydrateContainer(container));
+
+        this.initCodeGroups(root);
+        this.initSharing();
+    }
+
+    /**
+     * Tear down a code block and put back the element it was created from, with its ID, data
+     * attributes and current code. Observers are disconnected and the hidden original kept for
+     * live updates is removed, so the returned element can be highlighted again.
+     * @param {HTMLElement} target - The container, an element inside it, its hidden original or
+     * an element still waiting to be highlighted lazily
+     * @returns {HTMLElement|null} - The restored element, or null if the target is no code block
+     */
+    static destroy(target) {
+        if (!target) return null;
+
+        if (this.cancelDeferred(target)) {
+            return target;
+        }
+
+        const container = this.findContainer(target);
+        return container ? this.destroyContainer(container) : null;
+    }
+
+    /**
+     * Tear down every code block inside a root, see destroy()
+     * @param {Document|HTMLElement} [root=document] - The root to search for code blocks in
+     * @returns {HTMLElement[]} - The restored elements
+     */
+    static destroyAll(root = document) {
+        if (this._deferredElements) {
+            Array.from(this._deferredElements.keys())
+                .filter((element) => root === element || root.contains(element))
+                .forEach((element) => this.cancelDeferred(element));
+        }
+
+        const containers = Array.from(root.querySelectorAll('.highlightit-container'));
+        if (root.classList && root.classList.contains('highlightit-container')) {
+            containers.unshift(root);
+        }
+
+        return containers
+            .filter((container) => !container._destroyed)
+            .map((container) => this.destroyContainer(container));
+    }
+
+    /**
+     * Disconnect the observers of a code block and replace it with the element it was
+     * created from. Blocks rendered with renderToString get a plain .highlight-it element.
+     * @param {HTMLElement} container - The container element
+     * @returns {HTMLElement} - The restored element
+     * @private
+     */
+    static destroyContainer(container) {
+        container._destroyed = true;
+
+        const element = container.querySelector('pre code');
+        const original = element && this.findOriginalElement(element, container);
+
+        [original, element].forEach((node) => {
+            if (node && node._highlightObserver) {
+                node._highlightObserver.disconnect();
+                node._highlightObserver = null;
+            }
+        });
+
+        ['_lineNumbersResizeObserver', '_annotationsResizeObserver'].forEach((key) => {
+            if (container[key]) {
+                container[key].disconnect();
+                container[key] = null;
+            }
+        });
+
+        const group = container.closest('.highlightit-group');
+        if (group) {
+            this.dissolveCodeGroup(group);
+        }
+
+        const code = this.getBlockCode(container);
+        let restored = container._source;
+
+        if (!restored) {
+            restored = document.createElement('div');
+            restored.className = 'highlight-it';
+
+            for (const key in container.dataset) {
+                if (!['linkedOriginal', 'originalId'].includes(key)) {
+                    restored.dataset[key] = container.dataset[key];
+                }
+            }
+
+            const id = container.getAttribute('data-original-id') || container.id;
+            if (id) restored.id = id;
+
+            restored.textContent = code;
+        } else {
+            this.getSourceCodeElement(restored).textContent = code;
+        }
+
+        container._source = null;
+
+        if (container.parentNode) {
+            container.parentNode.replaceChild(restored, container);
+        }
+
+        if (original && original.parentNode) {
+            original.parentNode.removeChild(original);
+        }
+
+        return restored;
+    }
+
+    /**
+     * Find the container of a code block from the container itself, an element inside it, the
+     * element it was created from or its hidden original
+     * @param {HTMLElement} target - The element to start from
+     * @returns {HTMLElement|null} - The container, or null if there is none or it was destroyed
+     * @private
+     */
+    static findContainer(target) {
+        if (!target || !target.classList) return null;
+
+        let container = target._container || target.closest('.highlightit-container');
+
+        if (!container && target.classList.contains('highlightit-original')) {
+            const linkedId = target.getAttribute('data-highlightit-id');
+            const linked = document.querySelector(`[data-linked-original="${linkedId}"]`);
+            container = linked && linked.closest('.highlightit-container');
+        }
+
+        return container && !container._destroyed ? container : null;
+    }
+
+    /**
+     * Get the current source code of a code block: the code of its hidden original for live
+     * updates, otherwise the code of the element it was created from
+     * @param {HTMLElement} container - The container element
+     * @returns {string} - The code, untrimmed
+     * @private
+     */
+    static getBlockCode(container) {
+        const element = container.querySelector('pre code');
+        const original = element && this.findOriginalElement(element, container);
+
+        if (original) {
+            return (original.querySelector('code') || original).textContent;
+        }
+
+        if (container._source) {
+            return this.getSourceCodeElement(container._source).textContent;
+        }
+
+        return element ? element.textContent : '';
+    }
+
+    /**
+     * Get the element holding the code of a copy made for destroy(): the <code> of a <pre>,
+     * otherwise the copy itself
+     * @param {HTMLElement} source - The copy of the element a block was created from
+     * @returns {HTMLElement} - The element holding the code
+     * @private
+     */
+    static getSourceCodeElement(source) {
+        return (source.tagName.toLowerCase() === 'pre' && source.querySelector('code')) || source;
+    }
+
+    /**
+     * Write the data attributes of the given options on an element restored by destroy(), or
+     * remove them for options that are turned off, so they do not override the new options
+     * @param {HTMLElement} element - The restored element
+     * @param {Object} options - The changed options
+     * @private
+     */
+    static applyOptionAttributes(element, options) {
+        const codeElement = this.getSourceCodeElement(element);
+
+        Object.keys(options).forEach((option) => {
+            const attribute = cache.optionAttributes.get(option);
+            if (!attribute) return;
+
+            let value = options[option];
+            if (value !== undefined && value !== null && cache.negatedOptions.has(option)) {
+                value = !value;
+            }
+
+            if (codeElement !== element) {
+                delete codeElement.dataset[attribute];
+            }
+
+            if (value === undefined || value === null || value === false) {
+                delete element.dataset[attribute];
+            } else if (value === true) {
+                element.dataset[attribute] = '';
+            } else {
+                element.dataset[attribute] =
+                    typeof value === 'object' ? JSON.stringify(value) : value;
+            }
+        });
+    }
+
+    /**
+     * Create the handle returned by highlight() and getBlock(). Changing the code of a block
+     * without live updates, its language or its options destroys the block and highlights the
+     * restored element again, so every option is read afresh; the handle follows the new
+     * container.
+     * @param {HTMLElement} container - The container element
+     * @returns {Object} - The block handle
+     * @private
+     */
+    static createBlockHandle(container) {
+        let current = container;
+
+        const rebuild = (change) => {
+            if (current._destroyed) {
+                console.warn('HighlightIt: Cannot change a code block that was destroyed');
+                return handle;
+            }
+
+            const options = { ...current._options };
+            const element = this.destroyContainer(current);
+
+            change(element, options);
+
+            current = this.highlight(element, options).container;
+            current._block = handle;
+
+            if (this.getCodeGroupName(current)) {
+                this.initCodeGroups();
+            }
+
+            return handle;
+        };
+
+        const handle = {
+            get container() {
+                return current;
+            },
+            getCode: () => this.getBlockCode(current).trim(),
+            setCode: (code) => {
+                const element = current.querySelector('pre code');
+                const original = element && this.findOriginalElement(element, current);
+
+                if (original && !current._destroyed) {
+                    (original.querySelector('code') || original).textContent = code;
+                    return handle;
+                }
+
+                return rebuild((restored) => {
+                    this.getSourceCodeElement(restored).textContent = code;
+                });
+            },
+            setLanguage: (language) =>
+                rebuild((restored, options) => {
+                    options.language = language;
+                    this.applyOptionAttributes(restored, { language });
+                }),
+            setOptions: (options) =>
+                rebuild((restored, currentOptions) => {
+                    Object.assign(currentOptions, options);
+                    this.applyOptionAttributes(restored, options);
+                }),
+            refresh: () => rebuild(() => {}),
+            destroy: () => (current._destroyed ? null : this.destroyContainer(current)),
+        };
+
+        return handle;
+    }
+
+    /**
+     * Move the code blocks of a tabbed group back in place of the group
+     * @param {HTMLElement} group - The group element
+     * @private
+     */
+    static dissolveCodeGroup(group) {
+        group.querySelectorAll('.highlightit-group-panel').forEach((panel) => {
+            while (panel.firstChild) {
+                group.parentNode.insertBefore(panel.firstChild, group);
+            }
+        });
+
+        group.parentNode.removeChild(group);
+    }
+
+    /**
+     * Attach the event handlers, live-update observer and interactive line decorations
+     * to a pre-rendered code block
+     * @param {HTMLElement} container - The container element
+     * @private
+     */
+    static hydrateContainer(container) {
+        const element = container.querySelector('pre code');
+        if (!element || container._hydrated) return;
+
+        container._hydrated = true;
+
+        const code = element.textContent.trim();
+        const copyCode = this.isDiffBlock(element, container) ? this.parseDiff(code).after : code;
+        const language =
+            element.dataset.language || (element.className.match(/language-(\w+)/) || [])[1];
+        const withShare =
+            container.dataset.withShare !== undefined || element.dataset.withShare !== undefined;
+
+        container._code = copyCode;
+
+        container.querySelectorAll('.highlightit-copy').forEach((button) => {
+            if (button.classList.contains('highlightit-floating')) {
+                this.setupFloatingCopyButtonHandler(button, copyCode);
+            } else {
+                this.setupCopyButtonHandler(button, copyCode);
+            }
+        });
+
+        container.querySelectorAll('.highlightit-download').forEach((button) => {
+            this.setupDownloadButtonHandler(button, copyCode, language, container);
+        });
+
+        container.querySelectorAll('.highlightit-share').forEach((button) => {
+            if (this.isTouchDevice && button.classList.contains('highlightit-floating')) {
+                button.style.opacity = '1';
+            }
+            this.setupShareButtonHandler(button, container);
+        });
+
+        container.querySelectorAll('.highlightit-wrap').forEach((button) => {
+            this.setupWrapButtonHandler(button, container);
+        });
+
+        container.querySelectorAll('.highlightit-search').forEach((button) => {
+            this.setupSearchButtonHandler(button, container);
+        });
+
+        container.querySelectorAll('.highlightit-line-share').forEach((button) => {
+            this.setupLineShareButtonHandler(button, container);
+        });
+
+        const features = {};
+        ['copy', 'share', 'download', 'wrap', 'search'].forEach((feature) => {
+            features[feature] = !!container.querySelector(`.highlightit-${feature}`);
+        });
+
+        container.querySelectorAll('.highlightit-custom-button').forEach((customButton) => {
+            const button = this.getButtonRegistry().get(customButton.dataset.buttonId);
+            if (!button || typeof button.onClick !== 'function') return;
+
+            if (this.isTouchDevice && customButton.classList.contains('highlightit-floating')) {
+                customButton.style.opacity = '1';
+            }
+            this.setupCustomButtonHandler(customButton, button, container, features);
+        });
+
+        if (withShare) {
+            this.setupLineSelection(container);
+        }
+
+        if (container.classList.contains('highlightit-wrapped')) {
+            this.setWrap(container, true);
+        }
+
+        this.decorateLines(container);
+
+        this.runPluginHooks('afterRender', container, this.getHookContext(element, language));
+
+        if (container.dataset.withReload !== undefined) {
+            this.setupLiveUpdates(
+                element,
+                container,
+                true,
+                !!container.querySelector('.highlightit-header .highlightit-language'),
+                withShare
+            );
+        }
+    }
+
+    /**
+     * Highlight an element once it comes near the viewport instead of right away.
+     * Deferred elements are still highlighted at once before printing.
+     * @param {HTMLElement} element - The element to highlight
+     * @param {Function} highlight - Highlights the element
+     * @param {string} rootMargin - How far outside the viewport the element is highlighted
+     * @private
+     */
+    static deferHighlight(element, highlight, rootMargin) {
+        if (!this._deferredElements) {
+            this._deferredElements = new Map();
+            window.addEventListener('beforeprint', () => this.highlightAllDeferred(document));
+        }
+
+        if (!this._lazyObserver || this._lazyRootMargin !== rootMargin) {
+            this._lazyRootMargin = rootMargin;
+            this._lazyObserver = new IntersectionObserver(
+                (entries) => {
+                    this.pruneDeferred();
+
+                    entries.forEach((entry) => {
+                        if (entry.isIntersecting) {
+                            this.highlightDeferred(entry.target);
+                        }
+                    });
+                },
+                { rootMargin }
+            );
+        }
+
+        this.pruneDeferred();
+
+        this._deferredElements.set(element, { highlight, observer: this._lazyObserver });
+        this._lazyObserver.observe(element);
+    }
+
+    /**
+     * Stop waiting for deferred elements that were removed from the page before they came
+     * near the viewport, so they are not kept alive
+     * @private
+     */
+    static pruneDeferred() {
+        this._deferredElements.forEach((deferred, element) => {
+            if (!element.isConnected) {
+                this.cancelDeferred(element);
+            }
+        });
+    }
+
+    /**
+     * Stop waiting to highlight a deferred element
+     * @param {HTMLElement} element - The deferred element
+     * @returns {boolean} - Whether the element was waiting to be highlighted
+     * @private
+     */
+    static cancelDeferred(element) {
+        const deferred = this._deferredElements && this._deferredElements.get(element);
+        if (!deferred) return false;
+
+        this._deferredElements.delete(element);
+        deferred.observer.unobserve(element);
+        return true;
+    }
+
+    /**
+     * Highlight a deferred element now
+     * @param {HTMLElement} element - The deferred element
+     * @returns {boolean} - Whether the element was waiting to be highlighted
+     * @private
+     */
+    static highlightDeferred(element) {
+        const deferred = this._deferredElements && this._deferredElements.get(element);
+        if (!deferred) return false;
+
+        this._deferredElements.delete(element);
+        deferred.observer.unobserve(element);
+
+        if (!element.isConnected || element.closest('.highlightit-container')) {
+            return false;
+        }
+
+        deferred.highlight();
+
+        const container = this.findContainer(element);
+        if (container) {
+            this.layoutAnnotationNotes(container);
+        }
+
+        return true;
+    }
+
+    /**
+     * Highlight every deferred element inside a root now
+     * @param {Document|HTMLElement} root - The root element (or the deferred element itself)
+     * @returns {boolean} - Whether any element was highlighted
+     * @private
+     */
+    static highlightAllDeferred(root) {
+        if (!this._deferredElements) return false;
+
+        let highlighted = false;
+
+        Array.from(this._deferredElements.keys()).forEach((element) => {
+            if (!element.isConnected || root === element || root.contains(element)) {
+                highlighted = this.highlightDeferred(element) || highlighted;
+            }
+        });
+
+        return highlighted;
+    }
+
     /**
      * Generate a hash using SHA-256 and convert to a 12-character base62 string
      * @param {string} input - The string to hash
@@ -144,10 +694,7 @@ class HighlightIt {
      * @returns {HTMLElement} - The share button element
      */
     static async createShareButton(code, container) {
-        const shareButton = document.createElement('button');
-        shareButton.className = 'highlightit-button highlightit-share';
-        shareButton.setAttribute('aria-label', 'Copy link to this code');
-        shareButton.innerHTML = cache.svgIcons.share;
+        const shareButton = this.createElementFromMarkup(this.getButtonMarkup('share'));
 
         const originalId = container.getAttribute('data-original-id');
         const containerId = container.id;
@@ -158,11 +705,25 @@ class HighlightIt {
             container.id = blockId;
         }
 
+        this.setupShareButtonHandler(shareButton, container);
+
+        return shareButton;
+    }
+
+    /**
+     * Attach the click handler that copies a link to the code block to a share button
+     * @param {HTMLElement} shareButton - The share button element
+     * @param {HTMLElement} container - The container element (to extract id)
+     * @private
+     */
+    static setupShareButtonHandler(shareButton, container) {
         const clickListener = async () => {
             const currentId = container.getAttribute('data-original-id') || container.id;
             const url = new URL(window.location.href);
             url.hash = currentId;
 
+            this.emitEvent(shareButton, 'share', { url: url.toString() });
+
             const success = await polyfills.copyToClipboard(url.toString());
 
             if (success) {
@@ -178,9 +739,7 @@ class HighlightIt {
 
         shareButton.addEventListener('click', clickListener);
         shareButton.onclickBackup = clickListener;
-        shareButton._currentBlockId = blockId;
-
-        return shareButton;
+        shareButton._currentBlockId = container.getAttribute('data-original-id') || container.id;
     }
 
     /**
@@ -238,11 +797,13 @@ class HighlightIt {
         const fullHash = window.location.hash.substring(1);
         if (!fullHash) return;
 
-        const hashParts = fullHash.split('_');
-        const hash = hashParts[0];
-        const lineNumber = hashParts.length > 1 ? parseInt(hashParts[1], 10) : null;
+        const { id: hash, lines } = this.parseAnchor(fullHash);
+
+        let target = document.getElementById(hash);
+        if (target && this.highlightAllDeferred(target)) {
+            target = document.getElementById(hash);
+        }
 
-        const target = document.getElementById(hash);
         if (target) {
             if (target.classList.contains('highlightit-original')) {
                 const uniqueId = target.getAttribute('data-highlightit-id');
@@ -254,14 +815,14 @@ class HighlightIt {
 
                 if (visibleTarget) {
                     setTimeout(() => {
-                        this.scrollToHighlightedElement(visibleTarget, lineNumber);
+                        this.scrollToHighlightedElement(visibleTarget, lines);
                     }, 100);
                     return;
                 }
             }
 
             setTimeout(() => {
-                this.scrollToHighlightedElement(target, lineNumber);
+                this.scrollToHighlightedElement(target, lines);
             }, 100);
         } else if (attempts < 10) {
             setTimeout(
@@ -274,1119 +835,4286 @@ class HighlightIt {
     }
 
     /**
-     * Scroll to a highlighted element and optionally to a specific line
-     * @param {HTMLElement} element - The element to scroll to
-     * @param {number|null} lineNumber - The line number to highlight, if any
+     * Parse a URL fragment into a block ID and the linked lines.
+     * Supports the range grammar "blockId:L10-L20,L30" and the legacy "blockId_10" form.
+     * @param {string} fragment - The URL fragment without the leading '#'
+     * @returns {{id: string, lines: Set<number>|null}} - The block ID and the linked lines
      * @private
      */
-    static scrollToHighlightedElement(element, lineNumber) {
-        if (lineNumber !== null) {
-            const container = element.closest('.highlightit-container');
-            if (container) {
-                const lineNumbers = container.querySelectorAll('.highlightit-line-number');
-                for (let i = 0; i < lineNumbers.length; i++) {
-                    const ln = lineNumbers[i];
-                    if (ln.textContent.trim() === String(lineNumber)) {
-                        const lineContainer =
-                            ln.closest('.highlightit-line-number-container') || ln;
-
-                        this.createFullWidthHighlight(lineContainer, container);
+    static parseAnchor(fragment) {
+        const rangeMatch = fragment.match(/^(.+):(L-?\d+(?:-L-?\d+)?(?:,L-?\d+(?:-L-?\d+)?)*)$/i);
+        if (rangeMatch) {
+            return {
+                id: rangeMatch[1],
+                lines: this.parseLineRanges(rangeMatch[2].replace(/L/gi, '')),
+            };
+        }
 
-                        lineContainer.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        if (document.getElementById(fragment)) {
+            return { id: fragment, lines: null };
+        }
 
-                        return;
-                    }
-                }
-            }
+        const legacyMatch = fragment.match(/^(.+)_(-?\d+)$/);
+        if (legacyMatch) {
+            return { id: legacyMatch[1], lines: new Set([parseInt(legacyMatch[2], 10)]) };
         }
 
-        element.scrollIntoView({ behavior: 'smooth', block: 'start' });
-        element.classList.add('highlightit-anchor-highlight');
-        setTimeout(() => {
-            element.classList.remove('highlightit-anchor-highlight');
-        }, 2000);
+        return { id: fragment, lines: null };
     }
 
     /**
-     * Create a full-width highlight that spans both line numbers and code
-     * @param {HTMLElement} lineContainer - The line container element
-     * @param {HTMLElement} codeContainer - The code container element
+     * Build a URL fragment that links to lines of a block, e.g. "blockId:L10-L20,L30"
+     * @param {string} blockId - The block ID
+     * @param {Iterable<number>} lines - The line numbers to link to
+     * @returns {string} - The URL fragment without the leading '#'
      * @private
      */
-    static createFullWidthHighlight(lineContainer, codeContainer) {
-        lineContainer.classList.add('highlightit-line-highlight');
-
-        const rect = polyfills.getBoundingClientRect(lineContainer);
-        const containerRect = polyfills.getBoundingClientRect(codeContainer);
-
-        const overlay = document.createElement('div');
-        overlay.className = 'highlightit-line-highlight-overlay';
-
-        overlay.style.top = `${rect.top - containerRect.top}px`;
-        overlay.style.height = `${rect.height}px`;
-        overlay.style.width = '100%';
-        overlay.style.left = '0';
+    static formatLineAnchor(blockId, lines) {
+        const sorted = Array.from(lines).sort((a, b) => a - b);
+        const ranges = [];
+
+        sorted.forEach((line) => {
+            const last = ranges[ranges.length - 1];
+            if (last && line === last[1] + 1) {
+                last[1] = line;
+            } else if (!last || line !== last[1]) {
+                ranges.push([line, line]);
+            }
+        });
 
-        codeContainer.appendChild(overlay);
+        const parts = ranges.map(([start, end]) =>
+            start === end ? `L${start}` : `L${start}-L${end}`
+        );
 
-        setTimeout(() => {
-            lineContainer.classList.remove('highlightit-line-highlight');
-            if (overlay && overlay.parentNode) {
-                overlay.parentNode.removeChild(overlay);
-            }
-        }, 2500);
+        return `${blockId}:${parts.join(',')}`;
     }
 
     /**
-     * Process an element for highlighting, handling both single and nested element structures
-     * @param {HTMLElement} element - The element to process
-     * @param {boolean} autoDetect - Whether to auto-detect language
-     * @param {boolean} addCopyButton - Whether to add a copy button
-     * @param {boolean} showLanguage - Whether to show the language label
-     * @param {boolean} addHeader - Whether to add header section
-     * @param {boolean} addLines - Whether to add line numbers
-     * @param {boolean} addShare - Whether to add share button
-     * @param {boolean} addDownload - Whether to add download button
+     * Scroll to a highlighted element and optionally to specific lines
+     * @param {HTMLElement} element - The element to scroll to
+     * @param {Set<number>|null} lines - The line numbers to highlight, if any
      * @private
      */
-    static processElement(
-        element,
-        autoDetect,
-        addCopyButton,
-        showLanguage,
-        addHeader,
-        addLines,
-        addShare,
-        addDownload
-    ) {
-        let codeElement;
-        let preElement;
-        let originalElement = null;
-        const withLiveUpdates = element.dataset.withReload !== undefined;
-
-        if (element.textContent !== null && element.textContent !== undefined) {
-            element.textContent = element.textContent.trim();
-        }
+    static scrollToHighlightedElement(element, lines) {
+        this.revealInCodeGroup(element);
 
-        if (element.dataset.lineStart !== undefined) {
-            element.dataset.withLines = '';
-            addLines = true;
+        if (lines && lines.size > 0) {
+            const container = element.closest('.highlightit-container');
+            if (container) {
+                const firstRow = this.setTargetLines(container, lines);
+                if (firstRow) {
+                    firstRow.scrollIntoView({ behavior: 'smooth', block: 'center' });
+                    return;
+                }
+            }
         }
 
-        if (
-            element.tagName.toLowerCase() === 'code' &&
-            element.parentElement.tagName.toLowerCase() === 'pre'
-        ) {
-            codeElement = element;
-            preElement = element.parentElement;
-
-            if (withLiveUpdates) {
-                const uniqueId = 'highlightit-id-' + Math.random().toString(36).substr(2, 9);
-
-                originalElement = document.createElement('pre');
-                const originalCodeElement = document.createElement('code');
+        element.scrollIntoView({ behavior: 'smooth', block: 'start' });
+        element.classList.add('highlightit-anchor-highlight');
+        setTimeout(() => {
+            element.classList.remove('highlightit-anchor-highlight');
+        }, 2000);
+    }
 
-                originalCodeElement.textContent = element.textContent || '';
+    /**
+     * Highlight linked lines of a block until the user dismisses them.
+     * Only one block has targeted lines at a time.
+     * @param {HTMLElement} container - The container element
+     * @param {Set<number>} lines - The line numbers to highlight
+     * @returns {HTMLElement|null} - The first highlighted row, if any
+     * @private
+     */
+    static setTargetLines(container, lines) {
+        document.querySelectorAll('.highlightit-has-target').forEach((other) => {
+            if (other !== container) {
+                this.clearTargetLines(other);
+            }
+        });
 
-                originalElement.classList.add('highlightit-original');
+        container._targetLines = lines;
+        this.decorateLines(container);
 
-                if (preElement.id) {
-                    originalElement.id = preElement.id;
-                    preElement.setAttribute('data-original-id', preElement.id);
-                    preElement.id = '';
-                }
+        const firstGutterRow = container.querySelector(
+            '.highlightit-line-number-container.highlightit-line-targeted'
+        );
 
-                originalElement.setAttribute('data-highlightit-id', uniqueId);
-                originalElement.classList.add('highlightit-visually-hidden');
+        return (
+            firstGutterRow || container.querySelector('.highlightit-line.highlightit-line-targeted')
+        );
+    }
 
-                if (element.dataset.language) {
-                    originalCodeElement.dataset.language = element.dataset.language;
-                }
+    /**
+     * Remove the linked line highlight from a block
+     * @param {HTMLElement} container - The container element
+     * @private
+     */
+    static clearTargetLines(container) {
+        container._targetLines = null;
+        container._selectionAnchor = null;
+        this.applyTargetLines(container);
+    }
 
-                if (element.dataset.lineStart !== undefined) {
-                    originalCodeElement.dataset.lineStart = element.dataset.lineStart;
-                }
+    /**
+     * Dismiss all linked line highlights and drop a line fragment from the URL
+     * @private
+     */
+    static dismissTargetLines() {
+        const targeted = document.querySelectorAll('.highlightit-has-target');
+        if (targeted.length === 0) return;
+
+        targeted.forEach((container) => this.clearTargetLines(container));
+
+        const fragment = window.location.hash.substring(1);
+        if (fragment && this.parseAnchor(fragment).lines && window.history.replaceState) {
+            window.history.replaceState(
+                null,
+                '',
+                window.location.pathname + window.location.search
+            );
+        }
+    }
 
-                if (element.dataset.withShare !== undefined) {
-                    originalCodeElement.dataset.withShare = element.dataset.withShare;
-                }
+    /**
+     * Set up click, shift-click and drag selection of lines in the line number gutter.
+     * The selection is highlighted and written to the URL as a line range fragment.
+     * @param {HTMLElement} container - The container element
+     * @private
+     */
+    static setupLineSelection(container) {
+        if (container._lineSelectionReady) return;
+        container._lineSelectionReady = true;
 
-                if (element.dataset.withDownload !== undefined) {
-                    originalCodeElement.dataset.withDownload = element.dataset.withDownload;
-                }
+        let dragging = false;
 
-                if (element.dataset.filename !== undefined) {
-                    originalCodeElement.dataset.filename = element.dataset.filename;
-                }
+        const lineFromEvent = (e) => {
+            const row = e.target.closest && e.target.closest('.highlightit-line-number-container');
+            if (!row || !container.contains(row)) return null;
 
-                originalElement.appendChild(originalCodeElement);
+            const rows = Array.from(
+                container.querySelectorAll('.highlightit-line-number-container')
+            );
+            const element = container.querySelector('pre code');
 
-                preElement.dataset.linkedOriginal = uniqueId;
+            return this.getLineStart(element, container) + rows.indexOf(row);
+        };
 
-                preElement.classList.add('highlightit-streaming-target');
+        const selectRange = (from, to) => {
+            const lines = new Set();
+            for (let line = Math.min(from, to); line <= Math.max(from, to); line++) {
+                lines.add(line);
+            }
+            this.setTargetLines(container, lines);
+        };
 
-                preElement.parentNode.insertBefore(originalElement, preElement);
+        container.addEventListener('mousedown', (e) => {
+            if (
+                e.button !== 0 ||
+                e.target.closest('.highlightit-fold-toggle, .highlightit-annotation-marker')
+            ) {
+                return;
             }
-        } else {
-            const content = element.textContent || '';
 
-            if (withLiveUpdates) {
-                const uniqueId = 'highlightit-id-' + Math.random().toString(36).substr(2, 9);
+            const line = lineFromEvent(e);
+            if (line === null) return;
 
-                originalElement = document.createElement('pre');
-                const originalCodeElement = document.createElement('code');
+            if (e.shiftKey && typeof container._selectionAnchor === 'number') {
+                selectRange(container._selectionAnchor, line);
+            } else {
+                container._selectionAnchor = line;
+                selectRange(line, line);
+            }
 
-                originalCodeElement.textContent = content;
-                originalElement.appendChild(originalCodeElement);
+            dragging = true;
+            e.preventDefault();
 
-                originalElement.classList.add('highlightit-original');
+            const onMouseUp = () => {
+                dragging = false;
+                document.removeEventListener('mouseup', onMouseUp);
 
-                if (element.id) {
-                    originalElement.id = element.id;
-                    element.setAttribute('data-original-id', element.id);
-                    element.id = '';
+                const blockId = container.getAttribute('data-original-id') || container.id;
+                if (blockId && container._targetLines && window.history.replaceState) {
+                    window.history.replaceState(
+                        null,
+                        '',
+                        `#${this.formatLineAnchor(blockId, container._targetLines)}`
+                    );
                 }
+            };
 
-                originalElement.setAttribute('data-highlightit-id', uniqueId);
-                originalElement.classList.add('highlightit-visually-hidden');
+            document.addEventListener('mouseup', onMouseUp);
+        });
 
-                if (element.dataset.language) {
-                    originalCodeElement.dataset.language = element.dataset.language;
-                }
+        container.addEventListener('mouseover', (e) => {
+            if (!dragging) return;
 
-                if (element.dataset.lineStart !== undefined) {
-                    originalCodeElement.dataset.lineStart = element.dataset.lineStart;
-                }
+            const line = lineFromEvent(e);
+            if (line !== null) {
+                selectRange(container._selectionAnchor, line);
+            }
+        });
+    }
 
-                if (element.dataset.withShare !== undefined) {
-                    originalCodeElement.dataset.withShare = element.dataset.withShare;
-                }
+    /**
+     * Parse a list of lines and line ranges such as "3,5-7" into a set of line numbers
+     * @param {string} value - The comma separated list of lines and ranges
+     * @returns {Set<number>} - The line numbers contained in the list
+     * @private
+     */
+    static parseLineRanges(value) {
+        const lines = new Set();
+        if (!value) return lines;
 
-                if (element.dataset.withDownload !== undefined) {
-                    originalCodeElement.dataset.withDownload = element.dataset.withDownload;
-                }
+        value.split(',').forEach((part) => {
+            const match = part.trim().match(/^(-?\d+)(?:\s*-\s*(-?\d+))?$/);
+            if (!match) return;
 
-                if (element.dataset.filename !== undefined) {
-                    originalCodeElement.dataset.filename = element.dataset.filename;
-                }
+            let start = parseInt(match[1], 10);
+            let end = match[2] !== undefined ? parseInt(match[2], 10) : start;
 
-                element.parentNode.insertBefore(originalElement, element);
+            if (start > end) {
+                [start, end] = [end, start];
+            }
 
-                element.setAttribute('data-linked-original', uniqueId);
+            for (let line = start; line <= end; line++) {
+                lines.add(line);
             }
+        });
 
-            const container = document.createElement('div');
+        return lines;
+    }
 
-            if (element.className.includes('highlight-it')) {
-                container.className = 'highlight-it highlightit-container';
+    /**
+     * Split highlighted HTML into lines, closing and reopening tags that span a line break
+     * @param {string} html - The highlighted HTML
+     * @param {number[]} [openCounts] - Receives the number of tags open at every line break
+     * @returns {string[]} - The HTML of every line with balanced tags
+     * @private
+     */
+    static splitHighlightedLines(html, openCounts) {
+        const lines = [];
+        const openTags = [];
+        const tokenRegex = /<(\/?)([a-zA-Z][\w-]*)[^>]*>|\n/g;
+
+        let current = '';
+        let lastIndex = 0;
+        let match;
+
+        while ((match = tokenRegex.exec(html)) !== null) {
+            current += html.slice(lastIndex, match.index);
+            lastIndex = tokenRegex.lastIndex;
+
+            if (match[0] === '\n') {
+                for (let i = openTags.length - 1; i >= 0; i--) {
+                    current += `</${openTags[i].name}>`;
+                }
+                if (openCounts) {
+                    openCounts.push(openTags.length);
+                }
+                lines.push(current);
+                current = openTags.map((tag) => tag.open).join('');
+            } else if (match[1]) {
+                openTags.pop();
+                current += match[0];
             } else {
-                container.className = element.className;
-            }
-
-            if (element.id && !withLiveUpdates) {
-                container.id = element.id;
+                if (!match[0].endsWith('/>')) {
+                    openTags.push({ name: match[2], open: match[0] });
+                }
+                current += match[0];
             }
+        }
 
-            preElement = document.createElement('pre');
-            codeElement = document.createElement('code');
+        lines.push(current + html.slice(lastIndex));
 
-            codeElement.textContent = content.trim();
+        return lines;
+    }
 
-            for (const key in element.dataset) {
-                container.dataset[key] = element.dataset[key];
+    /**
+     * Wrap every line of highlighted HTML in its own line span
+     * @param {string} html - The highlighted HTML
+     * @param {string[]} [lineClasses=[]] - Extra classes for every line, by line index
+     * @returns {string} - The HTML of the wrapped lines
+     * @private
+     */
+    static wrapHighlightedLines(html, lineClasses = []) {
+        const lines = this.splitHighlightedLines(html);
+        const lastIndex = lines.length - 1;
+
+        return lines
+            .map((line, i) => {
+                const className = ['highlightit-line', lineClasses[i]].filter(Boolean).join(' ');
+                return `<span class="${className}">${line}${i < lastIndex ? '\n' : ''}</span>`;
+            })
+            .join('');
+    }
 
-                if (key === 'language') {
-                    codeElement.dataset.language = element.dataset[key];
-                    codeElement.className = `language-${element.dataset[key]}`;
-                }
+    /**
+     * Build the context passed to plugin hooks
+     * @param {HTMLElement} element - The code element
+     * @param {string|null} language - The language of the code, if known
+     * @param {boolean} [live=false] - Whether the hook runs for a live update
+     * @returns {{element: HTMLElement, container: HTMLElement|null, language: string|null, live: boolean}}
+     * - The hook context
+     * @private
+     */
+    static getHookContext(element, language, live = false) {
+        return {
+            element,
+            container: element.closest('.highlightit-container'),
+            language: language || null,
+            live,
+        };
+    }
 
-                if (key === 'withLines') {
-                    container.classList.add('highlightit-with-lines');
-                }
+    /**
+     * Run a hook of every plugin added with use(). The string returned by a beforeHighlight or
+     * afterHighlight hook replaces the value passed to the next plugin; other return values
+     * are ignored. Errors thrown by a hook are logged and do not stop highlighting.
+     * @param {string} hook - The hook name
+     * @param {*} value - The code, HTML or container passed to the hook
+     * @param {Object} context - The hook context
+     * @returns {*} - The value returned by the last plugin that changed it
+     * @private
+     */
+    static runPluginHooks(hook, value, context) {
+        if (!this._plugins) return value;
 
-                if (key === 'withDownload') {
-                    container.classList.add('highlightit-with-download');
-                }
+        for (const plugin of this._plugins) {
+            if (typeof plugin[hook] !== 'function') continue;
 
-                if (key === 'noHeader') {
-                    container.classList.add('highlightit-no-header');
-                }
+            try {
+                const result = plugin[hook](value, context);
 
-                if (key === 'lineStart') {
-                    codeElement.dataset.lineStart = element.dataset[key];
+                if (typeof result === 'string' && typeof value === 'string') {
+                    value = result;
                 }
+            } catch (e) {
+                console.error(`HighlightIt: Error in plugin hook ${hook}`, e);
             }
-
-            preElement.appendChild(codeElement);
-            container.appendChild(preElement);
-
-            element.parentNode.replaceChild(container, element);
-            element = codeElement;
         }
 
-        if (addLines || element.dataset.withLines !== undefined) {
-            const container = this.createCodeContainer(element);
-            container.classList.add('highlightit-with-lines');
-        }
-
-        if (addDownload || element.dataset.withDownload !== undefined) {
-            const container = this.createCodeContainer(element);
-            container.classList.add('highlightit-with-download');
-        }
+        return value;
+    }
 
-        this.highlightElement(
-            element,
-            autoDetect,
-            addCopyButton,
-            showLanguage,
-            addHeader,
-            addLines,
-            addShare,
-            addDownload
-        );
+    /**
+     * Run the afterRender hooks and dispatch highlightit:highlighted once a block is highlighted
+     * @param {HTMLElement} element - The code element
+     * @param {HTMLElement} container - The container element
+     * @param {string|null} language - The language of the code
+     * @private
+     */
+    static finishRender(element, container, language) {
+        this.runPluginHooks('afterRender', container, this.getHookContext(element, language));
+        this.emitEvent(container, 'highlighted');
     }
 
     /**
-     * Apply global theme to the document root
-     * @param {string} theme - Theme to apply ('light', 'dark', or 'auto')
+     * Render highlighted HTML into a code element, wrapping every line in its own span
+     * @param {HTMLElement} element - The code element to render into
+     * @param {string} html - The highlighted HTML
+     * @param {string|null} [language=null] - The language the HTML was highlighted in
+     * @param {boolean} [live=false] - Whether the code is rendered for a live update
      * @private
      */
-    static applyGlobalTheme(theme) {
-        document.documentElement.classList.remove(
-            'highlightit-theme-light',
-            'highlightit-theme-dark',
-            'highlightit-theme-auto'
+    static renderHighlightedCode(element, html, language = null, live = false) {
+        const context = this.getHookContext(element, language, live);
+        element.innerHTML = this.wrapHighlightedLines(
+            this.runPluginHooks('afterHighlight', html, context)
         );
+        element._incremental = null;
 
-        if (['light', 'dark', 'auto'].includes(theme)) {
-            document.documentElement.classList.add(`highlightit-theme-${theme}`);
-        } else {
-            document.documentElement.classList.add('highlightit-theme-auto');
-        }
+        this.refreshRenderedLines(element);
     }
 
     /**
-     * Highlight a single element
-     * @param {HTMLElement} element - The code element to highlight
-     * @param {boolean} autoDetect - Whether to auto-detect language
-     * @param {boolean} addCopyButton - Whether to add a copy button
-     * @param {boolean} showLanguage - Whether to show the language label
-     * @param {boolean} addHeader - Whether to add header section
-     * @param {boolean} addLines - Whether to add line numbers
-     * @param {boolean} addShare - Whether to add share button
-     * @param {boolean} addDownload - Whether to add download button
+     * Render plain code into a code element while it is highlighted in a web worker.
+     * Plugin hooks only run for the highlighted HTML.
+     * @param {HTMLElement} element - The code element to render into
+     * @param {string} code - The code
      * @private
-     *
-     * The element can have various data attributes:
-     * - data-language: The programming language for syntax highlighting
-     * - data-filename: Filename to display (also used to detect language)
-     * - data-theme: Override global theme for this element ('light', 'dark', 'auto')
-     * - data-with-lines: Add line numbers to the code block
-     * - data-line-start: Set the starting line number (default is 1, can be positive or negative)
-     * - data-no-header: Hide the header (language label and copy button)
-     * - data-no-copy: Hide the copy button
-     * - data-with-reload: Enable live updates - code will be rehighlighted automatically when content changes
-     * - data-with-share: Add a share button that copies the URL with the element ID as the fragment
-     * - data-with-download: Add a download button that downloads the code as a file
-     * - data-filename: Used for the download feature to set the filename for downloaded code
      */
-    static highlightElement(
-        element,
-        autoDetect,
-        addCopyButton,
-        showLanguage,
-        addHeader,
-        addLines,
-        addShare,
-        addDownload
-    ) {
-        const container = this.createCodeContainer(element);
-
-        const code = (element.textContent || '').trim();
-
-        let language = null;
-        let displayLabel = null;
-        let filename = null;
+    static renderPlaceholderCode(element, code) {
+        element.innerHTML = this.wrapHighlightedLines(this.escapeHtml(code));
+        element._incremental = null;
 
-        const elementDataset = element.dataset;
-        const containerDataset = container.dataset;
-
-        const noHeader =
-            !addHeader ||
-            elementDataset.noHeader !== undefined ||
-            containerDataset.noHeader !== undefined;
-        const withLines =
-            addLines ||
-            elementDataset.withLines !== undefined ||
-            containerDataset.withLines !== undefined;
-        const withLiveUpdates =
-            elementDataset.withReload !== undefined || containerDataset.withReload !== undefined;
-        const noCopy = elementDataset.noCopy !== undefined || containerDataset.noCopy !== undefined;
-        const withShare =
-            addShare ||
-            elementDataset.withShare !== undefined ||
-            containerDataset.withShare !== undefined;
-        const withDownload =
-            addDownload ||
-            elementDataset.withDownload !== undefined ||
-            containerDataset.withDownload !== undefined;
+        this.refreshRenderedLines(element);
+    }
 
-        const shouldAddCopyButton = addCopyButton && !noCopy;
+    /**
+     * Re-apply the search marks and line decorations after the lines of a code element changed
+     * @param {HTMLElement} element - The code element
+     * @private
+     */
+    static refreshRenderedLines(element) {
+        const container = element.closest('.highlightit-container');
+        if (container) {
+            if (container._search) {
+                this.applySearchMarks(container);
+            }
 
-        if (elementDataset.language) {
-            language = elementDataset.language;
-            displayLabel = language;
-        } else if (containerDataset.language) {
-            language = containerDataset.language;
-            displayLabel = language;
+            this.decorateLines(container);
         }
+    }
 
-        if (elementDataset.filename) {
-            filename = elementDataset.filename;
-            language = this.getLanguageFromFilename(filename);
-            displayLabel = filename;
-        } else if (containerDataset.filename) {
-            filename = containerDataset.filename;
-            language = this.getLanguageFromFilename(filename);
-            displayLabel = filename;
-        }
+    /**
+     * Re-highlight a live-updated code element, keeping the DOM of its unchanged leading lines.
+     * Highlighting restarts at the last line before the first changed line at which no
+     * highlight.js scope was open.
+     * @param {HTMLElement} element - The code element
+     * @param {string} code - The new code content
+     * @param {string} language - The language of the code
+     * @private
+     */
+    static renderIncrementally(element, code, language) {
+        const state = element._incremental;
+        const lines = code.split('\n');
+        let start = 0;
 
-        if (elementDataset.theme) {
-            const elementTheme = elementDataset.theme.toLowerCase();
-            if (['light', 'dark', 'auto'].includes(elementTheme)) {
-                container.classList.add(`highlightit-theme-${elementTheme}`);
+        if (
+            state &&
+            state.language === language &&
+            element.children.length === state.lines.length
+        ) {
+            const limit = Math.min(state.lines.length, lines.length) - 1;
+            while (start < limit && state.lines[start] === lines[start]) {
+                start++;
             }
-        } else if (containerDataset.theme) {
-            const elementTheme = containerDataset.theme.toLowerCase();
-            if (['light', 'dark', 'auto'].includes(elementTheme)) {
-                container.classList.add(`highlightit-theme-${elementTheme}`);
+            while (start > 0 && !state.safeStarts[start]) {
+                start--;
             }
         }
 
-        if (withShare && !withLiveUpdates) {
-            const originalId = container.getAttribute('data-original-id');
-            const hasId = originalId || container.id;
+        const { html, safeStarts } = this.highlightStreamedLines(lines.slice(start), language);
 
-            if (!hasId) {
-                this.generateHash(code).then((blockId) => {
-                    container.id = blockId;
-                });
+        if (start === 0) {
+            this.renderHighlightedCode(element, html, language, true);
+        } else {
+            while (element.children.length > start) {
+                element.lastElementChild.remove();
             }
-        }
 
-        if (
-            (showLanguage || shouldAddCopyButton || withShare || withDownload) &&
-            addHeader &&
-            !noHeader
-        ) {
-            const header = this.createCodeHeader(
-                displayLabel,
-                code,
-                shouldAddCopyButton,
-                showLanguage,
-                withShare,
-                withDownload,
-                container
+            const tailHtml = this.runPluginHooks(
+                'afterHighlight',
+                html,
+                this.getHookContext(element, language, true)
             );
-            container.prepend(header);
-        } else if (noHeader) {
-            container.classList.add('highlightit-no-header');
-            if (shouldAddCopyButton || withShare || withDownload) {
-                const floatingBtns = this.createFloatingButtons(
-                    code,
-                    withShare,
-                    withDownload,
-                    container
-                );
-                container.appendChild(floatingBtns);
-            }
-        }
-
-        if (withLines) {
-            container.classList.add('highlightit-with-lines');
-        }
-
-        if (withLiveUpdates) {
-            this.setupLiveUpdates(element, container, autoDetect, showLanguage, withShare);
+            element.insertAdjacentHTML('beforeend', this.wrapHighlightedLines(tailHtml));
+            this.refreshRenderedLines(element);
         }
 
-        if (!language && autoDetect) {
-            const result = this.autoDetectLanguage(code);
-            language = result.language || 'unknown';
-
-            element.innerHTML = result.value;
-            element.classList.add(`language-${language}`);
-
-            if (withLines) {
-                this.addLineNumbers(element, code);
-            }
+        element._incremental = {
+            language,
+            lines,
+            safeStarts: (start > 0 ? state.safeStarts.slice(0, start) : []).concat(safeStarts),
+        };
+    }
 
-            if (showLanguage && !noHeader) {
-                const header = container.querySelector('.highlightit-header');
-                if (header) {
-                    const languageLabel = header.querySelector('.highlightit-language');
-                    if (languageLabel) {
-                        languageLabel.textContent = language;
-                    } else if (language) {
-                        const newLanguageLabel = document.createElement('span');
-                        newLanguageLabel.className = 'highlightit-language';
-                        newLanguageLabel.textContent = language;
-                        header.insertBefore(newLanguageLabel, header.firstChild);
-                    }
-                }
-            }
+    /**
+     * Highlight the lines of a streamed block. A string or comment that is still unterminated
+     * at the end only colors the rest of the line it starts on; the lines after it are
+     * highlighted on their own until it is closed, so they are not all recolored meanwhile.
+     * @param {string[]} lines - The lines to highlight, starting from a safe parser state
+     * @param {string} language - The language of the code
+     * @returns {{html: string, safeStarts: boolean[]}} - The highlighted HTML and, for every
+     * line, whether highlighting can restart there
+     * @private
+     */
+    static highlightStreamedLines(lines, language) {
+        const htmlLines = [];
+        const safeStarts = [];
+        let remaining = lines;
+        let provisional = false;
 
-            return;
-        }
+        while (remaining.length > 0) {
+            // The trailing line break reveals which scopes are still open at the end
+            const code = `${remaining.join('\n')}\n`;
+            let html;
 
-        if (language) {
             try {
-                let result;
-                try {
-                    result = hljs.highlight(code, { language });
-                } catch (e) {
-                    console.error(
-                        `HighlightIt: Error highlighting with language ${language}`,
-                        e,
-                        'This might be because highlight.js is not available. Please ensure its script is included in the page.'
-                    );
-                    result = { value: this.escapeHtml(code) };
-                }
-                element.innerHTML = result.value;
-                element.classList.add(`language-${language}`);
+                html = hljs.highlight(code, { language }).value;
+            } catch (e) {
+                console.error(
+                    `HighlightIt: Error highlighting with language ${language}`,
+                    e,
+                    'This might be because highlight.js is not available. Please ensure its script is included in the page.'
+                );
+                html = this.escapeHtml(code);
+            }
 
-                if (withLines) {
-                    this.addLineNumbers(element, code);
-                }
-            } catch (error) {
-                if (autoDetect) {
-                    const result = this.autoDetectLanguage(code);
-                    element.innerHTML = result.value;
-                    element.classList.add(`language-${result.language || 'unknown'}`);
+            const openCounts = [];
+            const segmentLines = this.splitHighlightedLines(html, openCounts);
+            const lastIndex = remaining.length - 1;
 
-                    if (withLines) {
-                        this.addLineNumbers(element, code);
-                    }
+            let opening = lastIndex;
+            while (opening > 0 && openCounts[opening - 1] > 0) {
+                opening--;
+            }
 
-                    if (showLanguage && !noHeader) {
-                        const header = container.querySelector('.highlightit-header');
-                        if (header) {
-                            const languageLabel = header.querySelector('.highlightit-language');
-                            if (languageLabel && result.language) {
-                                languageLabel.textContent = result.language;
-                            }
-                        }
-                    }
-                } else {
-                    console.error(
-                        `HighlightIt: Error highlighting with language ${language}`,
-                        error
-                    );
-                    element.innerHTML = this.escapeHtml(code);
+            const keep = openCounts[lastIndex] > 0 ? opening + 1 : remaining.length;
 
-                    if (withLines) {
-                        this.addLineNumbers(element, code);
-                    }
-                }
+            for (let i = 0; i < keep; i++) {
+                htmlLines.push(segmentLines[i]);
+                safeStarts.push(!provisional && (i === 0 || openCounts[i - 1] === 0));
             }
-        } else {
-            element.innerHTML = `${this.escapeHtml(code)}`;
 
-            if (withLines) {
-                this.addLineNumbers(element, code);
+            if (keep < remaining.length) {
+                provisional = true;
             }
+
+            remaining = remaining.slice(keep);
         }
+
+        return { html: htmlLines.join('\n'), safeStarts };
     }
 
     /**
-     * Set up live updates to watch for changes to the code element
-     * @param {HTMLElement} element - The code element to watch
+     * Get the number of the first line of a code block (data-line-start, default 1)
+     * @param {HTMLElement} element - The code element
      * @param {HTMLElement} container - The container element
-     * @param {boolean} autoDetect - Whether to auto-detect language
-     * @param {boolean} showLanguage - Whether to show the language label
-     * @param {boolean} withShare - Whether to update block ID for sharing
+     * @returns {number} - The number of the first line
      * @private
      */
-    static setupLiveUpdates(element, container, autoDetect, showLanguage, withShare) {
-        const MutationObserverClass = window.MutationObserver || polyfills.MutationObserver;
-        if (!MutationObserverClass) {
-            console.warn('HighlightIt: Live updates not supported in this browser');
-            return;
-        }
-
-        const debounceTime = this.debounceTime || 30;
-        let timeout = null;
+    static getLineStart(element, container) {
+        const preElement = element && element.parentElement;
+
+        return parseInt(
+            (element && element.dataset.lineStart) ||
+                (preElement && preElement.dataset.lineStart) ||
+                container.dataset.lineStart ||
+                1,
+            10
+        );
+    }
 
-        const originalElement = this.findOriginalElement(element, container);
-        const elementToWatch = originalElement || element;
-        const targetElement = element;
+    /**
+     * Apply the static line emphasis and focus from data-highlight-lines and data-focus-lines
+     * to the code lines and the line number gutter
+     * @param {HTMLElement} container - The container element
+     * @private
+     */
+    static applyLineEmphasis(container) {
+        const element = container.querySelector('pre code');
+        if (!element) return;
 
-        const language =
-            polyfills.dataset.get(element, 'language') ||
-            (element.className.match(/language-(\w+)/) || [])[1] ||
-            null;
+        const emphasized = this.parseLineRanges(
+            element.dataset.highlightLines || container.dataset.highlightLines
+        );
+        const focused = this.parseLineRanges(
+            element.dataset.focusLines || container.dataset.focusLines
+        );
 
-        let detectedLanguage = null;
-        if (!language && autoDetect) {
-            const code = (
-                elementToWatch.querySelector('code') || elementToWatch
-            ).textContent.trim();
-            if (code) {
-                const result = this.autoDetectLanguage(code);
-                detectedLanguage = result.language || null;
-            }
+        if (
+            emphasized.size === 0 &&
+            focused.size === 0 &&
+            !container.classList.contains('highlightit-has-emphasis')
+        ) {
+            return;
         }
 
-        let lastProcessedCode = '';
+        const startLine = this.getLineStart(element, container);
 
-        const rehighlight = () => {
-            const originalCode = elementToWatch.querySelector('code') || elementToWatch;
-            const code = originalCode.textContent.trim();
-            if (!code) return;
+        const rowLists = [
+            element.querySelectorAll('.highlightit-line'),
+            container.querySelectorAll('.highlightit-line-number-container'),
+        ];
 
-            if (code === lastProcessedCode) {
-                return;
+        rowLists.forEach((rows) => {
+            for (let i = 0; i < rows.length; i++) {
+                const lineNumber = startLine + i;
+                rows[i].classList.toggle('highlightit-line-emphasis', emphasized.has(lineNumber));
+                rows[i].classList.toggle('highlightit-line-focused', focused.has(lineNumber));
             }
+        });
 
-            lastProcessedCode = code;
+        container.classList.toggle(
+            'highlightit-has-emphasis',
+            emphasized.size > 0 || focused.size > 0
+        );
+        container.classList.toggle('highlightit-has-focus', focused.size > 0);
+    }
 
-            if (withShare) {
-                this.updateBlockId(container, code).then(() => {
-                    this.updateCodeBlock(targetElement, container, language, code, showLanguage);
-                });
-            } else {
-                if (!language && autoDetect) {
-                    if (
-                        !detectedLanguage ||
-                        (showLanguage &&
-                            !container.querySelector('.highlightit-header .highlightit-language'))
-                    ) {
-                        const result = this.autoDetectLanguage(code);
-                        detectedLanguage = result.language || 'unknown';
-                        targetElement.innerHTML = result.value;
-                        polyfills.classList.add(targetElement, `language-${detectedLanguage}`);
-
-                        if (showLanguage && detectedLanguage) {
-                            const header = container.querySelector('.highlightit-header');
-                            if (header) {
-                                const languageLabel = header.querySelector('.highlightit-language');
-                                if (languageLabel) {
-                                    languageLabel.textContent = detectedLanguage;
-                                } else {
-                                    const newLanguageLabel = document.createElement('span');
-                                    newLanguageLabel.className = 'highlightit-language';
-                                    newLanguageLabel.textContent = detectedLanguage;
-                                    header.insertBefore(newLanguageLabel, header.firstChild);
-                                }
-                            }
-                        }
-                    } else {
-                        try {
-                            const result = hljs.highlight(code, { language: detectedLanguage });
-                            targetElement.innerHTML = result.value;
-                        } catch (e) {
-                            console.error(
-                                `HighlightIt: Error highlighting with language ${detectedLanguage}`,
-                                e,
-                                'This might be because highlight.js is not available. Please ensure its script is included in the page.'
-                            );
-                            targetElement.innerHTML = this.escapeHtml(code);
-                        }
-                        polyfills.classList.add(targetElement, `language-${detectedLanguage}`);
-                    }
-                } else {
-                    this.updateCodeBlock(targetElement, container, language, code, showLanguage);
-                    polyfills.classList.add(targetElement, `language-${language || 'unknown'}`);
-                }
-            }
+    /**
+     * Apply all per-line decorations to the code lines and the line number gutter.
+     * Called after every render and line number update so decorations survive live updates.
+     * @param {HTMLElement} container - The container element
+     * @private
+     */
+    static decorateLines(container) {
+        this.applyLineEmphasis(container);
+        this.applyDiffLineTypes(container);
+        this.applyTargetLines(container);
+        this.applyFolding(container);
+        this.applyLineCollapse(container);
+        this.syncWrappedLineHeights(container);
+        this.applyAnnotations(container);
+    }
 
-            if (container.classList.contains('highlightit-with-lines')) {
-                const preElement = targetElement.parentElement;
-                const oldLineNumbers = preElement.querySelector('.highlightit-line-numbers');
-                const lineCount = code.split('\n').length;
+    /**
+     * Parse line annotations from a data-annotations JSON value such as
+     * '[{"line":4,"text":"Cache miss path"}]'
+     * @param {string} value - The JSON array of annotations
+     * @returns {Map<number, string[]>} - The notes of every annotated line number
+     * @private
+     */
+    static parseAnnotations(value) {
+        const annotations = new Map();
+        if (!value) return annotations;
 
-                const oldLineCount = oldLineNumbers
-                    ? oldLineNumbers.querySelectorAll('.highlightit-line-number-container')
-                          .length ||
-                      oldLineNumbers.querySelectorAll('.highlightit-line-number').length
-                    : 0;
+        let parsed;
+        try {
+            parsed = JSON.parse(value);
+        } catch (error) {
+            console.error('HighlightIt: Invalid data-annotations JSON', error);
+            return annotations;
+        }
 
-                let lineStart = parseInt(
-                    targetElement.dataset.lineStart || preElement.dataset.lineStart || 1,
-                    10
-                );
+        if (!Array.isArray(parsed)) return annotations;
 
-                const currentBlockId = container.getAttribute('data-original-id') || container.id;
-                const withShare =
-                    container.dataset.withShare !== undefined ||
-                    element.dataset.withShare !== undefined;
+        parsed.forEach((annotation) => {
+            const line = annotation && parseInt(annotation.line, 10);
+            if (isNaN(line) || annotation.text === undefined || annotation.text === null) return;
 
-                this.updateLineNumbersForLiveUpdates(
-                    oldLineNumbers,
-                    lineCount,
-                    oldLineCount,
-                    lineStart,
-                    withShare,
-                    currentBlockId,
-                    container
-                );
+            if (!annotations.has(line)) {
+                annotations.set(line, []);
             }
-        };
-
-        const observer = new MutationObserver(() => {
-            if (timeout) clearTimeout(timeout);
-            timeout = setTimeout(() => {
-                rehighlight();
-                timeout = null;
-            }, debounceTime);
+            annotations.get(line).push(String(annotation.text));
         });
 
-        observer.observe(elementToWatch, {
-            characterData: true,
-            childList: true,
-            subtree: true,
-        });
+        return annotations;
+    }
 
-        elementToWatch._highlightObserver = observer;
+    /**
+     * Get the annotations of a code block, parsing data-annotations only when it changed
+     * @param {HTMLElement} container - The container element
+     * @returns {Map<number, string[]>} - The notes of every annotated line number
+     * @private
+     */
+    static getAnnotations(container) {
+        const element = container.querySelector('pre code');
+        const source =
+            (element && element.dataset.annotations) || container.dataset.annotations || '';
+
+        if (container._annotationsSource !== source || !container._annotations) {
+            container._annotationsSource = source;
+            container._annotations = this.parseAnnotations(source);
+        }
+
+        return container._annotations;
     }
 
     /**
-     * Intelligently update line numbers for live updates, preserving existing DOM elements
-     * @param {HTMLElement} lineNumbersWrapper - The line numbers wrapper
-     * @param {number} newLineCount - The new line count
-     * @param {number} oldLineCount - The old line count
-     * @param {number} startLine - The starting line number
-     * @param {boolean} withShare - Whether share buttons should be included
-     * @param {string} blockId - The block ID for share links
+     * Add a marker to the line number gutter of every annotated line and, with
+     * data-annotations-margin, lay out the notes in a side margin on wide screens.
+     * Annotations use the displayed line numbers, so they follow data-line-start but stay on
+     * the same line numbers when live updates insert or remove lines.
      * @param {HTMLElement} container - The container element
+     * @private
      */
-    static updateLineNumbersForLiveUpdates(
-        lineNumbersWrapper,
-        newLineCount,
-        oldLineCount,
-        startLine,
-        withShare,
-        blockId,
-        container
-    ) {
-        if (newLineCount === oldLineCount) {
-            const lineNumbers = lineNumbersWrapper.querySelectorAll('.highlightit-line-number');
-            const lineShareButtons = lineNumbersWrapper.querySelectorAll('.highlightit-line-share');
+    static applyAnnotations(container) {
+        const element = container.querySelector('pre code');
+        if (!element) return;
 
-            for (let i = 0; i < newLineCount; i++) {
-                const lineNumber = startLine + i;
+        const annotations = this.getAnnotations(container);
+        if (
+            annotations.size === 0 &&
+            !container.classList.contains('highlightit-has-annotations')
+        ) {
+            return;
+        }
 
-                if (lineNumbers[i]) {
-                    lineNumbers[i].textContent = lineNumber;
+        this.setupAnnotations(container);
+
+        const lines = element.querySelectorAll('.highlightit-line');
+        const rows = container.querySelectorAll('.highlightit-line-number-container');
+        const startLine = this.getLineStart(element, container);
+
+        for (let i = 0; i < rows.length; i++) {
+            const lineNumber = startLine + i;
+            const notes = annotations.get(lineNumber);
+            let marker = rows[i].querySelector('.highlightit-annotation-marker');
+
+            if (!notes) {
+                if (marker) {
+                    marker.remove();
                 }
+            } else if (!marker) {
+                marker = document.createElement('button');
+                marker.type = 'button';
+                marker.className = 'highlightit-annotation-marker';
+                marker.setAttribute('aria-expanded', 'false');
+                rows[i].appendChild(marker);
+            }
 
-                if (withShare && blockId && lineShareButtons[i]) {
-                    lineShareButtons[i].dataset.lineNumber = lineNumber;
+            if (marker && notes) {
+                marker.dataset.line = lineNumber;
+                marker.setAttribute('aria-label', `Show note for line ${lineNumber}`);
+            }
 
-                    if (lineShareButtons[i].dataset.blockId !== blockId) {
-                        lineShareButtons[i].dataset.blockId = blockId;
+            rows[i].classList.toggle('highlightit-line-annotated', Boolean(notes));
+        }
 
-                        const oldClickListener = lineShareButtons[i]._clickListener;
-                        if (oldClickListener) {
-                            lineShareButtons[i].removeEventListener('click', oldClickListener);
-                        }
+        for (let i = 0; i < lines.length; i++) {
+            lines[i].classList.toggle('highlightit-line-annotated', annotations.has(startLine + i));
+        }
 
-                        this.setupLineShareButtonHandler(lineShareButtons[i], container);
-                    }
-                }
+        container.classList.toggle('highlightit-has-annotations', annotations.size > 0);
+
+        const popover = container.querySelector('.highlightit-annotation-popover');
+        if (popover && !annotations.has(parseInt(popover.dataset.line, 10))) {
+            this.hideAnnotationPopover(container);
+        }
+
+        const withMargin =
+            element.dataset.annotationsMargin !== undefined ||
+            container.dataset.annotationsMargin !== undefined;
+        container.classList.toggle('highlightit-annotations-margin', withMargin);
+
+        let notesColumn = container.querySelector('.highlightit-annotation-notes');
+        if (!withMargin) {
+            if (notesColumn) {
+                notesColumn.remove();
+            }
+            if (container._annotationsResizeObserver) {
+                container._annotationsResizeObserver.disconnect();
+                container._annotationsResizeObserver = null;
             }
             return;
         }
 
-        if (newLineCount > oldLineCount) {
-            const fragment = document.createDocumentFragment();
+        if (!notesColumn) {
+            notesColumn = document.createElement('div');
+            notesColumn.className = 'highlightit-annotation-notes';
+            notesColumn.setAttribute('aria-hidden', 'true');
+            container.appendChild(notesColumn);
+        }
 
-            for (let i = oldLineCount; i < newLineCount; i++) {
-                const lineNumber = startLine + i;
-                const lineNumberContainer = document.createElement('div');
-                lineNumberContainer.className = 'highlightit-line-number-container';
+        if (!container._annotationsResizeObserver) {
+            const observer = new polyfills.ResizeObserver(() => {
+                this.layoutAnnotationNotes(container);
+            });
+
+            observer.observe(container);
+            container._annotationsResizeObserver = observer;
+        }
+
+        this.layoutAnnotationNotes(container);
+    }
 
-                const span = document.createElement('span');
-                span.className = 'highlightit-line-number';
-                span.textContent = lineNumber;
+    /**
+     * Position the notes of the annotation margin next to their lines. Lines that are not
+     * rendered (inactive tab, collapsed block) are skipped, so this runs again whenever the
+     * container is resized, a tab is selected or a block is expanded.
+     * @param {HTMLElement} container - The container element
+     * @private
+     */
+    static layoutAnnotationNotes(container) {
+        const element = container.querySelector('pre code');
+        const notesColumn = container.querySelector('.highlightit-annotation-notes');
+        if (!element || !notesColumn) return;
 
-                if (withShare && blockId) {
-                    span.className += ' highlightit-line-number-shareable';
+        const annotations = this.getAnnotations(container);
+        const lines = element.querySelectorAll('.highlightit-line');
+        const startLine = this.getLineStart(element, container);
 
-                    const lineShareButton = document.createElement('button');
-                    lineShareButton.className = 'highlightit-line-share';
-                    lineShareButton.setAttribute('aria-label', `Copy link to line ${lineNumber}`);
-                    lineShareButton.innerHTML = cache.svgIcons.link;
-                    lineShareButton.dataset.lineNumber = lineNumber;
-                    lineShareButton.dataset.blockId = blockId;
+        notesColumn.innerHTML = '';
 
-                    this.setupLineShareButtonHandler(lineShareButton, container);
+        const containerTop = container.getBoundingClientRect().top;
+        const fragment = document.createDocumentFragment();
 
-                    lineNumberContainer.appendChild(span);
-                    lineNumberContainer.appendChild(lineShareButton);
-                } else {
-                    lineNumberContainer.appendChild(span);
+        for (let i = 0; i < lines.length; i++) {
+            const notes = annotations.get(startLine + i);
+            if (!notes || lines[i].offsetParent === null) continue;
+
+            const note = document.createElement('div');
+            note.className = 'highlightit-annotation-note';
+            note.style.top = `${lines[i].getBoundingClientRect().top - containerTop}px`;
+            note.textContent = notes.join('\n');
+            fragment.appendChild(note);
+        }
+
+        notesColumn.appendChild(fragment);
+    }
+
+    /**
+     * Set up the delegated handlers that open annotation popovers on hover, focus and click
+     * @param {HTMLElement} container - The container element
+     * @private
+     */
+    static setupAnnotations(container) {
+        if (container._annotationsReady) return;
+        container._annotationsReady = true;
+
+        const markerFromEvent = (e) => {
+            const marker = e.target.closest && e.target.closest('.highlightit-annotation-marker');
+            return marker && container.contains(marker) ? marker : null;
+        };
+
+        const hideUnpinned = () => {
+            if (!container._annotationPinned) {
+                this.hideAnnotationPopover(container);
+            }
+        };
+
+        container.addEventListener('click', (e) => {
+            const marker = markerFromEvent(e);
+
+            if (!marker) {
+                if (!e.target.closest('.highlightit-annotation-popover')) {
+                    this.hideAnnotationPopover(container);
                 }
+                return;
+            }
 
-                fragment.appendChild(lineNumberContainer);
+            const popover = container.querySelector('.highlightit-annotation-popover');
+            if (
+                container._annotationPinned &&
+                popover &&
+                popover.dataset.line === marker.dataset.line
+            ) {
+                this.hideAnnotationPopover(container);
+            } else {
+                this.showAnnotationPopover(container, marker, true);
             }
+        });
 
-            lineNumbersWrapper.appendChild(fragment);
-        } else if (newLineCount < oldLineCount) {
-            const allLineContainers = lineNumbersWrapper.querySelectorAll(
-                '.highlightit-line-number-container'
+        container.addEventListener('mouseover', (e) => {
+            const marker = markerFromEvent(e);
+            if (marker && !container._annotationPinned) {
+                this.showAnnotationPopover(container, marker, false);
+            }
+        });
+
+        container.addEventListener('mouseout', (e) => {
+            if (markerFromEvent(e)) {
+                hideUnpinned();
+            }
+        });
+
+        container.addEventListener('focusin', (e) => {
+            const marker = markerFromEvent(e);
+            if (marker && !container._annotationPinned) {
+                this.showAnnotationPopover(container, marker, false);
+            }
+        });
+
+        container.addEventListener('focusout', (e) => {
+            if (markerFromEvent(e)) {
+                hideUnpinned();
+            }
+        });
+
+        container.addEventListener('keydown', (e) => {
+            if (e.key !== 'Escape') return;
+
+            const popover = container.querySelector('.highlightit-annotation-popover');
+            if (!popover) return;
+
+            const marker = container.querySelector(
+                `.highlightit-annotation-marker[data-line="${popover.dataset.line}"]`
             );
-            const lineNumbers = lineNumbersWrapper.querySelectorAll('.highlightit-line-number');
+            if (marker) {
+                marker.focus();
+            }
 
-            for (let i = newLineCount; i < oldLineCount; i++) {
-                if (allLineContainers[i]) {
-                    lineNumbersWrapper.removeChild(allLineContainers[i]);
-                } else if (lineNumbers[i]) {
-                    lineNumbersWrapper.removeChild(lineNumbers[i]);
-                }
+            this.hideAnnotationPopover(container);
+        });
+    }
+
+    /**
+     * Open the popover with the notes of an annotated line next to its gutter marker
+     * @param {HTMLElement} container - The container element
+     * @param {HTMLElement} marker - The annotation marker of the line
+     * @param {boolean} pinned - Whether the popover stays open until dismissed
+     * @private
+     */
+    static showAnnotationPopover(container, marker, pinned) {
+        const notes = this.getAnnotations(container).get(parseInt(marker.dataset.line, 10));
+        if (!notes) return;
+
+        this.hideAnnotationPopover(container);
+
+        const popover = document.createElement('div');
+        popover.className = 'highlightit-annotation-popover';
+        popover.id = 'highlightit-note-' + Math.random().toString(36).substr(2, 9);
+        popover.dataset.line = marker.dataset.line;
+        popover.setAttribute('role', 'tooltip');
+
+        notes.forEach((text) => {
+            const paragraph = document.createElement('p');
+            paragraph.textContent = text;
+            popover.appendChild(paragraph);
+        });
+
+        container.appendChild(popover);
+        container._annotationPinned = pinned;
+
+        marker.setAttribute('aria-expanded', 'true');
+        marker.setAttribute('aria-describedby', popover.id);
+
+        const containerRect = container.getBoundingClientRect();
+        const markerRect = marker.getBoundingClientRect();
+        let top = markerRect.bottom - containerRect.top + 4;
+
+        if (top + popover.offsetHeight > container.clientHeight) {
+            top = Math.max(0, markerRect.top - containerRect.top - popover.offsetHeight - 4);
+        }
+
+        popover.style.top = `${top}px`;
+        popover.style.left = `${markerRect.left - containerRect.left}px`;
+    }
+
+    /**
+     * Close the open annotation popover of a code block
+     * @param {HTMLElement} container - The container element
+     * @private
+     */
+    static hideAnnotationPopover(container) {
+        const popover = container.querySelector('.highlightit-annotation-popover');
+        container._annotationPinned = false;
+        if (!popover) return;
+
+        container.querySelectorAll('.highlightit-annotation-marker').forEach((marker) => {
+            marker.setAttribute('aria-expanded', 'false');
+            marker.removeAttribute('aria-describedby');
+        });
+
+        popover.remove();
+    }
+
+    /**
+     * Find the foldable regions of a rendered code block. Brace and bracket pairs outside of
+     * strings and comments are used for C-like languages, indentation for Python and YAML.
+     * @param {HTMLElement} element - The rendered code element
+     * @returns {Map<number, number>} - The index of every region's first line mapped to the
+     * index of its last hidden line
+     * @private
+     */
+    static findFoldRegions(element) {
+        const lines = element.querySelectorAll('.highlightit-line');
+        const regions = new Map();
+
+        const language = (
+            element.dataset.language ||
+            (element.className.match(/language-([\w-]+)/) || [])[1] ||
+            ''
+        ).toLowerCase();
+
+        if (cache.indentFoldingLanguages.has(language)) {
+            const indents = [];
+            for (let i = 0; i < lines.length; i++) {
+                const text = lines[i].textContent.replace(/\n$/, '');
+                indents.push(
+                    text.trim() ? text.match(/^\s*/)[0].replace(/\t/g, '    ').length : -1
+                );
             }
 
-            for (let i = 0; i < newLineCount; i++) {
-                const lineNumber = startLine + i;
+            for (let i = 0; i < lines.length; i++) {
+                if (indents[i] < 0) continue;
 
-                if (allLineContainers[i]) {
-                    const span = allLineContainers[i].querySelector('.highlightit-line-number');
-                    if (span) {
-                        span.textContent = lineNumber;
-                    }
+                let end = i;
+                for (let j = i + 1; j < lines.length; j++) {
+                    if (indents[j] < 0) continue;
+                    if (indents[j] <= indents[i]) break;
+                    end = j;
+                }
 
-                    if (withShare && blockId) {
-                        const button =
-                            allLineContainers[i].querySelector('.highlightit-line-share');
-                        if (button) {
-                            button.dataset.lineNumber = lineNumber;
+                if (end > i) {
+                    regions.set(i, end);
+                }
+            }
 
-                            if (button.dataset.blockId !== blockId) {
-                                button.dataset.blockId = blockId;
+            return regions;
+        }
 
-                                const oldClickListener = button._clickListener;
-                                if (oldClickListener) {
-                                    button.removeEventListener('click', oldClickListener);
-                                }
+        const stack = [];
+        const skipSelector = '.hljs-string, .hljs-comment, .hljs-regexp';
 
-                                this.setupLineShareButtonHandler(button, container);
-                            }
+        for (let i = 0; i < lines.length; i++) {
+            const walker = document.createTreeWalker(lines[i], NodeFilter.SHOW_TEXT);
+            let node;
+
+            while ((node = walker.nextNode())) {
+                if (node.parentElement.closest(skipSelector)) continue;
+
+                for (const char of node.data) {
+                    if (char === '{' || char === '[') {
+                        stack.push({ char, line: i });
+                    } else if (char === '}' || char === ']') {
+                        const open = stack.pop();
+                        if (open && i - open.line > 1) {
+                            regions.set(open.line, Math.max(regions.get(open.line) || 0, i - 1));
                         }
                     }
-                } else if (lineNumbers[i]) {
-                    lineNumbers[i].textContent = lineNumber;
                 }
             }
         }
+
+        return regions;
+    }
+
+    /**
+     * Add fold chevrons to the line number gutter of blocks with data-with-folding and hide the
+     * lines of folded regions behind a "… N lines" placeholder. Folded regions are remembered by
+     * their first line number, so they stay folded when live updates re-highlight the block.
+     * @param {HTMLElement} container - The container element
+     * @private
+     */
+    static applyFolding(container) {
+        const element = container.querySelector('pre code');
+        if (!element) return;
+
+        const withFolding =
+            (element.dataset.withFolding !== undefined ||
+                container.dataset.withFolding !== undefined) &&
+            !this.isDiffBlock(element, container);
+        const rows = container.querySelectorAll('.highlightit-line-number-container');
+        if (!withFolding || rows.length === 0) return;
+
+        this.setupFolding(container);
+
+        const lines = element.querySelectorAll('.highlightit-line');
+        const startLine = this.getLineStart(element, container);
+        const regions = this.findFoldRegions(element);
+        const folded = container._foldedLines || (container._foldedLines = new Set());
+        const hidden = new Array(lines.length).fill(false);
+
+        regions.forEach((end, start) => {
+            if (!folded.has(startLine + start)) return;
+
+            const targets = container._targetLines;
+            for (let i = start + 1; i <= end; i++) {
+                if (targets && targets.has(startLine + i)) {
+                    folded.delete(startLine + start);
+                    return;
+                }
+            }
+
+            for (let i = start + 1; i <= end; i++) {
+                hidden[i] = true;
+            }
+        });
+
+        container.classList.add('highlightit-foldable');
+
+        for (let i = 0; i < rows.length; i++) {
+            const row = rows[i];
+            const line = lines[i];
+            const end = regions.get(i);
+            const isFolded = end !== undefined && folded.has(startLine + i);
+            let toggle = row.querySelector('.highlightit-fold-toggle');
+
+            if (end === undefined) {
+                if (toggle) {
+                    toggle.remove();
+                }
+            } else {
+                if (!toggle) {
+                    toggle = document.createElement('button');
+                    toggle.className = 'highlightit-fold-toggle';
+                    toggle.innerHTML = cache.svgIcons.chevron;
+                    row.insertBefore(toggle, row.firstChild);
+                }
+
+                toggle.dataset.foldLine = startLine + i;
+                toggle.setAttribute('aria-expanded', String(!isFolded));
+                toggle.setAttribute(
+                    'aria-label',
+                    `${isFolded ? 'Unfold' : 'Fold'} lines ${startLine + i + 1}-${startLine + end}`
+                );
+            }
+
+            row.classList.toggle('highlightit-folded', isFolded);
+            row.classList.toggle('highlightit-line-folded', hidden[i]);
+
+            if (!line) continue;
+
+            line.classList.toggle('highlightit-line-folded', hidden[i]);
+
+            let placeholder = line.querySelector('.highlightit-fold-placeholder');
+            if (!isFolded) {
+                if (placeholder) {
+                    placeholder.remove();
+                }
+                continue;
+            }
+
+            if (!placeholder) {
+                placeholder = document.createElement('span');
+                placeholder.className = 'highlightit-fold-placeholder';
+                placeholder.setAttribute('aria-hidden', 'true');
+
+                const last = line.lastChild;
+                if (last && last.nodeType === 3 && last.data.endsWith('\n')) {
+                    if (last.data.length > 1) {
+                        last.splitText(last.data.length - 1);
+                    }
+                    line.insertBefore(placeholder, line.lastChild);
+                } else {
+                    line.appendChild(placeholder);
+                }
+            }
+
+            placeholder.dataset.foldLine = startLine + i;
+            placeholder.dataset.label = `\u2026 ${end - i} lines`;
+        }
+    }
+
+    /**
+     * Set up the delegated click handler for fold chevrons and placeholders
+     * @param {HTMLElement} container - The container element
+     * @private
+     */
+    static setupFolding(container) {
+        if (container._foldingReady) return;
+        container._foldingReady = true;
+
+        container.addEventListener('click', (e) => {
+            const control =
+                e.target.closest &&
+                e.target.closest('.highlightit-fold-toggle, .highlightit-fold-placeholder');
+            if (!control || !container.contains(control)) return;
+
+            this.toggleFold(container, parseInt(control.dataset.foldLine, 10));
+        });
+    }
+
+    /**
+     * Fold or unfold the region starting at the given line
+     * @param {HTMLElement} container - The container element
+     * @param {number} lineNumber - The displayed number of the region's first line
+     * @private
+     */
+    static toggleFold(container, lineNumber) {
+        const folded = container._foldedLines || (container._foldedLines = new Set());
+
+        if (folded.has(lineNumber)) {
+            folded.delete(lineNumber);
+        } else {
+            folded.add(lineNumber);
+        }
+
+        this.decorateLines(container);
+    }
+
+    /**
+     * Collapse blocks longer than data-max-lines behind a fade-out and a "Show all N lines"
+     * button. The block expands when the button is used or a permalink targets a hidden line.
+     * @param {HTMLElement} container - The container element
+     * @private
+     */
+    static applyLineCollapse(container) {
+        const element = container.querySelector('pre code');
+        if (!element) return;
+
+        const maxLines = parseInt(element.dataset.maxLines || container.dataset.maxLines, 10);
+        const lines = element.querySelectorAll('.highlightit-line');
+        const startLine = this.getLineStart(element, container);
+
+        if (maxLines > 0 && !container._expanded && container._targetLines) {
+            container._targetLines.forEach((lineNumber) => {
+                const index = lineNumber - startLine;
+                if (index >= maxLines && index < lines.length) {
+                    container._expanded = true;
+                }
+            });
+        }
+
+        const collapsed = maxLines > 0 && !container._expanded && lines.length > maxLines;
+        if (!collapsed && !container.classList.contains('highlightit-collapsed')) return;
+
+        const rowLists = [lines, container.querySelectorAll('.highlightit-line-number-container')];
+
+        rowLists.forEach((rows) => {
+            for (let i = 0; i < rows.length; i++) {
+                rows[i].classList.toggle('highlightit-line-hidden', collapsed && i >= maxLines);
+            }
+        });
+
+        container.classList.toggle('highlightit-collapsed', collapsed);
+
+        let expandControl = container.querySelector('.highlightit-expand');
+        if (!collapsed) {
+            if (expandControl) {
+                expandControl.remove();
+            }
+            return;
+        }
+
+        if (!expandControl) {
+            expandControl = this.createExpandControl(container);
+            element.parentElement.after(expandControl);
+        }
+
+        expandControl.querySelector('button').textContent = `Show all ${lines.length} lines`;
+    }
+
+    /**
+     * Create the control that expands a block collapsed by data-max-lines
+     * @param {HTMLElement} container - The container element
+     * @returns {HTMLElement} - The expand control element
+     * @private
+     */
+    static createExpandControl(container) {
+        const expandControl = document.createElement('div');
+        expandControl.className = 'highlightit-expand';
+
+        const expandButton = document.createElement('button');
+        expandButton.type = 'button';
+        expandButton.className = 'highlightit-button highlightit-expand-button';
+        expandButton.setAttribute('aria-expanded', 'false');
+
+        expandButton.addEventListener('click', () => {
+            this.expandBlock(container);
+        });
+
+        expandControl.appendChild(expandButton);
+        return expandControl;
+    }
+
+    /**
+     * Show every line of a block collapsed by data-max-lines
+     * @param {HTMLElement} container - The container element
+     * @private
+     */
+    static expandBlock(container) {
+        container._expanded = true;
+        this.decorateLines(container);
+    }
+
+    /**
+     * Create the button that opens the find bar of a code block
+     * @param {HTMLElement} container - The container element
+     * @returns {HTMLElement} - The search button element
+     * @private
+     */
+    static createSearchButton(container) {
+        const searchButton = this.createElementFromMarkup(this.getButtonMarkup('search'));
+
+        this.setupSearchButtonHandler(searchButton, container);
+
+        return searchButton;
+    }
+
+    /**
+     * Attach the click handler that opens and closes the find bar to a search button
+     * @param {HTMLElement} searchButton - The search button element
+     * @param {HTMLElement} container - The container element
+     * @private
+     */
+    static setupSearchButtonHandler(searchButton, container) {
+        searchButton.addEventListener('click', () => {
+            if (container.querySelector('.highlightit-find')) {
+                this.closeFindBar(container);
+            } else {
+                this.openFindBar(container);
+            }
+        });
+    }
+
+    /**
+     * Open the find bar of a code block below its header and focus the search input
+     * @param {HTMLElement} container - The container element
+     * @private
+     */
+    static openFindBar(container) {
+        let findBar = container.querySelector('.highlightit-find');
+
+        if (!findBar) {
+            findBar = this.createFindBar(container);
+
+            const header = container.querySelector('.highlightit-header');
+            if (header) {
+                header.after(findBar);
+            } else {
+                container.prepend(findBar);
+            }
+        }
+
+        container.querySelectorAll('.highlightit-search').forEach((button) => {
+            button.setAttribute('aria-expanded', 'true');
+        });
+
+        const input = findBar.querySelector('.highlightit-find-input');
+        input.focus();
+        input.select();
+    }
+
+    /**
+     * Close the find bar of a code block and remove its match marks
+     * @param {HTMLElement} container - The container element
+     * @private
+     */
+    static closeFindBar(container) {
+        const findBar = container.querySelector('.highlightit-find');
+        if (findBar) {
+            findBar.remove();
+        }
+
+        container._search = null;
+        this.clearSearchMarks(container);
+
+        const searchButtons = container.querySelectorAll('.highlightit-search');
+        searchButtons.forEach((button) => {
+            button.setAttribute('aria-expanded', 'false');
+        });
+
+        if (searchButtons[0]) {
+            searchButtons[0].focus();
+        }
+    }
+
+    /**
+     * Create the find bar with the search input, the match count, the match case and
+     * regular expression options and the match navigation buttons
+     * @param {HTMLElement} container - The container element
+     * @returns {HTMLElement} - The find bar element
+     * @private
+     */
+    static createFindBar(container) {
+        const search = { query: '', caseSensitive: false, regex: false, current: 0, count: 0 };
+        container._search = search;
+
+        const findBar = document.createElement('div');
+        findBar.className = 'highlightit-find';
+        findBar.setAttribute('role', 'search');
+
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.className = 'highlightit-find-input';
+        input.placeholder = 'Find';
+        input.spellcheck = false;
+        input.setAttribute('aria-label', 'Find in code');
+
+        const count = document.createElement('span');
+        count.className = 'highlightit-find-count';
+        count.setAttribute('aria-live', 'polite');
+
+        const createButton = (className, label, content) => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = `highlightit-find-button ${className}`;
+            button.setAttribute('aria-label', label);
+            button.innerHTML = content;
+            return button;
+        };
+
+        const caseButton = createButton('highlightit-find-case', 'Match case', 'Aa');
+        const regexButton = createButton('highlightit-find-regex', 'Use regular expression', '.*');
+        const prevButton = createButton(
+            'highlightit-find-prev',
+            'Previous match',
+            cache.svgIcons.chevron
+        );
+        const nextButton = createButton(
+            'highlightit-find-next',
+            'Next match',
+            cache.svgIcons.chevron
+        );
+        const closeButton = createButton(
+            'highlightit-find-close',
+            'Close find bar',
+            cache.svgIcons.close
+        );
+
+        [
+            [caseButton, 'caseSensitive'],
+            [regexButton, 'regex'],
+        ].forEach(([button, option]) => {
+            button.setAttribute('aria-pressed', 'false');
+            button.addEventListener('click', () => {
+                search[option] = !search[option];
+                button.setAttribute('aria-pressed', String(search[option]));
+                search.current = 0;
+                this.applySearchMarks(container);
+                this.showSearchMatch(container);
+            });
+        });
+
+        input.addEventListener('input', () => {
+            search.query = input.value;
+            search.current = 0;
+            this.applySearchMarks(container);
+            this.showSearchMatch(container);
+        });
+
+        input.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                this.moveSearchMatch(container, e.shiftKey ? -1 : 1);
+            } else if (e.key === 'Escape') {
+                e.preventDefault();
+                this.closeFindBar(container);
+            }
+        });
+
+        prevButton.addEventListener('click', () => this.moveSearchMatch(container, -1));
+        nextButton.addEventListener('click', () => this.moveSearchMatch(container, 1));
+        closeButton.addEventListener('click', () => this.closeFindBar(container));
+
+        findBar.append(input, count, caseButton, regexButton, prevButton, nextButton, closeButton);
+        return findBar;
+    }
+
+    /**
+     * Mark every match of the find bar query in the rendered code. Matches are marked by
+     * splitting text nodes, so the hljs spans around them stay intact.
+     * @param {HTMLElement} container - The container element
+     * @private
+     */
+    static applySearchMarks(container) {
+        const search = container._search;
+        const element = container.querySelector('pre code');
+        if (!search || !element) return;
+
+        this.clearSearchMarks(container);
+
+        const input = container.querySelector('.highlightit-find-input');
+        const count = container.querySelector('.highlightit-find-count');
+        const ranges = [];
+        let pattern = null;
+
+        if (search.query) {
+            try {
+                pattern = new RegExp(
+                    search.regex
+                        ? search.query
+                        : search.query.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'),
+                    search.caseSensitive ? 'g' : 'gi'
+                );
+            } catch {
+                pattern = null;
+            }
+        }
+
+        if (input) {
+            input.setAttribute('aria-invalid', String(Boolean(search.query && !pattern)));
+        }
+
+        const nodes = [];
+        const walker = document.createTreeWalker(element, NodeFilter.SHOW_TEXT);
+        let node;
+        while ((node = walker.nextNode())) {
+            nodes.push(node);
+        }
+
+        if (pattern) {
+            const text = nodes.map((textNode) => textNode.data).join('');
+            let match;
+
+            while ((match = pattern.exec(text)) !== null && ranges.length < 1000) {
+                if (match[0].length === 0) {
+                    pattern.lastIndex++;
+                    continue;
+                }
+                ranges.push([match.index, match.index + match[0].length]);
+            }
+        }
+
+        let offset = 0;
+        const nodeOffsets = nodes.map((textNode) => {
+            const start = offset;
+            offset += textNode.data.length;
+            return start;
+        });
+
+        for (let i = nodes.length - 1; i >= 0; i--) {
+            const nodeStart = nodeOffsets[i];
+            const nodeEnd = nodeStart + nodes[i].data.length;
+
+            for (let r = ranges.length - 1; r >= 0; r--) {
+                const [start, end] = ranges[r];
+                if (end <= nodeStart || start >= nodeEnd) continue;
+
+                const localStart = Math.max(start, nodeStart) - nodeStart;
+                const localEnd = Math.min(end, nodeEnd) - nodeStart;
+
+                if (localEnd < nodes[i].data.length) {
+                    nodes[i].splitText(localEnd);
+                }
+                const matchNode = localStart > 0 ? nodes[i].splitText(localStart) : nodes[i];
+
+                const mark = document.createElement('mark');
+                mark.className = 'highlightit-search-match';
+                mark.dataset.match = r;
+                matchNode.parentNode.insertBefore(mark, matchNode);
+                mark.appendChild(matchNode);
+            }
+        }
+
+        search.count = ranges.length;
+        search.current = Math.min(search.current, Math.max(ranges.length - 1, 0));
+
+        if (count) {
+            if (!search.query) {
+                count.textContent = '';
+            } else if (!pattern) {
+                count.textContent = 'Invalid pattern';
+            } else if (ranges.length === 0) {
+                count.textContent = 'No results';
+            } else {
+                count.textContent = `${search.current + 1} of ${ranges.length}`;
+            }
+        }
+
+        element.querySelectorAll(`mark[data-match="${search.current}"]`).forEach((mark) => {
+            mark.classList.add('highlightit-search-current');
+        });
+    }
+
+    /**
+     * Remove the find bar match marks from the rendered code
+     * @param {HTMLElement} container - The container element
+     * @private
+     */
+    static clearSearchMarks(container) {
+        container.querySelectorAll('mark.highlightit-search-match').forEach((mark) => {
+            const parent = mark.parentNode;
+            while (mark.firstChild) {
+                parent.insertBefore(mark.firstChild, mark);
+            }
+            parent.removeChild(mark);
+            parent.normalize();
+        });
+    }
+
+    /**
+     * Move to the next or previous match of the find bar, wrapping around at the ends
+     * @param {HTMLElement} container - The container element
+     * @param {number} step - 1 for the next match, -1 for the previous one
+     * @private
+     */
+    static moveSearchMatch(container, step) {
+        const search = container._search;
+        if (!search || search.count === 0) return;
+
+        search.current = (search.current + step + search.count) % search.count;
+
+        container.querySelectorAll('.highlightit-search-current').forEach((mark) => {
+            mark.classList.remove('highlightit-search-current');
+        });
+        container.querySelectorAll(`mark[data-match="${search.current}"]`).forEach((mark) => {
+            mark.classList.add('highlightit-search-current');
+        });
+
+        const count = container.querySelector('.highlightit-find-count');
+        if (count) {
+            count.textContent = `${search.current + 1} of ${search.count}`;
+        }
+
+        this.showSearchMatch(container);
+    }
+
+    /**
+     * Scroll the current match of the find bar into view, expanding collapsed blocks and
+     * unfolding regions that hide it
+     * @param {HTMLElement} container - The container element
+     * @private
+     */
+    static showSearchMatch(container) {
+        const mark = container.querySelector('.highlightit-search-current');
+        if (!mark) return;
+
+        const line = mark.closest('.highlightit-line');
+        if (line && line.classList.contains('highlightit-line-hidden')) {
+            container._expanded = true;
+        }
+
+        if (line && line.classList.contains('highlightit-line-folded') && container._foldedLines) {
+            const element = container.querySelector('pre code');
+            const index = Array.from(element.querySelectorAll('.highlightit-line')).indexOf(line);
+            const startLine = this.getLineStart(element, container);
+
+            this.findFoldRegions(element).forEach((end, start) => {
+                if (start < index && index <= end) {
+                    container._foldedLines.delete(startLine + start);
+                }
+            });
+        }
+
+        this.decorateLines(container);
+        mark.scrollIntoView({ block: 'nearest', inline: 'nearest' });
+    }
+
+    /**
+     * Create the button that toggles soft wrapping of long lines
+     * @param {HTMLElement} container - The container element
+     * @returns {HTMLElement} - The wrap button element
+     * @private
+     */
+    static createWrapButton(container) {
+        const wrapButton = this.createElementFromMarkup(
+            this.getButtonMarkup('wrap', false, container.classList.contains('highlightit-wrapped'))
+        );
+
+        this.setupWrapButtonHandler(wrapButton, container);
+
+        return wrapButton;
+    }
+
+    /**
+     * Attach the click handler that toggles soft wrapping to a wrap button
+     * @param {HTMLElement} wrapButton - The wrap button element
+     * @param {HTMLElement} container - The container element
+     * @private
+     */
+    static setupWrapButtonHandler(wrapButton, container) {
+        wrapButton.addEventListener('click', () => {
+            this.setWrap(container, !container.classList.contains('highlightit-wrapped'));
+        });
+    }
+
+    /**
+     * Switch a code block between horizontal scrolling and soft wrapping of long lines
+     * @param {HTMLElement} container - The container element
+     * @param {boolean} wrap - Whether long lines should wrap
+     * @private
+     */
+    static setWrap(container, wrap) {
+        polyfills.classList[wrap ? 'add' : 'remove'](container, 'highlightit-wrapped');
+
+        container.querySelectorAll('.highlightit-wrap').forEach((button) => {
+            button.setAttribute('aria-pressed', String(wrap));
+        });
+
+        if (wrap && !container._lineNumbersResizeObserver) {
+            const observer = new polyfills.ResizeObserver(() => {
+                this.syncWrappedLineHeights(container);
+            });
+
+            observer.observe(container);
+            container._lineNumbersResizeObserver = observer;
+        }
+
+        this.syncWrappedLineHeights(container);
+    }
+
+    /**
+     * Give every gutter row the height of its logical line, so line numbers stay aligned
+     * when a wrapped line spans several visual rows
+     * @param {HTMLElement} container - The container element
+     * @private
+     */
+    static syncWrappedLineHeights(container) {
+        const rows = container.querySelectorAll('.highlightit-line-number-container');
+        if (rows.length === 0) return;
+
+        const wrapped = container.classList.contains('highlightit-wrapped');
+        const lines = container.querySelectorAll('pre code .highlightit-line');
+        const heights = [];
+
+        for (let i = 0; i < rows.length; i++) {
+            heights.push(wrapped && lines[i] ? `${lines[i].offsetHeight}px` : '');
+        }
+
+        for (let i = 0; i < rows.length; i++) {
+            if (rows[i].style.height !== heights[i]) {
+                rows[i].style.height = heights[i];
+            }
+        }
+    }
+
+    /**
+     * Mark the lines linked from the URL or selected in the gutter
+     * @param {HTMLElement} container - The container element
+     * @private
+     */
+    static applyTargetLines(container) {
+        const lines = container._targetLines;
+        if (!lines && !container.classList.contains('highlightit-has-target')) return;
+
+        const element = container.querySelector('pre code');
+        const startLine = this.getLineStart(element, container);
+
+        const rowLists = [
+            container.querySelectorAll('pre code .highlightit-line'),
+            container.querySelectorAll('.highlightit-line-number-container'),
+        ];
+
+        rowLists.forEach((rows) => {
+            for (let i = 0; i < rows.length; i++) {
+                rows[i].classList.toggle(
+                    'highlightit-line-targeted',
+                    Boolean(lines && lines.has(startLine + i))
+                );
+            }
+        });
+
+        container.classList.toggle('highlightit-has-target', Boolean(lines && lines.size > 0));
+    }
+
+    /**
+     * Check whether a code block is rendered in unified diff mode (data-diff)
+     * @param {HTMLElement} element - The code element
+     * @param {HTMLElement} container - The container element
+     * @returns {boolean} - Whether the block is a diff block
+     * @private
+     */
+    static isDiffBlock(element, container) {
+        return (
+            element.dataset.diff !== undefined ||
+            (container && container.dataset.diff !== undefined)
+        );
+    }
+
+    /**
+     * Parse a unified diff into typed lines and the before and after versions of the code
+     * @param {string} code - The diff with '+', '-' and ' ' prefixed lines
+     * @returns {Object} - The parsed lines with type and text, and the before and after code
+     * @private
+     */
+    static parseDiff(code) {
+        const rawLines = code.split('\n');
+        const lines = [];
+        const before = [];
+        const after = [];
+        let inHeader = true;
+
+        for (let i = 0; i < rawLines.length; i++) {
+            const raw = rawLines[i];
+
+            if (
+                inHeader &&
+                (/^(diff|index) /.test(raw) ||
+                    (raw.startsWith('--- ') && (rawLines[i + 1] || '').startsWith('+++ ')) ||
+                    (raw.startsWith('+++ ') && (rawLines[i - 1] || '').startsWith('--- ')))
+            ) {
+                lines.push({ type: 'header', text: raw });
+                continue;
+            }
+
+            inHeader = false;
+
+            if (raw.startsWith('@@')) {
+                lines.push({ type: 'hunk', text: raw });
+            } else if (raw.startsWith('\\')) {
+                lines.push({ type: 'meta', text: raw });
+            } else if (raw.startsWith('+')) {
+                lines.push({ type: 'added', text: raw.slice(1) });
+                after.push(raw.slice(1));
+            } else if (raw.startsWith('-')) {
+                lines.push({ type: 'removed', text: raw.slice(1) });
+                before.push(raw.slice(1));
+            } else {
+                const text = raw.startsWith(' ') ? raw.slice(1) : raw;
+                lines.push({ type: 'context', text });
+                before.push(text);
+                after.push(text);
+            }
+        }
+
+        return { lines, before: before.join('\n'), after: after.join('\n') };
+    }
+
+    /**
+     * Compute the word-level changes between a removed and an added line
+     * @param {string} oldText - The text of the removed line
+     * @param {string} newText - The text of the added line
+     * @returns {Object} - The changed [start, end) character ranges of both lines
+     * @private
+     */
+    static diffWords(oldText, newText) {
+        const tokenize = (text) => text.match(/\w+|\s+|[^\w\s]/g) || [];
+        const oldTokens = tokenize(oldText);
+        const newTokens = tokenize(newText);
+
+        if (oldTokens.length * newTokens.length > 40000) {
+            return { removed: [], added: [] };
+        }
+
+        const table = [];
+        for (let i = 0; i <= oldTokens.length; i++) {
+            table.push(new Array(newTokens.length + 1).fill(0));
+        }
+
+        for (let i = oldTokens.length - 1; i >= 0; i--) {
+            for (let j = newTokens.length - 1; j >= 0; j--) {
+                table[i][j] =
+                    oldTokens[i] === newTokens[j]
+                        ? table[i + 1][j + 1] + 1
+                        : Math.max(table[i + 1][j], table[i][j + 1]);
+            }
+        }
+
+        const removed = [];
+        const added = [];
+        const addRange = (ranges, start, length) => {
+            const last = ranges[ranges.length - 1];
+            if (last && last[1] === start) {
+                last[1] = start + length;
+            } else {
+                ranges.push([start, start + length]);
+            }
+        };
+
+        let i = 0;
+        let j = 0;
+        let oldOffset = 0;
+        let newOffset = 0;
+
+        while (i < oldTokens.length || j < newTokens.length) {
+            if (i < oldTokens.length && j < newTokens.length && oldTokens[i] === newTokens[j]) {
+                oldOffset += oldTokens[i++].length;
+                newOffset += newTokens[j++].length;
+            } else if (
+                j < newTokens.length &&
+                (i >= oldTokens.length || table[i][j + 1] >= table[i + 1][j])
+            ) {
+                addRange(added, newOffset, newTokens[j].length);
+                newOffset += newTokens[j++].length;
+            } else {
+                addRange(removed, oldOffset, oldTokens[i].length);
+                oldOffset += oldTokens[i++].length;
+            }
+        }
+
+        return { removed, added };
+    }
+
+    /**
+     * Wrap character ranges of the text inside highlighted HTML without breaking its tags.
+     * Every text run inside a range is wrapped on its own, so the tag structure stays intact.
+     * @param {string} html - The highlighted HTML of a single line
+     * @param {Array<number[]>} ranges - Sorted [start, end) character ranges of the text
+     * @param {string} className - The class name of the wrapping span
+     * @returns {string} - The HTML with the ranges wrapped
+     * @private
+     */
+    static wrapTextRanges(html, ranges, className) {
+        if (!ranges.length) return html;
+
+        const open = `<span class="${className}">`;
+        let output = '';
+        let offset = 0;
+        let rangeIndex = 0;
+        let wrapped = false;
+
+        for (let i = 0; i < html.length; i++) {
+            const char = html[i];
+
+            if (char === '<') {
+                const end = html.indexOf('>', i);
+                if (wrapped) {
+                    output += '</span>';
+                    wrapped = false;
+                }
+                output += html.slice(i, end + 1);
+                i = end;
+                continue;
+            }
+
+            while (rangeIndex < ranges.length && ranges[rangeIndex][1] <= offset) {
+                rangeIndex++;
+            }
+
+            const inRange =
+                rangeIndex < ranges.length &&
+                ranges[rangeIndex][0] <= offset &&
+                offset < ranges[rangeIndex][1];
+
+            if (inRange && !wrapped) {
+                output += open;
+                wrapped = true;
+            } else if (!inRange && wrapped) {
+                output += '</span>';
+                wrapped = false;
+            }
+
+            if (char === '&') {
+                const end = html.indexOf(';', i);
+                output += html.slice(i, end + 1);
+                i = end;
+            } else {
+                output += char;
+            }
+
+            offset++;
+        }
+
+        if (wrapped) {
+            output += '</span>';
+        }
+
+        return output;
+    }
+
+    /**
+     * Render a parsed diff, highlighting the before and after code in the underlying language
+     * and marking word-level changes between removed and added lines
+     * @param {HTMLElement} element - The code element to render into
+     * @param {Object} diff - The diff returned by parseDiff
+     * @param {string|null} language - The language of the code in the diff
+     * @param {boolean} [live=false] - Whether the diff is rendered for a live update
+     * @private
+     */
+    static renderDiff(element, diff, language, live = false) {
+        element._diffLineTypes = diff.lines.map((line) => line.type);
+        this.renderHighlightedCode(element, this.highlightDiff(diff, language), language, live);
+    }
+
+    /**
+     * Highlight a parsed diff, with the changed words of paired removed and added lines marked
+     * @param {Object} diff - The parsed diff from parseDiff
+     * @param {string|null} language - The language of the code in the diff
+     * @returns {string} - The highlighted HTML with one line per diff line
+     * @private
+     */
+    static highlightDiff(diff, language) {
+        const highlight = (code) => {
+            if (!language) return this.escapeHtml(code);
+
+            try {
+                return hljs.highlight(code, { language }).value;
+            } catch (e) {
+                console.error(`HighlightIt: Error highlighting with language ${language}`, e);
+                return this.escapeHtml(code);
+            }
+        };
+
+        const beforeLines = this.splitHighlightedLines(highlight(diff.before));
+        const afterLines = this.splitHighlightedLines(highlight(diff.after));
+
+        let beforeIndex = 0;
+        let afterIndex = 0;
+
+        const htmlLines = diff.lines.map((line) => {
+            if (line.type === 'removed') {
+                return beforeLines[beforeIndex++];
+            }
+            if (line.type === 'added') {
+                return afterLines[afterIndex++];
+            }
+            if (line.type === 'context') {
+                beforeIndex++;
+                return afterLines[afterIndex++];
+            }
+            return this.escapeHtml(line.text);
+        });
+
+        for (let i = 0; i < diff.lines.length; i++) {
+            if (diff.lines[i].type !== 'removed') continue;
+
+            let removedEnd = i;
+            while (removedEnd < diff.lines.length && diff.lines[removedEnd].type === 'removed') {
+                removedEnd++;
+            }
+
+            let addedEnd = removedEnd;
+            while (addedEnd < diff.lines.length && diff.lines[addedEnd].type === 'added') {
+                addedEnd++;
+            }
+
+            const pairs = Math.min(removedEnd - i, addedEnd - removedEnd);
+            for (let k = 0; k < pairs; k++) {
+                const removedIndex = i + k;
+                const addedIndex = removedEnd + k;
+                const changes = this.diffWords(
+                    diff.lines[removedIndex].text,
+                    diff.lines[addedIndex].text
+                );
+
+                htmlLines[removedIndex] = this.wrapTextRanges(
+                    htmlLines[removedIndex],
+                    changes.removed,
+                    'highlightit-diff-word'
+                );
+                htmlLines[addedIndex] = this.wrapTextRanges(
+                    htmlLines[addedIndex],
+                    changes.added,
+                    'highlightit-diff-word'
+                );
+            }
+
+            i = addedEnd - 1;
+        }
+
+        return htmlLines.join('\n');
+    }
+
+    /**
+     * Mark the code lines and the line number gutter with the line types of a rendered diff
+     * @param {HTMLElement} container - The container element
+     * @private
+     */
+    static applyDiffLineTypes(container) {
+        const element = container.querySelector('pre code');
+        const lineTypes = element && element._diffLineTypes;
+        if (!lineTypes) return;
+
+        container.classList.add('highlightit-diff');
+
+        const rowLists = [
+            element.querySelectorAll('.highlightit-line'),
+            container.querySelectorAll('.highlightit-line-number-container'),
+        ];
+
+        rowLists.forEach((rows) => {
+            for (let i = 0; i < rows.length; i++) {
+                ['added', 'removed', 'hunk', 'header', 'meta'].forEach((type) => {
+                    rows[i].classList.toggle(`highlightit-diff-${type}`, lineTypes[i] === type);
+                });
+            }
+        });
+    }
+
+    /**
+     * Highlight an inline code span inside prose. Inline spans get no header, container or
+     * buttons and take their colors from the active theme.
+     * @param {HTMLElement} element - The inline code element
+     * @param {boolean} autoDetect - Whether to auto-detect the language if none is specified
+     * @private
+     *
+     * The element can have the following data attributes:
+     * - data-language: The programming language for syntax highlighting
+     * - data-theme: Override global theme for this element ('light', 'dark')
+     */
+    static processInlineElement(element, autoDetect) {
+        if (element.classList.contains('highlightit-inline')) return;
+
+        const code = element.textContent || '';
+        const language = element.dataset.language;
+        let result = null;
+
+        try {
+            if (language && hljs.getLanguage(language)) {
+                result = hljs.highlight(code, { language });
+            } else if (!language && autoDetect) {
+                result = this.autoDetectLanguage(code);
+            }
+        } catch (e) {
+            console.error(`HighlightIt: Error highlighting with language ${language}`, e);
+        }
+
+        element.innerHTML = result ? result.value : this.escapeHtml(code);
+        element.classList.add('highlightit-inline');
+
+        const detectedLanguage = language || (result && result.language);
+        if (detectedLanguage) {
+            element.classList.add(`language-${detectedLanguage}`);
+        }
+    }
+
+    /**
+     * Process an element for highlighting, handling both single and nested element structures
+     * @param {HTMLElement} element - The element to process
+     * @param {boolean} autoDetect - Whether to auto-detect language
+     * @param {boolean} addCopyButton - Whether to add a copy button
+     * @param {boolean} showLanguage - Whether to show the language label
+     * @param {boolean} addHeader - Whether to add header section
+     * @param {boolean} addLines - Whether to add line numbers
+     * @param {boolean} addShare - Whether to add share button
+     * @param {boolean} addDownload - Whether to add download button
+     * @param {boolean} addWrap - Whether to add a soft-wrap toggle button
+     * @param {boolean} addSearch - Whether to add a find button
+     * @returns {HTMLElement} - The code element that was highlighted
+     * @private
+     */
+    static processElement(
+        element,
+        autoDetect,
+        addCopyButton,
+        showLanguage,
+        addHeader,
+        addLines,
+        addShare,
+        addDownload,
+        addWrap,
+        addSearch
+    ) {
+        let codeElement;
+        let preElement;
+        let originalElement = null;
+        const withLiveUpdates = element.dataset.withReload !== undefined;
+        const target = element;
+        const source = element._source || this.getSourceElement(element).cloneNode(true);
+        element._source = null;
+
+        if (element.textContent !== null && element.textContent !== undefined) {
+            element.textContent = element.textContent.trim();
+        }
+
+        if (
+            element.dataset.lineStart !== undefined ||
+            element.dataset.withFolding !== undefined ||
+            element.dataset.annotations !== undefined
+        ) {
+            element.dataset.withLines = '';
+            addLines = true;
+        }
+
+        if (
+            element.tagName.toLowerCase() === 'code' &&
+            element.parentElement.tagName.toLowerCase() === 'pre'
+        ) {
+            codeElement = element;
+            preElement = element.parentElement;
+
+            if (withLiveUpdates) {
+                const uniqueId = 'highlightit-id-' + Math.random().toString(36).substr(2, 9);
+
+                originalElement = document.createElement('pre');
+                const originalCodeElement = document.createElement('code');
+
+                originalCodeElement.textContent = element.textContent || '';
+
+                originalElement.classList.add('highlightit-original');
+
+                if (preElement.id) {
+                    originalElement.id = preElement.id;
+                    preElement.setAttribute('data-original-id', preElement.id);
+                    preElement.id = '';
+                }
+
+                originalElement.setAttribute('data-highlightit-id', uniqueId);
+                originalElement.classList.add('highlightit-visually-hidden');
+
+                if (element.dataset.language) {
+                    originalCodeElement.dataset.language = element.dataset.language;
+                }
+
+                if (element.dataset.lineStart !== undefined) {
+                    originalCodeElement.dataset.lineStart = element.dataset.lineStart;
+                }
+
+                if (element.dataset.withShare !== undefined) {
+                    originalCodeElement.dataset.withShare = element.dataset.withShare;
+                }
+
+                if (element.dataset.withDownload !== undefined) {
+                    originalCodeElement.dataset.withDownload = element.dataset.withDownload;
+                }
+
+                if (element.dataset.filename !== undefined) {
+                    originalCodeElement.dataset.filename = element.dataset.filename;
+                }
+
+                originalElement.appendChild(originalCodeElement);
+
+                preElement.dataset.linkedOriginal = uniqueId;
+
+                preElement.classList.add('highlightit-streaming-target');
+
+                preElement.parentNode.insertBefore(originalElement, preElement);
+            }
+        } else {
+            const content = element.textContent || '';
+
+            if (withLiveUpdates) {
+                const uniqueId = 'highlightit-id-' + Math.random().toString(36).substr(2, 9);
+
+                originalElement = document.createElement('pre');
+                const originalCodeElement = document.createElement('code');
+
+                originalCodeElement.textContent = content;
+                originalElement.appendChild(originalCodeElement);
+
+                originalElement.classList.add('highlightit-original');
+
+                if (element.id) {
+                    originalElement.id = element.id;
+                    element.setAttribute('data-original-id', element.id);
+                    element.id = '';
+                }
+
+                originalElement.setAttribute('data-highlightit-id', uniqueId);
+                originalElement.classList.add('highlightit-visually-hidden');
+
+                if (element.dataset.language) {
+                    originalCodeElement.dataset.language = element.dataset.language;
+                }
+
+                if (element.dataset.lineStart !== undefined) {
+                    originalCodeElement.dataset.lineStart = element.dataset.lineStart;
+                }
+
+                if (element.dataset.withShare !== undefined) {
+                    originalCodeElement.dataset.withShare = element.dataset.withShare;
+                }
+
+                if (element.dataset.withDownload !== undefined) {
+                    originalCodeElement.dataset.withDownload = element.dataset.withDownload;
+                }
+
+                if (element.dataset.filename !== undefined) {
+                    originalCodeElement.dataset.filename = element.dataset.filename;
+                }
+
+                element.parentNode.insertBefore(originalElement, element);
+
+                element.setAttribute('data-linked-original', uniqueId);
+            }
+
+            const container = document.createElement('div');
+
+            if (element.className.includes('highlight-it')) {
+                container.className = 'highlight-it highlightit-container';
+            } else {
+                container.className = element.className;
+            }
+
+            if (element.id && !withLiveUpdates) {
+                container.id = element.id;
+            }
+
+            preElement = document.createElement('pre');
+            codeElement = document.createElement('code');
+
+            codeElement.textContent = content.trim();
+
+            for (const key in element.dataset) {
+                container.dataset[key] = element.dataset[key];
+
+                if (key === 'language') {
+                    codeElement.dataset.language = element.dataset[key];
+                    codeElement.className = `language-${element.dataset[key]}`;
+                }
+
+                if (key === 'withLines') {
+                    container.classList.add('highlightit-with-lines');
+                }
+
+                if (key === 'withDownload') {
+                    container.classList.add('highlightit-with-download');
+                }
+
+                if (key === 'noHeader') {
+                    container.classList.add('highlightit-no-header');
+                }
+
+                if (key === 'lineStart') {
+                    codeElement.dataset.lineStart = element.dataset[key];
+                }
+            }
+
+            preElement.appendChild(codeElement);
+            container.appendChild(preElement);
+
+            element.parentNode.replaceChild(container, element);
+            element = codeElement;
+        }
+
+        if (addLines || element.dataset.withLines !== undefined) {
+            const container = this.createCodeContainer(element);
+            container.classList.add('highlightit-with-lines');
+        }
+
+        if (addDownload || element.dataset.withDownload !== undefined) {
+            const container = this.createCodeContainer(element);
+            container.classList.add('highlightit-with-download');
+        }
+
+        this.highlightElement(
+            element,
+            autoDetect,
+            addCopyButton,
+            showLanguage,
+            addHeader,
+            addLines,
+            addShare,
+            addDownload,
+            addWrap,
+            addSearch
+        );
+
+        const container = element.closest('.highlightit-container');
+        if (container) {
+            container._source = source;
+            container._options = {
+                autoDetect,
+                addCopyButton,
+                showLanguage,
+                addHeader,
+                addLines,
+                addShare,
+                addDownload,
+                addWrap,
+                addSearch,
+            };
+            target._container = container;
+        }
+
+        return element;
+    }
+
+    /**
+     * Get the element a code block replaces: the <pre> of a <pre><code> pair, otherwise the
+     * element itself
+     * @param {HTMLElement} element - The element to highlight
+     * @returns {HTMLElement} - The element to keep a copy of for destroy()
+     * @private
+     */
+    static getSourceElement(element) {
+        const parent = element.parentElement;
+
+        return element.tagName.toLowerCase() === 'code' &&
+            parent &&
+            parent.tagName.toLowerCase() === 'pre'
+            ? parent
+            : element;
+    }
+
+    /**
+     * Apply global theme to the document root
+     * @param {string} theme - Theme to apply ('light', 'dark', or 'auto')
+     * @private
+     */
+    static applyGlobalTheme(theme) {
+        document.documentElement.classList.remove(
+            'highlightit-theme-light',
+            'highlightit-theme-dark',
+            'highlightit-theme-auto'
+        );
+
+        if (['light', 'dark', 'auto'].includes(theme)) {
+            document.documentElement.classList.add(`highlightit-theme-${theme}`);
+        } else {
+            document.documentElement.classList.add('highlightit-theme-auto');
+        }
+    }
+
+    /**
+     * Highlight a single element
+     * @param {HTMLElement} element - The code element to highlight
+     * @param {boolean} autoDetect - Whether to auto-detect language
+     * @param {boolean} addCopyButton - Whether to add a copy button
+     * @param {boolean} showLanguage - Whether to show the language label
+     * @param {boolean} addHeader - Whether to add header section
+     * @param {boolean} addLines - Whether to add line numbers
+     * @param {boolean} addShare - Whether to add share button
+     * @param {boolean} addDownload - Whether to add download button
+     * @param {boolean} addWrap - Whether to add a soft-wrap toggle button
+     * @param {boolean} addSearch - Whether to add a find button
+     * @private
+     *
+     * The element can have various data attributes:
+     * - data-language: The programming language for syntax highlighting
+     * - data-filename: Filename to display (also used to detect language)
+     * - data-theme: Override global theme for this element ('light', 'dark', 'auto')
+     * - data-with-lines: Add line numbers to the code block
+     * - data-line-start: Set the starting line number (default is 1, can be positive or negative)
+     * - data-no-header: Hide the header (language label and copy button)
+     * - data-no-copy: Hide the copy button
+     * - data-with-reload: Enable live updates - code will be rehighlighted automatically when content changes
+     * - data-with-share: Add a share button that copies the URL with the element ID as the fragment
+     * - data-with-download: Add a download button that downloads the code as a file
+     * - data-filename: Used for the download feature to set the filename for downloaded code
+     * - data-highlight-lines: Lines to keep emphasized, e.g. "3,5-7" (uses the displayed line numbers)
+     * - data-focus-lines: Lines to keep in focus while every other line is dimmed, e.g. "3,5-7"
+     * - data-diff: Render the code as a unified diff ('+', '-' and ' ' prefixed lines) while
+     *   highlighting the underlying language; copy and download use the "after" version
+     * - data-wrap: Soft-wrap long lines initially and add a button to toggle wrapping
+     * - data-max-lines: Collapse blocks longer than this many lines behind a "Show all N lines" button
+     * - data-with-folding: Add chevrons to the line number gutter to fold braces and indented blocks
+     * - data-group: Show consecutive blocks with the same group name as tabs of one group
+     * - data-with-search: Add a find button that opens a find bar for the code block
+     * - data-annotations: JSON array of line notes such as '[{"line":4,"text":"Cache miss path"}]'
+     *   shown as gutter markers with popovers (enables line numbers)
+     * - data-annotations-margin: Also show the notes in a side margin on wide screens
+     */
+    static highlightElement(
+        element,
+        autoDetect,
+        addCopyButton,
+        showLanguage,
+        addHeader,
+        addLines,
+        addShare,
+        addDownload,
+        addWrap,
+        addSearch
+    ) {
+        const container = this.createCodeContainer(element);
+        container._hydrated = true;
+
+        let code = (element.textContent || '').trim();
+
+        let language = null;
+        let displayLabel = null;
+        let filename = null;
+
+        const elementDataset = element.dataset;
+        const containerDataset = container.dataset;
+
+        const noHeader =
+            !addHeader ||
+            elementDataset.noHeader !== undefined ||
+            containerDataset.noHeader !== undefined;
+        const withLines =
+            addLines ||
+            elementDataset.withLines !== undefined ||
+            containerDataset.withLines !== undefined;
+        const withLiveUpdates =
+            elementDataset.withReload !== undefined || containerDataset.withReload !== undefined;
+        const noCopy = elementDataset.noCopy !== undefined || containerDataset.noCopy !== undefined;
+        const withShare =
+            addShare ||
+            elementDataset.withShare !== undefined ||
+            containerDataset.withShare !== undefined;
+        const withDownload =
+            addDownload ||
+            elementDataset.withDownload !== undefined ||
+            containerDataset.withDownload !== undefined;
+        const wrapInitially =
+            elementDataset.wrap !== undefined || containerDataset.wrap !== undefined;
+        const withWrap = addWrap || wrapInitially;
+        const withSearch =
+            addSearch ||
+            elementDataset.withSearch !== undefined ||
+            containerDataset.withSearch !== undefined;
+
+        const shouldAddCopyButton = addCopyButton && !noCopy;
+
+        if (elementDataset.language) {
+            language = elementDataset.language;
+            displayLabel = language;
+        } else if (containerDataset.language) {
+            language = containerDataset.language;
+            displayLabel = language;
+        }
+
+        if (elementDataset.filename) {
+            filename = elementDataset.filename;
+            language = this.getLanguageFromFilename(filename);
+            displayLabel = filename;
+        } else if (containerDataset.filename) {
+            filename = containerDataset.filename;
+            language = this.getLanguageFromFilename(filename);
+            displayLabel = filename;
+        }
+
+        code = this.runPluginHooks('beforeHighlight', code, this.getHookContext(element, language));
+
+        const diff = this.isDiffBlock(element, container) ? this.parseDiff(code) : null;
+        const copyCode = diff ? diff.after : code;
+
+        if (elementDataset.theme) {
+            const elementTheme = elementDataset.theme.toLowerCase();
+            if (['light', 'dark', 'auto'].includes(elementTheme)) {
+                container.classList.add(`highlightit-theme-${elementTheme}`);
+            }
+        } else if (containerDataset.theme) {
+            const elementTheme = containerDataset.theme.toLowerCase();
+            if (['light', 'dark', 'auto'].includes(elementTheme)) {
+                container.classList.add(`highlightit-theme-${elementTheme}`);
+            }
+        }
+
+        if (withShare && !withLiveUpdates) {
+            const originalId = container.getAttribute('data-original-id');
+            const hasId = originalId || container.id;
+
+            if (!hasId) {
+                this.generateHash(code).then((blockId) => {
+                    container.id = blockId;
+                });
+            }
+        }
+
+        if (wrapInitially) {
+            this.setWrap(container, true);
+        }
+
+        container._code = copyCode;
+        container._buttons = {
+            copy: shouldAddCopyButton,
+            share: withShare,
+            download: withDownload,
+            wrap: withWrap,
+            search: withSearch,
+        };
+
+        if (addHeader && !noHeader) {
+            const header = this.createCodeHeader(
+                displayLabel,
+                copyCode,
+                shouldAddCopyButton,
+                showLanguage,
+                withShare,
+                withDownload,
+                container,
+                withWrap,
+                withSearch
+            );
+
+            if (showLanguage || header.lastChild.hasChildNodes()) {
+                container.prepend(header);
+            }
+        } else if (noHeader) {
+            container.classList.add('highlightit-no-header');
+            const floatingBtns = this.createFloatingButtons(
+                copyCode,
+                withShare,
+                withDownload,
+                container,
+                withWrap,
+                withSearch,
+                shouldAddCopyButton
+            );
+
+            if (floatingBtns.hasChildNodes()) {
+                container.appendChild(floatingBtns);
+            }
+        }
+
+        if (withLines) {
+            container.classList.add('highlightit-with-lines');
+        }
+
+        if (withLiveUpdates) {
+            this.setupLiveUpdates(element, container, autoDetect, showLanguage, withShare);
+        }
+
+        if (diff) {
+            if (!language && autoDetect) {
+                language = this.autoDetectLanguage(diff.after).language || null;
+
+                if (showLanguage && !noHeader && language) {
+                    const languageLabel = container.querySelector(
+                        '.highlightit-header .highlightit-language'
+                    );
+                    if (languageLabel) {
+                        languageLabel.textContent = this.getLanguageLabel(language);
+                    }
+                }
+            }
+
+            this.renderDiff(element, diff, language);
+            element.classList.add(`language-${language || 'unknown'}`);
+
+            if (withLines) {
+                this.addLineNumbers(element, code);
+            }
+
+            this.finishRender(element, container, language);
+            return;
+        }
+
+        if ((language || autoDetect) && this.shouldUseWorker(code, language)) {
+            this.renderPlaceholderCode(element, code);
+
+            if (withLines) {
+                this.addLineNumbers(element, code);
+            }
+
+            this.highlightInWorker(code, language, autoDetect).then((result) => {
+                if (element.textContent.trim() !== code) return;
+
+                this.renderHighlightedCode(element, result.value, result.language);
+                element.classList.add(`language-${result.language || 'unknown'}`);
+
+                const languageLabel = container.querySelector(
+                    '.highlightit-header .highlightit-language'
+                );
+                if (!language && languageLabel && result.language) {
+                    languageLabel.textContent = this.getLanguageLabel(result.language);
+                }
+
+                this.finishRender(element, container, result.language);
+            });
+
+            return;
+        }
+
+        if (!language && autoDetect) {
+            const result = this.autoDetectLanguage(code);
+            language = result.language || 'unknown';
+
+            this.renderHighlightedCode(element, result.value, language);
+            element.classList.add(`language-${language}`);
+
+            if (withLines) {
+                this.addLineNumbers(element, code);
+            }
+
+            if (showLanguage && !noHeader) {
+                const header = container.querySelector('.highlightit-header');
+                if (header) {
+                    const languageLabel = header.querySelector('.highlightit-language');
+                    if (languageLabel) {
+                        languageLabel.textContent = this.getLanguageLabel(language);
+                    } else if (language) {
+                        const newLanguageLabel = document.createElement('span');
+                        newLanguageLabel.className = 'highlightit-language';
+                        newLanguageLabel.textContent = this.getLanguageLabel(language);
+                        header.insertBefore(newLanguageLabel, header.firstChild);
+                    }
+                }
+            }
+
+            this.finishRender(element, container, language);
+            return;
+        }
+
+        if (language) {
+            try {
+                let result;
+                try {
+                    result = hljs.highlight(code, { language });
+                } catch (e) {
+                    console.error(
+                        `HighlightIt: Error highlighting with language ${language}`,
+                        e,
+                        'This might be because highlight.js is not available. Please ensure its script is included in the page.'
+                    );
+                    result = { value: this.escapeHtml(code) };
+                }
+                this.renderHighlightedCode(element, result.value, language);
+                element.classList.add(`language-${language}`);
+
+                if (withLines) {
+                    this.addLineNumbers(element, code);
+                }
+            } catch (error) {
+                if (autoDetect) {
+                    const result = this.autoDetectLanguage(code);
+                    language = result.language || null;
+                    this.renderHighlightedCode(element, result.value, language);
+                    element.classList.add(`language-${result.language || 'unknown'}`);
+
+                    if (withLines) {
+                        this.addLineNumbers(element, code);
+                    }
+
+                    if (showLanguage && !noHeader) {
+                        const header = container.querySelector('.highlightit-header');
+                        if (header) {
+                            const languageLabel = header.querySelector('.highlightit-language');
+                            if (languageLabel && result.language) {
+                                languageLabel.textContent = this.getLanguageLabel(result.language);
+                            }
+                        }
+                    }
+                } else {
+                    console.error(
+                        `HighlightIt: Error highlighting with language ${language}`,
+                        error
+                    );
+                    this.renderHighlightedCode(element, this.escapeHtml(code));
+
+                    if (withLines) {
+                        this.addLineNumbers(element, code);
+                    }
+                }
+            }
+        } else {
+            this.renderHighlightedCode(element, this.escapeHtml(code));
+
+            if (withLines) {
+                this.addLineNumbers(element, code);
+            }
+        }
+
+        this.finishRender(element, container, language);
+    }
+
+    /**
+     * Set up live updates to watch for changes to the code element
+     * @param {HTMLElement} element - The code element to watch
+     * @param {HTMLElement} container - The container element
+     * @param {boolean} autoDetect - Whether to auto-detect language
+     * @param {boolean} showLanguage - Whether to show the language label
+     * @param {boolean} withShare - Whether to update block ID for sharing
+     * @private
+     */
+    static setupLiveUpdates(element, container, autoDetect, showLanguage, withShare) {
+        const MutationObserverClass = window.MutationObserver || polyfills.MutationObserver;
+        if (!MutationObserverClass) {
+            console.warn('HighlightIt: Live updates not supported in this browser');
+            return;
+        }
+
+        const debounceTime = this.debounceTime || 30;
+        let timeout = null;
+
+        const originalElement = this.findOriginalElement(element, container);
+        const elementToWatch = originalElement || element;
+        const getCode = () =>
+            (elementToWatch.querySelector('code') || elementToWatch).textContent.trim();
+
+        const update = this.createLiveUpdater(
+            element,
+            container,
+            autoDetect,
+            showLanguage,
+            withShare,
+            getCode()
+        );
+
+        const observer = new MutationObserver(() => {
+            if (timeout) clearTimeout(timeout);
+            timeout = setTimeout(() => {
+                update(getCode());
+                timeout = null;
+            }, debounceTime);
+        });
+
+        observer.observe(elementToWatch, {
+            characterData: true,
+            childList: true,
+            subtree: true,
+        });
+
+        elementToWatch._highlightObserver = observer;
+    }
+
+    /**
+     * Create the function that rehighlights a live-updated code element with new code
+     * @param {HTMLElement} element - The code element to rehighlight
+     * @param {HTMLElement} container - The container element
+     * @param {boolean} autoDetect - Whether to auto-detect language
+     * @param {boolean} showLanguage - Whether to show the language label
+     * @param {boolean} withShare - Whether to update block ID for sharing
+     * @param {string} initialCode - The code the element starts with
+     * @returns {function(string, boolean=): (Promise<void>|undefined)} - Rehighlights the element
+     * with the given code; pass true for the final update of a stream to detect the language
+     * again from the complete code
+     * @private
+     */
+    static createLiveUpdater(element, container, autoDetect, showLanguage, withShare, initialCode) {
+        const targetElement = element;
+
+        const language =
+            polyfills.dataset.get(element, 'language') ||
+            (element.className.match(/language-(\w+)/) || [])[1] ||
+            null;
+
+        const withDiff = this.isDiffBlock(element, container);
+
+        let detectedLanguage = null;
+        if (!language && autoDetect && initialCode) {
+            const result = this.autoDetectLanguage(
+                withDiff ? this.parseDiff(initialCode).after : initialCode
+            );
+            detectedLanguage = result.language || null;
+        }
+
+        let lastProcessedCode = '';
+        let version = 0;
+        let renderedVersion = 0;
+
+        return (rawCode, final = false) => {
+            if (!rawCode) return;
+
+            if (rawCode === lastProcessedCode && !final) {
+                return;
+            }
+
+            lastProcessedCode = rawCode;
+
+            const code = this.runPluginHooks(
+                'beforeHighlight',
+                rawCode,
+                this.getHookContext(targetElement, language || detectedLanguage, true)
+            );
+
+            container._code = withDiff ? this.parseDiff(code).after : code;
+
+            if (container._source) {
+                this.getSourceCodeElement(container._source).textContent = rawCode;
+            }
+
+            if (final && !language && autoDetect) {
+                detectedLanguage = null;
+                targetElement.className = targetElement.className
+                    .replace(/(^|\s)language-\S+/g, '')
+                    .trim();
+            }
+
+            if ((withDiff || withShare) && !language && autoDetect && !detectedLanguage) {
+                detectedLanguage =
+                    this.autoDetectLanguage(withDiff ? this.parseDiff(code).after : code)
+                        .language || null;
+            }
+
+            let pending;
+
+            if (!withDiff && this.shouldUseWorker(code, language || detectedLanguage)) {
+                const requestVersion = ++version;
+
+                pending = Promise.all([
+                    this.highlightInWorker(code, language || detectedLanguage, autoDetect),
+                    withShare ? this.updateBlockId(container, code) : null,
+                ]).then(([result]) => {
+                    // A newer update was rendered while the worker was busy
+                    if (requestVersion < renderedVersion) return false;
+                    renderedVersion = requestVersion;
+
+                    if (!language && result.language) {
+                        detectedLanguage = result.language;
+                    }
+
+                    this.updateCodeBlock(
+                        targetElement,
+                        container,
+                        language || detectedLanguage,
+                        code,
+                        showLanguage,
+                        result.value
+                    );
+                    polyfills.classList.add(
+                        targetElement,
+                        `language-${language || detectedLanguage || 'unknown'}`
+                    );
+                });
+            } else if (withShare) {
+                renderedVersion = ++version;
+                pending = this.updateBlockId(container, code).then(() => {
+                    this.updateCodeBlock(
+                        targetElement,
+                        container,
+                        language || detectedLanguage,
+                        code,
+                        showLanguage
+                    );
+                });
+            } else {
+                renderedVersion = ++version;
+
+                if (!language && autoDetect && !withDiff) {
+                    if (
+                        !detectedLanguage ||
+                        (showLanguage &&
+                            !container.querySelector('.highlightit-header .highlightit-language'))
+                    ) {
+                        const result = this.autoDetectLanguage(code);
+                        detectedLanguage = result.language || 'unknown';
+                        this.renderHighlightedCode(
+                            targetElement,
+                            result.value,
+                            detectedLanguage,
+                            true
+                        );
+                        polyfills.classList.add(targetElement, `language-${detectedLanguage}`);
+
+                        if (showLanguage && detectedLanguage) {
+                            const header = container.querySelector('.highlightit-header');
+                            if (header) {
+                                const languageLabel = header.querySelector('.highlightit-language');
+                                if (languageLabel) {
+                                    languageLabel.textContent =
+                                        this.getLanguageLabel(detectedLanguage);
+                                } else {
+                                    const newLanguageLabel = document.createElement('span');
+                                    newLanguageLabel.className = 'highlightit-language';
+                                    newLanguageLabel.textContent =
+                                        this.getLanguageLabel(detectedLanguage);
+                                    header.insertBefore(newLanguageLabel, header.firstChild);
+                                }
+                            }
+                        }
+                    } else {
+                        this.renderIncrementally(targetElement, code, detectedLanguage);
+                        polyfills.classList.add(targetElement, `language-${detectedLanguage}`);
+                    }
+                } else {
+                    this.updateCodeBlock(
+                        targetElement,
+                        container,
+                        language || detectedLanguage,
+                        code,
+                        showLanguage
+                    );
+                    polyfills.classList.add(
+                        targetElement,
+                        `language-${language || detectedLanguage || 'unknown'}`
+                    );
+                }
+            }
+
+            if (container.classList.contains('highlightit-with-lines')) {
+                const preElement = targetElement.parentElement;
+                const oldLineNumbers = preElement.querySelector('.highlightit-line-numbers');
+                const lineCount = code.split('\n').length;
+
+                const oldLineCount = oldLineNumbers
+                    ? oldLineNumbers.querySelectorAll('.highlightit-line-number-container')
+                          .length ||
+                      oldLineNumbers.querySelectorAll('.highlightit-line-number').length
+                    : 0;
+
+                let lineStart = parseInt(
+                    targetElement.dataset.lineStart || preElement.dataset.lineStart || 1,
+                    10
+                );
+
+                const currentBlockId = container.getAttribute('data-original-id') || container.id;
+                const withShare =
+                    container.dataset.withShare !== undefined ||
+                    element.dataset.withShare !== undefined;
+
+                this.updateLineNumbersForLiveUpdates(
+                    oldLineNumbers,
+                    lineCount,
+                    oldLineCount,
+                    lineStart,
+                    withShare,
+                    currentBlockId,
+                    container
+                );
+
+                this.decorateLines(container);
+            }
+
+            const notify = () => {
+                this.runPluginHooks(
+                    'onLiveUpdate',
+                    container,
+                    this.getHookContext(targetElement, language || detectedLanguage, true)
+                );
+                this.emitEvent(container, 'live-update', { final });
+            };
+
+            if (pending) {
+                return pending.then((rendered) => {
+                    if (rendered !== false) notify();
+                });
+            }
+
+            notify();
+            return pending;
+        };
+    }
+
+    /**
+     * Intelligently update line numbers for live updates, preserving existing DOM elements
+     * @param {HTMLElement} lineNumbersWrapper - The line numbers wrapper
+     * @param {number} newLineCount - The new line count
+     * @param {number} oldLineCount - The old line count
+     * @param {number} startLine - The starting line number
+     * @param {boolean} withShare - Whether share buttons should be included
+     * @param {string} blockId - The block ID for share links
+     * @param {HTMLElement} container - The container element
+     */
+    static updateLineNumbersForLiveUpdates(
+        lineNumbersWrapper,
+        newLineCount,
+        oldLineCount,
+        startLine,
+        withShare,
+        blockId,
+        container
+    ) {
+        if (newLineCount === oldLineCount) {
+            const lineNumbers = lineNumbersWrapper.querySelectorAll('.highlightit-line-number');
+            const lineShareButtons = lineNumbersWrapper.querySelectorAll('.highlightit-line-share');
+
+            for (let i = 0; i < newLineCount; i++) {
+                const lineNumber = startLine + i;
+
+                if (lineNumbers[i]) {
+                    lineNumbers[i].textContent = lineNumber;
+                }
+
+                if (withShare && blockId && lineShareButtons[i]) {
+                    lineShareButtons[i].dataset.lineNumber = lineNumber;
+
+                    if (lineShareButtons[i].dataset.blockId !== blockId) {
+                        lineShareButtons[i].dataset.blockId = blockId;
+
+                        const oldClickListener = lineShareButtons[i]._clickListener;
+                        if (oldClickListener) {
+                            lineShareButtons[i].removeEventListener('click', oldClickListener);
+                        }
+
+                        this.setupLineShareButtonHandler(lineShareButtons[i], container);
+                    }
+                }
+            }
+            return;
+        }
+
+        if (newLineCount > oldLineCount) {
+            this.appendLineNumberRows(
+                lineNumbersWrapper,
+                oldLineCount,
+                newLineCount,
+                startLine,
+                withShare ? blockId : '',
+                container
+            );
+        } else if (newLineCount < oldLineCount) {
+            const allLineContainers = lineNumbersWrapper.querySelectorAll(
+                '.highlightit-line-number-container'
+            );
+            const lineNumbers = lineNumbersWrapper.querySelectorAll('.highlightit-line-number');
+
+            for (let i = newLineCount; i < oldLineCount; i++) {
+                if (allLineContainers[i]) {
+                    lineNumbersWrapper.removeChild(allLineContainers[i]);
+                } else if (lineNumbers[i]) {
+                    lineNumbersWrapper.removeChild(lineNumbers[i]);
+                }
+            }
+
+            for (let i = 0; i < newLineCount; i++) {
+                const lineNumber = startLine + i;
+
+                if (allLineContainers[i]) {
+                    const span = allLineContainers[i].querySelector('.highlightit-line-number');
+                    if (span) {
+                        span.textContent = lineNumber;
+                    }
+
+                    if (withShare && blockId) {
+                        const button =
+                            allLineContainers[i].querySelector('.highlightit-line-share');
+                        if (button) {
+                            button.dataset.lineNumber = lineNumber;
+
+                            if (button.dataset.blockId !== blockId) {
+                                button.dataset.blockId = blockId;
+
+                                const oldClickListener = button._clickListener;
+                                if (oldClickListener) {
+                                    button.removeEventListener('click', oldClickListener);
+                                }
+
+                                this.setupLineShareButtonHandler(button, container);
+                            }
+                        }
+                    }
+                } else if (lineNumbers[i]) {
+                    lineNumbers[i].textContent = lineNumber;
+                }
+            }
+        }
+    }
+
+    /**
+     * Combine consecutive code blocks that share a data-group attribute into one tabbed group.
+     * The tab chosen last (stored in localStorage) is selected where the group has it.
+     * @param {Document|HTMLElement} [root=document] - The root to search for code blocks in
+     * @private
+     */
+    static initCodeGroups(root = document) {
+        const groups = [];
+        let current = null;
+
+        root.querySelectorAll('.highlightit-container').forEach((container) => {
+            const name = this.getCodeGroupName(container);
+
+            if (!name || container.closest('.highlightit-group')) {
+                current = null;
+                return;
+            }
+
+            const previous = current && current.members[current.members.length - 1];
+            if (current && current.name === name && this.isNextCodeBlock(previous, container)) {
+                current.members.push(container);
+            } else {
+                current = { name, members: [container] };
+                groups.push(current);
+            }
+        });
+
+        let storedKey = null;
+        try {
+            storedKey = window.localStorage.getItem(cache.codeGroupStorageKey);
+        } catch {
+            storedKey = null;
+        }
+
+        groups.forEach(({ name, members }) => {
+            if (members.length < 2) return;
+
+            const group = this.createCodeGroup(name, members);
+            const tabs = Array.from(group.querySelectorAll('.highlightit-group-tab'));
+            const storedIndex = tabs.findIndex((tab) => tab.dataset.groupKey === storedKey);
+
+            this.selectCodeGroupTab(group, storedIndex === -1 ? 0 : storedIndex);
+        });
+    }
+
+    /**
+     * Get the data-group name of a code block
+     * @param {HTMLElement} container - The container element
+     * @returns {string|null} - The group name, if any
+     * @private
+     */
+    static getCodeGroupName(container) {
+        const code = container.querySelector('pre code');
+        const pre = code && code.parentElement;
+
+        return (
+            container.dataset.group ||
+            (pre && pre.dataset.group) ||
+            (code && code.dataset.group) ||
+            null
+        );
+    }
+
+    /**
+     * Check whether a code block directly follows another one, ignoring whitespace and the
+     * hidden originals kept for live updates
+     * @param {HTMLElement} previous - The previous container element
+     * @param {HTMLElement} container - The container element
+     * @returns {boolean} - Whether the container directly follows the previous one
+     * @private
+     */
+    static isNextCodeBlock(previous, container) {
+        let node = previous.nextSibling;
+
+        while (node) {
+            if (node === container) return true;
+
+            const skippable =
+                (node.nodeType === 3 && !node.textContent.trim()) ||
+                node.nodeType === 8 ||
+                (node.nodeType === 1 && node.classList.contains('highlightit-original'));
+
+            if (!skippable) return false;
+            node = node.nextSibling;
+        }
+
+        return false;
+    }
+
+    /**
+     * Move code blocks into a tabbed group, titled by each block's filename or language
+     * @param {string} name - The data-group name
+     * @param {HTMLElement[]} containers - The container elements of the group
+     * @returns {HTMLElement} - The group element
+     * @private
+     */
+    static createCodeGroup(name, containers) {
+        const groupId = 'highlightit-group-' + Math.random().toString(36).substr(2, 9);
+
+        const group = document.createElement('div');
+        group.className = 'highlightit-group';
+        group.dataset.group = name;
+
+        const tabList = document.createElement('div');
+        tabList.className = 'highlightit-group-tabs';
+        tabList.setAttribute('role', 'tablist');
+        group.appendChild(tabList);
+
+        containers[0].parentNode.insertBefore(group, containers[0]);
+
+        containers.forEach((container, i) => {
+            const code = container.querySelector('pre code');
+            const languageLabel = container.querySelector('.highlightit-language');
+            const language =
+                code &&
+                (code.dataset.language || (code.className.match(/language-([\w-]+)/) || [])[1]);
+            const filename = container.dataset.filename || (code && code.dataset.filename) || null;
+            const title =
+                filename ||
+                (languageLabel && languageLabel.textContent) ||
+                (language !== 'unknown' && language) ||
+                `Code ${i + 1}`;
+
+            const tab = document.createElement('button');
+            tab.type = 'button';
+            tab.className = 'highlightit-group-tab';
+            tab.id = `${groupId}-tab-${i}`;
+            tab.textContent = title;
+            tab.dataset.groupKey = (
+                language && language !== 'unknown' ? language : title
+            ).toLowerCase();
+            tab.setAttribute('role', 'tab');
+            tab.setAttribute('aria-controls', `${groupId}-panel-${i}`);
+
+            tab.addEventListener('click', () => {
+                this.selectCodeGroupTab(group, i, true);
+            });
+
+            const panel = document.createElement('div');
+            panel.className = 'highlightit-group-panel';
+            panel.id = `${groupId}-panel-${i}`;
+            panel.setAttribute('role', 'tabpanel');
+            panel.setAttribute('aria-labelledby', tab.id);
+
+            tabList.appendChild(tab);
+            panel.appendChild(container);
+            group.appendChild(panel);
+        });
+
+        tabList.addEventListener('keydown', (e) => {
+            const tabs = Array.from(tabList.querySelectorAll('.highlightit-group-tab'));
+            const index = tabs.indexOf(document.activeElement);
+            if (index === -1) return;
+
+            const nextIndex = {
+                ArrowLeft: (index - 1 + tabs.length) % tabs.length,
+                ArrowRight: (index + 1) % tabs.length,
+                Home: 0,
+                End: tabs.length - 1,
+            }[e.key];
+            if (nextIndex === undefined) return;
+
+            e.preventDefault();
+            this.selectCodeGroupTab(group, nextIndex, true);
+            tabs[nextIndex].focus();
+        });
+
+        return group;
+    }
+
+    /**
+     * Show one tab of a code group. When chosen by the user, every other group on the page
+     * with a tab for the same language follows and the choice is remembered in localStorage.
+     * @param {HTMLElement} group - The group element
+     * @param {number} index - The index of the tab to show
+     * @param {boolean} [sync=false] - Whether to sync the other groups and store the choice
+     * @private
+     */
+    static selectCodeGroupTab(group, index, sync = false) {
+        const tabs = group.querySelectorAll('.highlightit-group-tab');
+        const panels = group.querySelectorAll('.highlightit-group-panel');
+        if (!tabs[index]) return;
+
+        for (let i = 0; i < tabs.length; i++) {
+            const selected = i === index;
+            tabs[i].setAttribute('aria-selected', String(selected));
+            tabs[i].tabIndex = selected ? 0 : -1;
+            panels[i].hidden = !selected;
+        }
+
+        panels[index].querySelectorAll('.highlightit-annotations-margin').forEach((container) => {
+            this.layoutAnnotationNotes(container);
+        });
+
+        if (!sync) return;
+
+        const key = tabs[index].dataset.groupKey;
+
+        try {
+            window.localStorage.setItem(cache.codeGroupStorageKey, key);
+        } catch {
+            // Storage can be unavailable, e.g. in private browsing
+        }
+
+        document.querySelectorAll('.highlightit-group').forEach((otherGroup) => {
+            if (otherGroup === group) return;
+
+            const otherTabs = Array.from(otherGroup.querySelectorAll('.highlightit-group-tab'));
+            const otherIndex = otherTabs.findIndex((tab) => tab.dataset.groupKey === key);
+            if (otherIndex !== -1) {
+                this.selectCodeGroupTab(otherGroup, otherIndex);
+            }
+        });
+    }
+
+    /**
+     * Show the tab of a code group that holds the given element, e.g. when it is linked
+     * @param {HTMLElement} element - The element to reveal
+     * @private
+     */
+    static revealInCodeGroup(element) {
+        const panel = element.closest && element.closest('.highlightit-group-panel');
+        if (!panel || !panel.hidden) return;
+
+        const group = panel.parentElement;
+        const panels = Array.from(group.querySelectorAll('.highlightit-group-panel'));
+        this.selectCodeGroupTab(group, panels.indexOf(panel));
+    }
+
+    /**
+     * Create a styled container for code block
+     * @param {HTMLElement} element - The code element to wrap
+     * @returns {HTMLElement} - The container element
+     * @private
+     */
+    static createCodeContainer(element) {
+        const preElement = element.parentElement;
+
+        if (
+            preElement.parentElement &&
+            preElement.parentElement.classList.contains('highlightit-container')
+        ) {
+            return preElement.parentElement;
+        }
+
+        const container = document.createElement('div');
+        container.className = 'highlightit-container';
+
+        if (preElement.dataset && preElement.dataset.linkedOriginal) {
+            container.dataset.linkedOriginal = preElement.dataset.linkedOriginal;
+        } else if (preElement.hasAttribute('data-linked-original')) {
+            container.setAttribute(
+                'data-linked-original',
+                preElement.getAttribute('data-linked-original')
+            );
+            preElement.removeAttribute('data-linked-original');
+        }
+
+        if (preElement.hasAttribute('data-original-id')) {
+            container.setAttribute('data-original-id', preElement.getAttribute('data-original-id'));
+        }
+
+        if (!container.id) {
+            if (preElement.id) {
+                container.id = preElement.id;
+                preElement.removeAttribute('id');
+            } else if (element.id) {
+                container.id = element.id;
+                element.removeAttribute('id');
+            }
+        }
+
+        preElement.parentNode.insertBefore(container, preElement);
+        container.appendChild(preElement);
+
+        return container;
+    }
+
+    /**
+     * Create code header with language/filename label and copy button
+     * @param {string} displayLabel - The text to display (language or filename)
+     * @param {string} code - The code to copy
+     * @param {boolean} addCopyButton - Whether to add a copy button
+     * @param {boolean} showLanguage - Whether to show the language label
+     * @param {boolean} addShareButton - Whether to add a share button
+     * @param {boolean} addDownloadButton - Whether to add a download button
+     * @param {HTMLElement} container - The container element (for share button)
+     * @param {boolean} [addWrapButton=false] - Whether to add a soft-wrap toggle button
+     * @param {boolean} [addSearchButton=false] - Whether to add a find button
+     * @returns {HTMLElement} - The header element
+     */
+    static createCodeHeader(
+        displayLabel,
+        code,
+        addCopyButton,
+        showLanguage,
+        addShareButton,
+        addDownloadButton,
+        container,
+        addWrapButton = false,
+        addSearchButton = false
+    ) {
+        const header = this.createElementFromMarkup(
+            this.getHeaderMarkup(displayLabel, showLanguage)
+        );
+        const buttonContainer = header.querySelector('.highlightit-buttons-container');
+
+        this.appendButtons(
+            buttonContainer,
+            this.getButtonContext(container, code, false, {
+                copy: !!addCopyButton,
+                share: !!addShareButton,
+                download: !!addDownloadButton,
+                wrap: !!addWrapButton,
+                search: !!addSearchButton,
+            })
+        );
+
+        return header;
+    }
+
+    /**
+     * Parse the markup of a single element, e.g. one returned by getButtonMarkup()
+     * @param {string} html - The markup
+     * @returns {HTMLElement} - The element
+     * @private
+     */
+    static createElementFromMarkup(html) {
+        const wrapper = document.createElement('div');
+        wrapper.innerHTML = html;
+        return wrapper.firstElementChild;
+    }
+
+    /**
+     * Get the markup of a code block header with an empty or given button container. The
+     * markup helpers are shared by the DOM pipeline and renderToString(), so server-rendered
+     * blocks match highlighted ones.
+     * @param {string|null} displayLabel - The language or filename to show
+     * @param {boolean} showLanguage - Whether to show the language label
+     * @param {string} [buttonsHtml=''] - The markup of the buttons
+     * @returns {string} - The header markup
+     * @private
+     */
+    static getHeaderMarkup(displayLabel, showLanguage, buttonsHtml = '') {
+        const languageLabel = showLanguage
+            ? `<span class="highlightit-language">${this.escapeHtml(this.getLanguageLabel(displayLabel) || 'unknown')}</span>`
+            : '';
+
+        return (
+            `<div class="highlightit-header"${showLanguage ? '' : ' style="justify-content: flex-end;"'}>` +
+            languageLabel +
+            `<div class="highlightit-buttons-container" style="display: flex; align-items: center;">` +
+            `${buttonsHtml}</div></div>`
+        );
+    }
+
+    /**
+     * Get the markup of a built-in button
+     * @param {string} id - The button id: search, wrap, copy, download or share
+     * @param {boolean} [floating=false] - Whether the button floats over a block without header
+     * @param {boolean} [pressed=false] - Whether the wrap button starts pressed
+     * @returns {string} - The button markup
+     * @private
+     */
+    static getButtonMarkup(id, floating = false, pressed = false) {
+        let icon = cache.svgIcons[id];
+        let attributes = '';
+
+        if (id === 'search') {
+            attributes = ' aria-expanded="false"';
+        } else if (id === 'wrap') {
+            attributes = ` aria-pressed="${pressed}"`;
+        } else if (id === 'download' || (id === 'copy' && !floating)) {
+            icon += cache.svgIcons.check.replace(
+                'highlightit-check-icon',
+                'highlightit-check-icon" style="display: none;'
+            );
+        }
+
+        return (
+            `<button class="highlightit-button${floating ? ' highlightit-floating' : ''} highlightit-${id}"` +
+            ` aria-label="${cache.buttonLabels.get(id)}"${attributes}>${icon}</button>`
+        );
+    }
+
+    /**
+     * Get the markup of a button registered with HighlightIt.registerButton()
+     * @param {Object} button - The registered button
+     * @param {boolean} [floating=false] - Whether the button floats over a block without header
+     * @returns {string} - The button markup
+     * @private
+     */
+    static getCustomButtonMarkup(button, floating = false) {
+        return (
+            `<button class="highlightit-button${floating ? ' highlightit-floating' : ''} highlightit-custom-button"` +
+            ` aria-label="${this.escapeHtml(button.label || button.id)}"` +
+            ` data-button-id="${this.escapeHtml(button.id)}">` +
+            `<span class="highlightit-button-icon">${button.icon || ''}</span>` +
+            `${cache.svgIcons.check.replace('highlightit-check-icon', 'highlightit-check-icon" style="display: none;')}</button>`
+        );
+    }
+
+    /**
+     * Get the markup of a row of the line number gutter
+     * @param {number} lineNumber - The displayed line number
+     * @param {string} [blockId=''] - The block id for the line share button (none without it)
+     * @param {string} [rowClass=''] - Extra classes of the row
+     * @returns {string} - The row markup
+     * @private
+     */
+    static getLineNumberMarkup(lineNumber, blockId = '', rowClass = '') {
+        const row = `<div class="highlightit-line-number-container${rowClass ? ` ${rowClass}` : ''}">`;
+
+        if (!blockId) {
+            return `${row}<span class="highlightit-line-number">${lineNumber}</span></div>`;
+        }
+
+        return (
+            `${row}<span class="highlightit-line-number highlightit-line-number-shareable">${lineNumber}</span>` +
+            `<button class="highlightit-line-share" aria-label="Copy link to line ${lineNumber}"` +
+            ` data-line-number="${lineNumber}" data-block-id="${this.escapeHtml(String(blockId))}">` +
+            `${cache.svgIcons.link}</button></div>`
+        );
+    }
+
+    /**
+     * Append rows to a line number gutter and set up their line share buttons
+     * @param {HTMLElement} lineNumbersWrapper - The line number gutter
+     * @param {number} fromIndex - The index of the first row to add
+     * @param {number} toIndex - The index after the last row to add
+     * @param {number} startLine - The line number of the first row of the block
+     * @param {string} blockId - The block id for line share buttons (none without it)
+     * @param {HTMLElement} container - The container element
+     * @private
+     */
+    static appendLineNumberRows(
+        lineNumbersWrapper,
+        fromIndex,
+        toIndex,
+        startLine,
+        blockId,
+        container
+    ) {
+        const rows = [];
+        for (let i = fromIndex; i < toIndex; i++) {
+            rows.push(this.getLineNumberMarkup(startLine + i, blockId));
+        }
+
+        const rowCount = lineNumbersWrapper.children.length;
+        lineNumbersWrapper.insertAdjacentHTML('beforeend', rows.join(''));
+
+        if (!blockId) return;
+
+        Array.from(lineNumbersWrapper.children)
+            .slice(rowCount)
+            .forEach((row) => {
+                const lineShareButton = row.querySelector('.highlightit-line-share');
+                if (lineShareButton) {
+                    this.setupLineShareButtonHandler(lineShareButton, container);
+                }
+            });
+    }
+
+    /**
+     * Create copy button element
+     * @param {string} code - The code to copy
+     * @returns {HTMLElement} - The copy button element
+     * @private
+     */
+    static createCopyButton(code) {
+        const copyButton = this.createElementFromMarkup(this.getButtonMarkup('copy'));
+
+        this.setupCopyButtonHandler(copyButton, code);
+
+        return copyButton;
+    }
+
+    /**
+     * Attach the click handler that copies the code to a copy button
+     * @param {HTMLElement} copyButton - The copy button element
+     * @param {string} code - The code to copy
+     * @private
+     */
+    static setupCopyButtonHandler(copyButton, code) {
+        const clickListener = async () => {
+            const codeToCopy = code.trim();
+
+            if (!this.emitEvent(copyButton, 'copy', { code: codeToCopy }, true)) {
+                return;
+            }
+
+            const success = await polyfills.copyToClipboard(codeToCopy);
+
+            if (success) {
+                polyfills.classList.add(copyButton, 'copied');
+
+                const copyIcon = copyButton.querySelector('.highlightit-copy-icon');
+                const checkIcon = copyButton.querySelector('.highlightit-check-icon');
+
+                if (copyIcon) copyIcon.style.display = 'none';
+                if (checkIcon) checkIcon.style.display = 'block';
+
+                setTimeout(() => {
+                    polyfills.classList.remove(copyButton, 'copied');
+
+                    if (copyIcon) copyIcon.style.display = 'block';
+                    if (checkIcon) checkIcon.style.display = 'none';
+                }, 2000);
+            } else {
+                console.warn('Failed to copy code');
+            }
+        };
+
+        copyButton.onclickBackup = clickListener;
+        copyButton._currentCode = code.trim();
+        copyButton.addEventListener('click', clickListener);
+    }
+
+    /**
+     * Create download button element
+     * @param {string} code - The code to download
+     * @param {string} language - The language of the code (for filename extension)
+     * @param {HTMLElement} container - The container element (for filename attribute)
+     * @returns {HTMLElement} - The download button element
+     * @private
+     */
+    static createDownloadButton(code, language, container) {
+        const downloadButton = this.createElementFromMarkup(this.getButtonMarkup('download'));
+
+        this.setupDownloadButtonHandler(downloadButton, code, language, container);
+
+        return downloadButton;
+    }
+
+    /**
+     * Attach the click handler that downloads the code to a download button
+     * @param {HTMLElement} downloadButton - The download button element
+     * @param {string} code - The code to download
+     * @param {string} language - The language of the code (for filename extension)
+     * @param {HTMLElement} container - The container element (for filename attribute)
+     * @private
+     */
+    static setupDownloadButtonHandler(downloadButton, code, language, container) {
+        let filename = container && container.dataset && container.dataset.filename;
+
+        if (!filename) {
+            filename = this.getLanguageFilename(language);
+        }
+
+        const clickListener = async () => {
+            const codeToDownload = code.trim();
+            this.emitEvent(downloadButton, 'download', { code: codeToDownload, filename });
+
+            const success = polyfills.downloadFile(filename, codeToDownload);
+
+            if (success) {
+                polyfills.classList.add(downloadButton, 'copied');
+                const downloadIcon = downloadButton.querySelector('.highlightit-download-icon');
+                const checkIcon = downloadButton.querySelector('.highlightit-check-icon');
+
+                if (downloadIcon) downloadIcon.style.display = 'none';
+                if (checkIcon) checkIcon.style.display = 'block';
+
+                setTimeout(() => {
+                    polyfills.classList.remove(downloadButton, 'copied');
+                    if (downloadIcon) downloadIcon.style.display = 'block';
+                    if (checkIcon) checkIcon.style.display = 'none';
+                }, 2000);
+            } else {
+                console.warn('Failed to download code');
+            }
+        };
+
+        downloadButton.addEventListener('click', clickListener);
+        downloadButton.onclickBackup = clickListener;
+        downloadButton._code = code;
+    }
+
+    /**
+     * Create floating buttons for no-header mode
+     * @param {string} code - The code to copy
+     * @param {boolean} withShare - Whether to add a share button
+     * @param {boolean} withDownload - Whether to add a download button
+     * @param {HTMLElement} container - The container element for share functionality
+     * @param {boolean} withWrap - Whether to add a soft-wrap toggle button
+     * @param {boolean} withSearch - Whether to add a find button
+     * @param {boolean} [withCopy=true] - Whether to add a copy button
+     * @returns {HTMLElement} - The floating buttons container
+     * @private
+     */
+    static createFloatingButtons(
+        code,
+        withShare = false,
+        withDownload = false,
+        container = null,
+        withWrap = false,
+        withSearch = false,
+        withCopy = true
+    ) {
+        const buttonsContainer = document.createElement('div');
+        buttonsContainer.className = 'highlightit-floating-buttons';
+
+        this.appendButtons(
+            buttonsContainer,
+            this.getButtonContext(container, code, true, {
+                copy: !!withCopy,
+                share: !!(withShare && container),
+                download: !!(withDownload && container),
+                wrap: !!(withWrap && container),
+                search: !!(withSearch && container),
+            })
+        );
+
+        return buttonsContainer;
+    }
+
+    /**
+     * Create the floating copy button for no-header mode
+     * @param {string} code - The code to copy
+     * @returns {HTMLElement} - The floating copy button element
+     * @private
+     */
+    static createFloatingCopyButton(code) {
+        const copyButton = this.createElementFromMarkup(this.getButtonMarkup('copy', true));
+
+        this.setupFloatingCopyButtonHandler(copyButton, code);
+
+        return copyButton;
+    }
+
+    /**
+     * Create the floating download button for no-header mode
+     * @param {string} code - The code to download
+     * @param {HTMLElement} container - The container element (for filename and language)
+     * @returns {HTMLElement} - The floating download button element
+     * @private
+     */
+    static createFloatingDownloadButton(code, container) {
+        const downloadButton = this.createElementFromMarkup(this.getButtonMarkup('download', true));
+
+        const codeElement = container.querySelector('code');
+        const codeLanguage =
+            codeElement &&
+            (codeElement.dataset.language ||
+                (codeElement.className.match(/language-(\w+)/) || [])[1]);
+
+        this.setupDownloadButtonHandler(downloadButton, code, codeLanguage, container);
+
+        return downloadButton;
+    }
+
+    /**
+     * Get the button registry, seeded with the built-in buttons on first use. Built-in
+     * entries create their buttons through the existing factories and are only shown
+     * when their feature is enabled for the block.
+     * @returns {Map<string, Object>} - The registered buttons by id
+     * @private
+     */
+    static getButtonRegistry() {
+        if (!this._buttons) {
+            const floating = (button, name) => {
+                button.className = `highlightit-button highlightit-floating highlightit-${name}`;
+                return button;
+            };
+
+            this._buttons = new Map(
+                [
+                    {
+                        id: 'search',
+                        icon: cache.svgIcons.search,
+                        label: cache.buttonLabels.get('search'),
+                        order: 10,
+                        feature: 'search',
+                        create: (context) => {
+                            const button = this.createSearchButton(context.container);
+                            return context.floating ? floating(button, 'search') : button;
+                        },
+                    },
+                    {
+                        id: 'wrap',
+                        icon: cache.svgIcons.wrap,
+                        label: cache.buttonLabels.get('wrap'),
+                        order: 20,
+                        feature: 'wrap',
+                        create: (context) => {
+                            const button = this.createWrapButton(context.container);
+                            return context.floating ? floating(button, 'wrap') : button;
+                        },
+                    },
+                    {
+                        id: 'copy',
+                        icon: cache.svgIcons.copy,
+                        label: cache.buttonLabels.get('copy'),
+                        order: 30,
+                        feature: 'copy',
+                        create: (context) =>
+                            context.floating
+                                ? this.createFloatingCopyButton(context.code)
+                                : this.createCopyButton(context.code),
+                    },
+                    {
+                        id: 'download',
+                        icon: cache.svgIcons.download,
+                        label: cache.buttonLabels.get('download'),
+                        order: 40,
+                        feature: 'download',
+                        create: (context) =>
+                            context.floating
+                                ? this.createFloatingDownloadButton(context.code, context.container)
+                                : this.createDownloadButton(
+                                      context.code,
+                                      context.language,
+                                      context.container
+                                  ),
+                    },
+                    {
+                        id: 'share',
+                        icon: cache.svgIcons.share,
+                        label: cache.buttonLabels.get('share'),
+                        order: 50,
+                        feature: 'share',
+                        create: async (context) => {
+                            const button = await this.createShareButton(
+                                context.code,
+                                context.container
+                            );
+
+                            if (!context.floating) return button;
+
+                            if (this.isTouchDevice) {
+                                button.style.opacity = '1';
+                            }
+
+                            return floating(button, 'share');
+                        },
+                    },
+                ].map((button) => [button.id, button])
+            );
+        }
+
+        return this._buttons;
+    }
+
+    /**
+     * Get the registered buttons to show for a code block, sorted by their order
+     * @param {Object} context - The button context
+     * @returns {Array<Object>} - The buttons whose feature is enabled and whose when() passes
+     * @private
+     */
+    static getRegisteredButtons(context) {
+        return Array.from(this.getButtonRegistry().values())
+            .filter((button) => {
+                if (button.feature && !context.features[button.feature]) {
+                    return false;
+                }
+
+                try {
+                    return typeof button.when !== 'function' || !!button.when(context);
+                } catch (error) {
+                    console.error(`HighlightIt: Error in button ${button.id}`, error);
+                    return false;
+                }
+            })
+            .sort((a, b) => a.order - b.order);
+    }
+
+    /**
+     * Build the context passed to button callbacks
+     * @param {HTMLElement|null} container - The container element
+     * @param {string} code - The code of the block
+     * @param {boolean} floating - Whether the buttons float over the code (no-header mode)
+     * @param {Object} features - Which built-in buttons are enabled for the block
+     * @returns {Object} - The button context
+     * @private
+     */
+    static getButtonContext(container, code, floating, features) {
+        const { language, filename } = this.getBlockInfo(container);
+
+        return { code, language, filename, container, floating, features };
+    }
+
+    /**
+     * Get the language and filename of a code block
+     * @param {HTMLElement|null} container - The container element
+     * @returns {{language: string|null, filename: string|null}} - The language and filename, if known
+     * @private
+     */
+    static getBlockInfo(container) {
+        const element = container && container.querySelector('pre code');
+        const filename =
+            (container && container.dataset.filename) ||
+            (element && element.dataset.filename) ||
+            null;
+        const language =
+            (element &&
+                (element.dataset.language ||
+                    (element.className.match(/language-(\w+)/) || [])[1])) ||
+            (filename && this.getLanguageFromFilename(filename)) ||
+            null;
+
+        return { language: language === 'unknown' ? null : language, filename };
+    }
+
+    /**
+     * Dispatch a bubbling highlightit:<type> event on the container of an element. The detail
+     * always has the code, language and block ID of the block, extended by the given detail.
+     * @param {HTMLElement} element - The container or an element inside it
+     * @param {string} type - The event type without the highlightit: prefix
+     * @param {Object} [detail={}] - Additional event detail
+     * @param {boolean} [cancelable=false] - Whether the event can be canceled
+     * @returns {boolean} - False if a listener canceled the event
+     * @private
+     */
+    static emitEvent(element, type, detail = {}, cancelable = false) {
+        const container = element && element.closest('.highlightit-container');
+        if (!container) return true;
+
+        const codeElement = container.querySelector('pre code');
+        const { language } = this.getBlockInfo(container);
+        const event = polyfills.createCustomEvent(`highlightit:${type}`, {
+            bubbles: true,
+            cancelable,
+            composed: true,
+            detail: {
+                code:
+                    container._code !== undefined
+                        ? container._code
+                        : (codeElement && codeElement.textContent.trim()) || '',
+                language,
+                blockId: container.getAttribute('data-original-id') || container.id || null,
+                ...detail,
+            },
+        });
+
+        return container.dispatchEvent(event);
+    }
+
+    /**
+     * Create the registered buttons for a code block and append them to a button container.
+     * Buttons created asynchronously keep their place through a placeholder.
+     * @param {HTMLElement} buttonContainer - The element to append the buttons to
+     * @param {Object} context - The button context
+     * @private
+     */
+    static appendButtons(buttonContainer, context) {
+        this.getRegisteredButtons(context).forEach((button) => {
+            const created = button.create
+                ? button.create(context)
+                : this.createCustomButton(button, context);
+
+            if (created && typeof created.then === 'function') {
+                const placeholder = document.createComment(button.id);
+                buttonContainer.appendChild(placeholder);
+
+                created.then((element) => {
+                    if (placeholder.parentNode) {
+                        placeholder.parentNode.replaceChild(element, placeholder);
+                    }
+                });
+            } else if (created) {
+                buttonContainer.appendChild(created);
+            }
+        });
     }
 
     /**
-     * Create a styled container for code block
-     * @param {HTMLElement} element - The code element to wrap
-     * @returns {HTMLElement} - The container element
+     * Create a button registered with HighlightIt.registerButton()
+     * @param {Object} button - The registered button
+     * @param {Object} context - The button context
+     * @returns {HTMLElement} - The button element
      * @private
      */
-    static createCodeContainer(element) {
-        const preElement = element.parentElement;
-
-        if (
-            preElement.parentElement &&
-            preElement.parentElement.classList.contains('highlightit-container')
-        ) {
-            return preElement.parentElement;
-        }
-
-        const container = document.createElement('div');
-        container.className = 'highlightit-container';
-
-        if (preElement.dataset && preElement.dataset.linkedOriginal) {
-            container.dataset.linkedOriginal = preElement.dataset.linkedOriginal;
-        } else if (preElement.hasAttribute('data-linked-original')) {
-            container.setAttribute(
-                'data-linked-original',
-                preElement.getAttribute('data-linked-original')
-            );
-            preElement.removeAttribute('data-linked-original');
-        }
-
-        if (preElement.hasAttribute('data-original-id')) {
-            container.setAttribute('data-original-id', preElement.getAttribute('data-original-id'));
-        }
+    static createCustomButton(button, context) {
+        const customButton = this.createElementFromMarkup(
+            this.getCustomButtonMarkup(button, context.floating)
+        );
 
-        if (!container.id) {
-            if (preElement.id) {
-                container.id = preElement.id;
-                preElement.removeAttribute('id');
-            } else if (element.id) {
-                container.id = element.id;
-                element.removeAttribute('id');
-            }
+        if (context.floating && this.isTouchDevice) {
+            customButton.style.opacity = '1';
         }
 
-        preElement.parentNode.insertBefore(container, preElement);
-        container.appendChild(preElement);
+        this.setupCustomButtonHandler(customButton, button, context.container, context.features);
 
-        return container;
+        return customButton;
     }
 
     /**
-     * Create code header with language/filename label and copy button
-     * @param {string} displayLabel - The text to display (language or filename)
-     * @param {string} code - The code to copy
-     * @param {boolean} addCopyButton - Whether to add a copy button
-     * @param {boolean} showLanguage - Whether to show the language label
-     * @param {boolean} addShareButton - Whether to add a share button
-     * @param {boolean} addDownloadButton - Whether to add a download button
-     * @param {HTMLElement} container - The container element (for share button)
-     * @returns {HTMLElement} - The header element
+     * Attach the click handler of a registered button. The handler gets the current code
+     * and language of the block; when it returns (or resolves to) true the button shows
+     * the same check mark as the copy button.
+     * @param {HTMLElement} customButton - The button element
+     * @param {Object} button - The registered button
+     * @param {HTMLElement} container - The container element
+     * @param {Object} features - Which built-in buttons are enabled for the block
+     * @private
      */
-    static createCodeHeader(
-        displayLabel,
-        code,
-        addCopyButton,
-        showLanguage,
-        addShareButton,
-        addDownloadButton,
-        container
-    ) {
-        const header = document.createElement('div');
-        header.className = 'highlightit-header';
-
-        if (showLanguage) {
-            const languageLabel = document.createElement('span');
-            languageLabel.className = 'highlightit-language';
-            languageLabel.textContent = displayLabel || 'unknown';
-            header.appendChild(languageLabel);
-        } else {
-            header.style.justifyContent = 'flex-end';
-        }
+    static setupCustomButtonHandler(customButton, button, container, features) {
+        const clickListener = async () => {
+            const element = container.querySelector('pre code');
+            const code =
+                container._code !== undefined
+                    ? container._code
+                    : (element && element.textContent.trim()) || '';
+            const context = this.getButtonContext(
+                container,
+                code,
+                customButton.classList.contains('highlightit-floating'),
+                features
+            );
 
-        const buttonContainer = document.createElement('div');
-        buttonContainer.className = 'highlightit-buttons-container';
-        buttonContainer.style.display = 'flex';
-        buttonContainer.style.alignItems = 'center';
+            let success;
+            try {
+                success = await button.onClick(context);
+            } catch (error) {
+                console.error(`HighlightIt: Error in button ${button.id}`, error);
+                return;
+            }
 
-        if (addCopyButton) {
-            const copyButton = this.createCopyButton(code);
-            buttonContainer.appendChild(copyButton);
-        }
+            if (success === true) {
+                polyfills.classList.add(customButton, 'copied');
 
-        if (addDownloadButton) {
-            const downloadButton = this.createDownloadButton(code, displayLabel, container);
-            buttonContainer.appendChild(downloadButton);
-        }
+                const icon = customButton.querySelector('.highlightit-button-icon');
+                const checkIcon = customButton.querySelector('.highlightit-check-icon');
 
-        if (addShareButton) {
-            this.createShareButton(code, container).then((shareButton) => {
-                buttonContainer.appendChild(shareButton);
-            });
-        }
+                if (icon) icon.style.display = 'none';
+                if (checkIcon) checkIcon.style.display = 'block';
 
-        header.appendChild(buttonContainer);
+                setTimeout(() => {
+                    polyfills.classList.remove(customButton, 'copied');
 
-        return header;
+                    if (icon) icon.style.display = '';
+                    if (checkIcon) checkIcon.style.display = 'none';
+                }, 2000);
+            }
+        };
+
+        customButton.onclickBackup = clickListener;
+        customButton.addEventListener('click', clickListener);
     }
 
     /**
-     * Create copy button element
+     * Attach the click handler that copies the code to a floating copy button
+     * @param {HTMLElement} copyButton - The floating copy button element
      * @param {string} code - The code to copy
-     * @returns {HTMLElement} - The copy button element
      * @private
      */
-    static createCopyButton(code) {
-        const copyButton = document.createElement('button');
-        copyButton.className = 'highlightit-button highlightit-copy';
-        copyButton.setAttribute('aria-label', 'Copy code');
-        copyButton.innerHTML = `${cache.svgIcons.copy}${cache.svgIcons.check.replace('highlightit-check-icon', 'highlightit-check-icon" style="display: none;')}`;
-
+    static setupFloatingCopyButtonHandler(copyButton, code) {
         const clickListener = async () => {
             const codeToCopy = code.trim();
+
+            if (!this.emitEvent(copyButton, 'copy', { code: codeToCopy }, true)) {
+                return;
+            }
+
             const success = await polyfills.copyToClipboard(codeToCopy);
 
             if (success) {
                 polyfills.classList.add(copyButton, 'copied');
-
-                const copyIcon = copyButton.querySelector('.highlightit-copy-icon');
-                const checkIcon = copyButton.querySelector('.highlightit-check-icon');
-
-                if (copyIcon) copyIcon.style.display = 'none';
-                if (checkIcon) checkIcon.style.display = 'block';
+                copyButton.innerHTML = cache.svgIcons.check;
 
                 setTimeout(() => {
                     polyfills.classList.remove(copyButton, 'copied');
-
-                    if (copyIcon) copyIcon.style.display = 'block';
-                    if (checkIcon) checkIcon.style.display = 'none';
+                    copyButton.innerHTML = cache.svgIcons.copy;
                 }, 2000);
-            } else {
-                console.warn('Failed to copy code');
             }
         };
 
         copyButton.onclickBackup = clickListener;
         copyButton._currentCode = code.trim();
         copyButton.addEventListener('click', clickListener);
+    }
 
-        return copyButton;
+    /**
+     * Get language from a filename: well-known names such as Dockerfile or .bashrc first,
+     * then glob rules such as Makefile.* and finally the extension
+     * @param {string} filename - The filename (or path) to get the language for
+     * @returns {string|null} - The language name or null if not determined
+     * @private
+     */
+    static getLanguageFromFilename(filename) {
+        const name = filename.split(/[\\/]/).pop().toLowerCase();
+
+        for (const [knownName, language] of cache.filenameMap) {
+            if (knownName.toLowerCase() === name) {
+                return language;
+            }
+        }
+
+        for (const [glob, language] of cache.filenameGlobs) {
+            if (this.matchesGlob(name, glob)) {
+                return language;
+            }
+        }
+
+        const extension = name.split('.').pop();
+        return cache.extensionMap.get(extension) || null;
     }
 
     /**
-     * Create download button element
-     * @param {string} code - The code to download
-     * @param {string} language - The language of the code (for filename extension)
-     * @param {HTMLElement} container - The container element (for filename attribute)
-     * @returns {HTMLElement} - The download button element
+     * Check whether a filename matches a glob with * and ? wildcards, ignoring case
+     * @param {string} filename - The filename
+     * @param {string} glob - The glob, e.g. "Dockerfile.*"
+     * @returns {boolean} - Whether the filename matches
      * @private
      */
-    static createDownloadButton(code, language, container) {
-        const downloadButton = document.createElement('button');
-        downloadButton.className = 'highlightit-button highlightit-download';
-        downloadButton.setAttribute('aria-label', 'Download code');
-        downloadButton.innerHTML = `${cache.svgIcons.download}${cache.svgIcons.check.replace('highlightit-check-icon', 'highlightit-check-icon" style="display: none;')}`;
+    static matchesGlob(filename, glob) {
+        const pattern = glob
+            .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+            .replace(/\*/g, '.*')
+            .replace(/\?/g, '.');
 
-        let filename = container && container.dataset && container.dataset.filename;
+        return new RegExp(`^${pattern}$`, 'i').test(filename);
+    }
 
-        if (!filename) {
-            const extension = language ? this.getLanguageFileExtension(language) : 'txt';
-            filename = `code.${extension}`;
+    /**
+     * Get the language a code snippet declares itself: a shebang such as
+     * "#!/usr/bin/env python", a Vim or Emacs modeline, or a leading "<?php"
+     * @param {string} code - The code
+     * @returns {string|null} - The language name or null if the code declares none
+     * @private
+     */
+    static detectLanguageFromContent(code) {
+        const text = code.replace(/^\uFEFF/, '');
+
+        if (/^\s*<\?php/.test(text)) {
+            return 'php';
         }
 
-        const clickListener = async () => {
-            const codeToDownload = code.trim();
-            const success = polyfills.downloadFile(filename, codeToDownload);
+        const lines = text.split('\n');
+        const shebang = lines[0].match(/^#!\s*(\S+)(.*)$/);
 
-            if (success) {
-                polyfills.classList.add(downloadButton, 'copied');
-                const downloadIcon = downloadButton.querySelector('.highlightit-download-icon');
-                const checkIcon = downloadButton.querySelector('.highlightit-check-icon');
+        if (shebang) {
+            let interpreter = shebang[1].split('/').pop();
 
-                if (downloadIcon) downloadIcon.style.display = 'none';
-                if (checkIcon) checkIcon.style.display = 'block';
+            if (interpreter === 'env') {
+                interpreter = shebang[2]
+                    .trim()
+                    .split(/\s+/)
+                    .find((arg) => !arg.startsWith('-'));
+            }
 
-                setTimeout(() => {
-                    polyfills.classList.remove(downloadButton, 'copied');
-                    if (downloadIcon) downloadIcon.style.display = 'block';
-                    if (checkIcon) checkIcon.style.display = 'none';
-                }, 2000);
-            } else {
-                console.warn('Failed to download code');
+            const language =
+                interpreter &&
+                cache.interpreterMap.get(interpreter.toLowerCase().replace(/[\d.]+$/, ''));
+
+            if (language) {
+                return language;
             }
-        };
+        }
 
-        downloadButton.addEventListener('click', clickListener);
-        downloadButton.onclickBackup = clickListener;
-        downloadButton._code = code;
+        const modelineLines = lines.slice(0, 5).concat(lines.slice(-5));
 
-        return downloadButton;
+        for (const line of modelineLines) {
+            const vim = line.match(
+                /(?:^|\s)(?:vim?|ex):.*?\b(?:ft|filetype|syn|syntax)=([\w+#-]+)/
+            );
+            const emacs = line.match(/-\*-\s*(?:.*?\bmode:\s*([\w+#-]+)|([\w+#-]+))\s*;?.*?-\*-/i);
+            const name = (vim && vim[1]) || (emacs && (emacs[1] || emacs[2]));
+
+            if (name) {
+                const language = name.toLowerCase();
+                const definition = hljs.getLanguage(language);
+
+                if (definition) {
+                    return (
+                        hljs.listLanguages().find((key) => hljs.getLanguage(key) === definition) ||
+                        language
+                    );
+                }
+
+                const fromExtension = cache.extensionMap.get(language);
+
+                if (fromExtension) {
+                    return fromExtension;
+                }
+            }
+        }
+
+        return null;
     }
 
     /**
-     * Create floating buttons for no-header mode
-     * @param {string} code - The code to copy
-     * @param {boolean} withShare - Whether to add a share button
-     * @param {boolean} withDownload - Whether to add a download button
-     * @param {HTMLElement} container - The container element for share functionality
-     * @returns {HTMLElement} - The floating buttons container
+     * Highlight code in the given language, or in the auto-detected language if none is given.
+     * Also runs inside the highlighting Web Worker.
+     * @param {string} code - The code to highlight
+     * @param {string|null} language - The language of the code
+     * @param {boolean} autoDetect - Whether to auto-detect the language if none is given
+     * @returns {{value: string, language: string|null}} - The highlighted HTML and its language
      * @private
      */
-    static createFloatingButtons(code, withShare = false, withDownload = false, container = null) {
-        const buttonsContainer = document.createElement('div');
-        buttonsContainer.className = 'highlightit-floating-buttons';
+    static highlightCode(code, language, autoDetect) {
+        if (language) {
+            try {
+                return { value: hljs.highlight(code, { language }).value, language };
+            } catch (e) {
+                console.error(`HighlightIt: Error highlighting with language ${language}`, e);
+            }
+        }
 
-        const copyButton = document.createElement('button');
-        copyButton.className = 'highlightit-button highlightit-floating highlightit-copy';
-        copyButton.setAttribute('aria-label', 'Copy code');
-        copyButton.innerHTML = cache.svgIcons.copy;
+        if (autoDetect) {
+            const result = this.autoDetectLanguage(code);
+            return { value: result.value, language: result.language || null };
+        }
 
-        copyButton.addEventListener('click', async () => {
-            const success = await polyfills.copyToClipboard(code.trim());
+        return { value: this.escapeHtml(code), language };
+    }
 
-            if (success) {
-                polyfills.classList.add(copyButton, 'copied');
-                copyButton.innerHTML = cache.svgIcons.check;
+    /**
+     * Check whether a block is large enough to be highlighted in a Web Worker. Languages
+     * registered with registerLanguage() only exist on the main thread, so blocks in them, or
+     * auto-detected blocks once any are registered, stay on the main thread. Without a script
+     * URL for the worker (no workerScriptUrl and no document.currentScript, e.g. when bundled
+     * as a module), a warning is logged once.
+     * @param {string} code - The code of the block
+     * @param {string|null} language - The language of the block, if known
+     * @returns {boolean} - Whether to highlight the block in a Web Worker
+     * @private
+     */
+    static shouldUseWorker(code, language) {
+        const threshold = this.workerThreshold === undefined ? 1000 : this.workerThreshold;
+        const registeredLanguages = this._registeredLanguages;
 
-                setTimeout(() => {
-                    polyfills.classList.remove(copyButton, 'copied');
-                    copyButton.innerHTML = cache.svgIcons.copy;
-                }, 2000);
-            }
-        });
+        if (
+            registeredLanguages &&
+            (language ? registeredLanguages.has(language) : registeredLanguages.size > 0)
+        ) {
+            return false;
+        }
 
-        buttonsContainer.appendChild(copyButton);
+        if (
+            threshold <= 0 ||
+            !polyfills.supports.Worker ||
+            !polyfills.supports.blob ||
+            !polyfills.supports.URL ||
+            this._worker === null ||
+            code.split('\n').length < threshold
+        ) {
+            return false;
+        }
 
-        if (withDownload && container) {
-            const downloadButton = document.createElement('button');
-            downloadButton.className =
-                'highlightit-button highlightit-floating highlightit-download';
-            downloadButton.setAttribute('aria-label', 'Download code');
-            downloadButton.innerHTML = `${cache.svgIcons.download}${cache.svgIcons.check.replace('highlightit-check-icon', 'highlightit-check-icon" style="display: none;')}`;
+        if (!this.workerScriptUrl && !currentScriptUrl) {
+            if (!this._workerUrlWarned) {
+                this._workerUrlWarned = true;
+                console.warn(
+                    'HighlightIt: Cannot find the script URL for the highlighting worker, pass workerScriptUrl to init() to highlight large blocks off the main thread'
+                );
+            }
+            return false;
+        }
 
-            let filename = container && container.dataset && container.dataset.filename;
-            let codeLanguage =
-                container.querySelector('code') &&
-                (container.querySelector('code').dataset.language ||
-                    (container.querySelector('code').className.match(/language-(\w+)/) || [])[1]);
+        return true;
+    }
 
-            if (!filename) {
-                const extension = codeLanguage
-                    ? this.getLanguageFileExtension(codeLanguage)
-                    : 'txt';
-                filename = `code.${extension}`;
-            }
+    /**
+     * Get the highlighting Web Worker, creating it on first use. The worker loads the
+     * highlight-it build (and highlight.js for the slim build) and calls highlightCode.
+     * @returns {Worker|null} - The worker, or null if it could not be created
+     * @private
+     */
+    static getWorker() {
+        if (this._worker !== undefined) return this._worker;
 
-            const clickListener = () => {
-                const success = polyfills.downloadFile(filename, code.trim());
+        this._worker = null;
 
-                if (success) {
-                    polyfills.classList.add(downloadButton, 'copied');
+        const scripts = [this.workerHljsUrl, this.workerScriptUrl || currentScriptUrl]
+            .filter(Boolean)
+            .map((url) => JSON.stringify(new URL(url, window.location.href).href));
 
-                    const downloadIcon = downloadButton.querySelector('.highlightit-download-icon');
-                    const checkIcon = downloadButton.querySelector('.highlightit-check-icon');
+        const source =
+            `importScripts(${scripts.join(', ')});\n` +
+            'self.onmessage = function (event) {\n' +
+            '    var data = event.data;\n' +
+            '    var result = self.HighlightIt.highlightCode(data.code, data.language, data.autoDetect);\n' +
+            '    self.postMessage({ id: data.id, value: result.value, language: result.language });\n' +
+            '};\n';
 
-                    if (downloadIcon) downloadIcon.style.display = 'none';
-                    if (checkIcon) checkIcon.style.display = 'block';
+        try {
+            const blob = new Blob([source], { type: 'application/javascript' });
+            const worker = new Worker(URL.createObjectURL(blob));
 
-                    setTimeout(() => {
-                        polyfills.classList.remove(downloadButton, 'copied');
+            this._workerRequests = new Map();
+            this._workerRequestId = 0;
 
-                        if (downloadIcon) downloadIcon.style.display = 'block';
-                        if (checkIcon) checkIcon.style.display = 'none';
-                    }, 2000);
-                }
-            };
+            worker.onmessage = (event) => {
+                const request = this._workerRequests.get(event.data.id);
+                if (!request) return;
 
-            downloadButton.addEventListener('click', clickListener);
-            downloadButton.onclickBackup = clickListener;
-            downloadButton._code = code.trim();
+                this._workerRequests.delete(event.data.id);
+                request.resolve({ value: event.data.value, language: event.data.language });
+            };
 
-            buttonsContainer.appendChild(downloadButton);
-        }
+            worker.onerror = (event) => {
+                console.warn(
+                    'HighlightIt: Highlighting worker failed, highlighting on the main thread',
+                    event.message
+                );
 
-        if (withShare && container) {
-            (async () => {
-                const shareButton = await this.createShareButton(code, container);
-                shareButton.className = 'highlightit-button highlightit-floating highlightit-share';
+                worker.terminate();
+                this._worker = null;
 
-                if (this.isTouchDevice) {
-                    shareButton.style.opacity = '1';
-                }
+                this._workerRequests.forEach((request) => {
+                    request.resolve(
+                        this.highlightCode(request.code, request.language, request.autoDetect)
+                    );
+                });
+                this._workerRequests.clear();
+            };
 
-                buttonsContainer.appendChild(shareButton);
-            })();
+            this._worker = worker;
+        } catch (e) {
+            console.warn('HighlightIt: Could not create highlighting worker', e);
         }
 
-        return buttonsContainer;
+        return this._worker;
     }
 
     /**
-     * Get language from filename extension
-     * @param {string} filename - The filename to extract extension from
-     * @returns {string|null} - The language name or null if not determined
+     * Highlight code in the Web Worker, falling back to the main thread without one
+     * @param {string} code - The code to highlight
+     * @param {string|null} language - The language of the code
+     * @param {boolean} autoDetect - Whether to auto-detect the language if none is given
+     * @returns {Promise<{value: string, language: string|null}>} - The highlighted HTML and its language
      * @private
      */
-    static getLanguageFromFilename(filename) {
-        const extension = filename.split('.').pop().toLowerCase();
-        return cache.extensionMap.get(extension) || null;
+    static highlightInWorker(code, language, autoDetect) {
+        const worker = this.getWorker();
+
+        if (!worker) {
+            return Promise.resolve(this.highlightCode(code, language, autoDetect));
+        }
+
+        return new Promise((resolve) => {
+            const id = ++this._workerRequestId;
+
+            this._workerRequests.set(id, { resolve, code, language, autoDetect });
+            worker.postMessage({ id, code, language, autoDetect });
+        });
     }
 
     /**
@@ -1401,6 +5129,15 @@ class HighlightIt {
                 return { value: this.escapeHtml(code), language: 'plaintext' };
             }
 
+            const declaredLanguage = this.detectLanguageFromContent(code);
+
+            if (declaredLanguage && hljs.getLanguage(declaredLanguage)) {
+                return {
+                    value: hljs.highlight(code, { language: declaredLanguage }).value,
+                    language: declaredLanguage,
+                };
+            }
+
             const result = hljs.highlightAuto(code, Array.from(cache.popularLanguages));
             return result.language ? result : hljs.highlightAuto(code);
         } catch (e) {
@@ -1449,8 +5186,6 @@ class HighlightIt {
             10
         );
 
-        const fragment = document.createDocumentFragment();
-
         let blockId = '';
         if (withShare) {
             blockId = container.getAttribute('data-original-id') || container.id;
@@ -1477,40 +5212,25 @@ class HighlightIt {
             }
         }
 
-        for (let i = 0; i < lineCount; i++) {
-            const lineNumberContainer = document.createElement('div');
-            lineNumberContainer.className = 'highlightit-line-number-container';
-
-            const span = document.createElement('span');
-            span.className = 'highlightit-line-number';
-            span.textContent = startLine + i;
-
-            if (withShare && blockId) {
-                const lineNumber = startLine + i;
-                span.className += ' highlightit-line-number-shareable';
-
-                const lineShareButton = document.createElement('button');
-                lineShareButton.className = 'highlightit-line-share';
-                lineShareButton.setAttribute('aria-label', `Copy link to line ${lineNumber}`);
-                lineShareButton.innerHTML = cache.svgIcons.link;
-                lineShareButton.dataset.lineNumber = lineNumber;
-                lineShareButton.dataset.blockId = blockId;
-
-                this.setupLineShareButtonHandler(lineShareButton, container);
+        this.appendLineNumberRows(
+            lineNumbersWrapper,
+            0,
+            lineCount,
+            startLine,
+            withShare ? blockId : '',
+            container
+        );
 
-                lineNumberContainer.appendChild(span);
-                lineNumberContainer.appendChild(lineShareButton);
-            } else {
-                lineNumberContainer.appendChild(span);
-            }
+        polyfills.classList.add(preElement, 'highlightit-has-line-numbers');
+        preElement.insertBefore(lineNumbersWrapper, preElement.firstChild);
 
-            fragment.appendChild(lineNumberContainer);
+        if (withShare) {
+            this.setupLineSelection(container);
         }
 
-        lineNumbersWrapper.appendChild(fragment);
-
-        polyfills.classList.add(preElement, 'highlightit-has-line-numbers');
-        preElement.insertBefore(lineNumbersWrapper, preElement.firstChild);
+        if (container) {
+            this.decorateLines(container);
+        }
     }
 
     /**
@@ -1520,10 +5240,20 @@ class HighlightIt {
      * @param {string} languageOrFilename - The language or filename to use
      * @param {string} code - The code content
      * @param {boolean} showLanguage - Whether to show the language label
+     * @param {string|null} [html=null] - The code already highlighted in the Web Worker
      * @private
      */
-    static updateCodeBlock(element, container, languageOrFilename, code, showLanguage) {
-        const cleanedCode = code.trim();
+    static updateCodeBlock(
+        element,
+        container,
+        languageOrFilename,
+        code,
+        showLanguage,
+        html = null
+    ) {
+        const renderedCode = code.trim();
+        const diff = this.isDiffBlock(element, container) ? this.parseDiff(renderedCode) : null;
+        const cleanedCode = diff ? diff.after : renderedCode;
         const withLines =
             container.classList.contains('highlightit-with-lines') ||
             element.dataset.lineStart !== undefined;
@@ -1536,22 +5266,16 @@ class HighlightIt {
         }
 
         try {
-            let result;
-            try {
-                result = language
-                    ? hljs.highlight(cleanedCode, { language })
-                    : { value: this.escapeHtml(cleanedCode) };
-            } catch (e) {
-                console.error(
-                    `HighlightIt: Error highlighting with language ${language}`,
-                    e,
-                    'This might be because highlight.js is not available. Please ensure its script is included in the page.'
-                );
-                result = { value: this.escapeHtml(cleanedCode) };
+            if (diff) {
+                this.renderDiff(element, diff, language, true);
+            } else if (html !== null) {
+                this.renderHighlightedCode(element, html, language, true);
+            } else if (language) {
+                this.renderIncrementally(element, renderedCode, language);
+            } else {
+                this.renderHighlightedCode(element, this.escapeHtml(renderedCode), null, true);
             }
 
-            element.innerHTML = result.value;
-
             if (withLines) {
                 const oldLineNumbers = container.querySelector('.highlightit-line-numbers');
                 const oldLines = oldLineNumbers
@@ -1560,7 +5284,7 @@ class HighlightIt {
                       )
                     : null;
 
-                const lineCount = cleanedCode.split('\n').length;
+                const lineCount = renderedCode.split('\n').length;
                 const oldLineCount = oldLines ? oldLines.length : 0;
 
                 let lineStart = parseInt(
@@ -1576,42 +5300,14 @@ class HighlightIt {
                 if (oldLineNumbers) {
                     if (lineCount !== oldLineCount) {
                         if (lineCount > oldLineCount) {
-                            const fragment = document.createDocumentFragment();
-
-                            for (let i = oldLineCount; i < lineCount; i++) {
-                                const lineNumber = lineStart + i;
-                                const lineNumberContainer = document.createElement('div');
-                                lineNumberContainer.className = 'highlightit-line-number-container';
-
-                                const span = document.createElement('span');
-                                span.className = 'highlightit-line-number';
-                                span.textContent = lineNumber;
-
-                                if (withShare && currentBlockId) {
-                                    span.className += ' highlightit-line-number-shareable';
-
-                                    const lineShareButton = document.createElement('button');
-                                    lineShareButton.className = 'highlightit-line-share';
-                                    lineShareButton.setAttribute(
-                                        'aria-label',
-                                        `Copy link to line ${lineNumber}`
-                                    );
-                                    lineShareButton.innerHTML = cache.svgIcons.link;
-                                    lineShareButton.dataset.lineNumber = lineNumber;
-                                    lineShareButton.dataset.blockId = currentBlockId;
-
-                                    this.setupLineShareButtonHandler(lineShareButton, container);
-
-                                    lineNumberContainer.appendChild(span);
-                                    lineNumberContainer.appendChild(lineShareButton);
-                                } else {
-                                    lineNumberContainer.appendChild(span);
-                                }
-
-                                fragment.appendChild(lineNumberContainer);
-                            }
-
-                            oldLineNumbers.appendChild(fragment);
+                            this.appendLineNumberRows(
+                                oldLineNumbers,
+                                oldLineCount,
+                                lineCount,
+                                lineStart,
+                                withShare ? currentBlockId : '',
+                                container
+                            );
                         } else if (lineCount < oldLineCount) {
                             const allLineContainers = oldLineNumbers.querySelectorAll(
                                 '.highlightit-line-number-container'
@@ -1700,547 +5396,867 @@ class HighlightIt {
                         }
                     }
                 } else {
-                    this.addLineNumbers(element, cleanedCode);
+                    this.addLineNumbers(element, renderedCode);
                 }
+
+                this.decorateLines(container);
             }
 
-            const copyButtons = container.querySelectorAll('.highlightit-copy');
-            copyButtons.forEach((copyButton) => {
-                const currentCode = copyButton._currentCode;
+            container.querySelectorAll('.highlightit-copy').forEach((copyButton) => {
+                if (copyButton._currentCode === cleanedCode) return;
 
-                if (currentCode !== cleanedCode) {
-                    const clickListener = copyButton.onclickBackup || copyButton.onclick;
+                if (copyButton.onclickBackup) {
+                    copyButton.removeEventListener('click', copyButton.onclickBackup);
+                }
 
-                    if (clickListener) {
-                        copyButton.removeEventListener('click', clickListener);
-                    }
+                if (copyButton.classList.contains('highlightit-floating')) {
+                    this.setupFloatingCopyButtonHandler(copyButton, cleanedCode);
+                } else {
+                    this.setupCopyButtonHandler(copyButton, cleanedCode);
+                }
+            });
+
+            container.querySelectorAll('.highlightit-download').forEach((downloadButton) => {
+                if (downloadButton._code === cleanedCode) return;
 
-                    const newClickListener = async () => {
-                        const codeToCopy = cleanedCode;
-                        const success = await polyfills.copyToClipboard(codeToCopy);
+                if (downloadButton.onclickBackup) {
+                    downloadButton.removeEventListener('click', downloadButton.onclickBackup);
+                }
 
-                        if (success) {
-                            polyfills.classList.add(copyButton, 'copied');
+                const codeElement = container.querySelector('code');
+                const codeLanguage =
+                    codeElement &&
+                    (codeElement.dataset.language ||
+                        (codeElement.className.match(/language-(\w+)/) || [])[1]);
 
-                            const copyIcon = copyButton.querySelector('.highlightit-copy-icon');
-                            const checkIcon = copyButton.querySelector('.highlightit-check-icon');
+                this.setupDownloadButtonHandler(
+                    downloadButton,
+                    cleanedCode,
+                    codeLanguage,
+                    container
+                );
+            });
 
-                            if (copyIcon) copyIcon.style.display = 'none';
-                            if (checkIcon) checkIcon.style.display = 'block';
+            const shareButtons = container.querySelectorAll('.highlightit-share');
+            shareButtons.forEach(async (shareButton) => {
+                const originalId = container.getAttribute('data-original-id');
 
-                            setTimeout(() => {
-                                polyfills.classList.remove(copyButton, 'copied');
+                if (originalId) {
+                    if (shareButton._currentBlockId !== originalId) {
+                        shareButton._currentBlockId = originalId;
+                    }
+                    return;
+                }
 
-                                if (copyIcon) copyIcon.style.display = 'block';
-                                if (checkIcon) checkIcon.style.display = 'none';
-                            }, 2000);
-                        } else {
-                            console.warn('Failed to copy code');
-                        }
-                    };
+                if (!container.id) {
+                    container.id = await this.generateHash(cleanedCode);
+                }
 
-                    copyButton.onclickBackup = newClickListener;
-                    copyButton._currentCode = cleanedCode;
-                    copyButton.addEventListener('click', newClickListener);
+                if (shareButton._currentBlockId !== container.id) {
+                    if (shareButton.onclickBackup) {
+                        shareButton.removeEventListener('click', shareButton.onclickBackup);
+                    }
+
+                    this.setupShareButtonHandler(shareButton, container);
                 }
             });
 
-            const downloadButtons = container.querySelectorAll('.highlightit-download');
-            downloadButtons.forEach((downloadButton) => {
-                const currentCode = downloadButton._code;
+            const floatingBtnsContainer = container.querySelector('.highlightit-floating-buttons');
+            if (!floatingBtnsContainer && container.classList.contains('highlightit-no-header')) {
+                const buttons = container._buttons || {
+                    copy: container.dataset.noCopy === undefined,
+                    share: container.dataset.withShare !== undefined,
+                    download: container.dataset.withDownload !== undefined,
+                    wrap: container.dataset.wrap !== undefined,
+                    search: container.dataset.withSearch !== undefined,
+                };
+                const newFloatingBtns = this.createFloatingButtons(
+                    cleanedCode,
+                    buttons.share,
+                    buttons.download,
+                    container,
+                    buttons.wrap,
+                    buttons.search,
+                    buttons.copy
+                );
 
-                if (currentCode !== cleanedCode) {
-                    const clickListener = downloadButton.onclickBackup || downloadButton.onclick;
+                if (newFloatingBtns.hasChildNodes()) {
+                    container.appendChild(newFloatingBtns);
+                }
+            }
 
-                    if (clickListener) {
-                        downloadButton.removeEventListener('click', clickListener);
+            if (showLanguage && language) {
+                const header = container.querySelector('.highlightit-header');
+                if (header) {
+                    const languageLabel = header.querySelector('.highlightit-language');
+                    if (languageLabel) {
+                        languageLabel.textContent = this.getLanguageLabel(displayLabel || language);
+                    } else if (language) {
+                        const newLanguageLabel = document.createElement('span');
+                        newLanguageLabel.className = 'highlightit-language';
+                        newLanguageLabel.textContent = this.getLanguageLabel(
+                            displayLabel || language
+                        );
+                        header.insertBefore(newLanguageLabel, header.firstChild);
                     }
+                }
+            }
+        } catch (error) {
+            console.warn(`HighlightIt: Error highlighting with language ${language}`, error);
+            this.renderHighlightedCode(element, this.escapeHtml(renderedCode), null, true);
+        }
+    }
+
+    /**
+     * Setup a click handler for line share buttons
+     * @param {HTMLElement} button - The line share button
+     * @param {HTMLElement} container - The container element
+     */
+    static setupLineShareButtonHandler(button, container) {
+        const clickListener = async (e) => {
+            e.stopPropagation();
+
+            const currentBlockId = container.getAttribute('data-original-id') || container.id;
+            const lineNumber = parseInt(button.dataset.lineNumber, 10);
+            const lines =
+                container._targetLines && container._targetLines.has(lineNumber)
+                    ? container._targetLines
+                    : [lineNumber];
+            const url = new URL(window.location.href);
+            url.hash = this.formatLineAnchor(currentBlockId, lines);
+
+            this.emitEvent(button, 'line-share', {
+                lineNumber,
+                lines: Array.from(lines).sort((a, b) => a - b),
+                url: url.toString(),
+            });
+
+            const success = await polyfills.copyToClipboard(url.toString());
+
+            if (success) {
+                button.classList.add('copied');
+                button.innerHTML = cache.svgIcons.check;
+
+                const containerElement = button.closest('.highlightit-line-number-container');
+                if (containerElement) {
+                    containerElement.classList.add('has-copied-button');
+                    polyfills.updateHasClass(
+                        containerElement,
+                        '.highlightit-line-share.copied',
+                        'has-copied-button',
+                        true
+                    );
+                }
+
+                setTimeout(() => {
+                    button.classList.remove('copied');
+                    button.innerHTML = cache.svgIcons.link;
 
-                    let filename = container && container.dataset && container.dataset.filename;
-                    let codeLanguage =
-                        container.querySelector('code') &&
-                        (container.querySelector('code').dataset.language ||
-                            (container.querySelector('code').className.match(/language-(\w+)/) ||
-                                [])[1]);
-                    if (!filename) {
-                        const extension = codeLanguage
-                            ? this.getLanguageFileExtension(codeLanguage)
-                            : 'txt';
-                        filename = `code.${extension}`;
+                    if (containerElement) {
+                        containerElement.classList.remove('has-copied-button');
+                        polyfills.updateHasClass(
+                            containerElement,
+                            '.highlightit-line-share.copied',
+                            'has-copied-button',
+                            false
+                        );
                     }
+                }, 2000);
+            }
+        };
+
+        button._clickListener = clickListener;
+        button.addEventListener('click', clickListener);
+    }
+
+    /**
+     * Find the original element for a live-updated element
+     * @param {HTMLElement} element - The element to find the original for
+     * @param {HTMLElement} container - The container element
+     * @returns {HTMLElement|null} - The original element or null if not found
+     * @private
+     */
+    static findOriginalElement(element, container) {
+        const linkedId =
+            (element.parentElement &&
+                element.parentElement.dataset &&
+                element.parentElement.dataset.linkedOriginal) ||
+            (container && container.dataset && container.dataset.linkedOriginal) ||
+            (element.parentElement && element.parentElement.getAttribute('data-linked-original')) ||
+            (container && container.getAttribute('data-linked-original'));
+
+        if (linkedId) {
+            const originalElement = document.querySelector(
+                `.highlightit-original[data-highlightit-id="${linkedId}"]`
+            );
+            if (originalElement) {
+                return originalElement;
+            }
+        }
 
-                    const newClickListener = () => {
-                        const success = polyfills.downloadFile(filename, cleanedCode.trim());
+        const originalId =
+            (element.parentElement && element.parentElement.getAttribute('data-original-id')) ||
+            (container && container.getAttribute('data-original-id'));
 
-                        if (success) {
-                            polyfills.classList.add(downloadButton, 'copied');
+        if (originalId) {
+            const idElement = document.getElementById(originalId);
+            if (idElement) {
+                return idElement;
+            }
+        }
 
-                            const downloadIcon = downloadButton.querySelector(
-                                '.highlightit-download-icon'
-                            );
-                            const checkIcon =
-                                downloadButton.querySelector('.highlightit-check-icon');
+        if (
+            container &&
+            container.previousSibling &&
+            container.previousSibling.classList &&
+            container.previousSibling.classList.contains('highlightit-original')
+        ) {
+            return container.previousSibling;
+        }
 
-                            if (downloadIcon) downloadIcon.style.display = 'none';
-                            if (checkIcon) checkIcon.style.display = 'block';
+        return null;
+    }
 
-                            setTimeout(() => {
-                                polyfills.classList.remove(downloadButton, 'copied');
+    /**
+     * Initialize the share functionality
+     */
+    static initSharing() {
+        setTimeout(() => {
+            this.scrollToAnchor();
+        }, 100);
 
-                                if (downloadIcon) downloadIcon.style.display = 'block';
-                                if (checkIcon) checkIcon.style.display = 'none';
-                            }, 2000);
-                        }
-                    };
+        if (this._sharingInitialized) return;
+        this._sharingInitialized = true;
 
-                    downloadButton.onclickBackup = newClickListener;
-                    downloadButton._code = cleanedCode;
-                    downloadButton.addEventListener('click', newClickListener);
-                }
-            });
+        window.addEventListener('hashchange', () => {
+            this.scrollToAnchor();
+        });
 
-            const shareButtons = container.querySelectorAll('.highlightit-share');
-            shareButtons.forEach(async (shareButton) => {
-                const originalId = container.getAttribute('data-original-id');
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') {
+                this.dismissTargetLines();
+            }
+        });
 
-                if (originalId) {
-                    if (shareButton._currentBlockId !== originalId) {
-                        shareButton._currentBlockId = originalId;
-                    }
-                    return;
+        document.addEventListener('mousedown', (e) => {
+            if (!e.target.closest || !e.target.closest('.highlightit-has-target')) {
+                this.dismissTargetLines();
+            }
+        });
+    }
+
+    /**
+     * Collect the library and theme styles of the document for the shadow root of a
+     * <highlight-it> element. Stylesheets that cannot be read (cross-origin links) are
+     * returned as link elements to clone instead.
+     * @returns {{cssText: string, sheet: CSSStyleSheet|null, links: HTMLElement[]}} - The styles
+     * @private
+     */
+    static getShadowStyles() {
+        const styleSheets = Array.from(document.styleSheets);
+
+        if (
+            this._shadowStyles &&
+            this._shadowStyles.sources.length === styleSheets.length &&
+            this._shadowStyles.sources.every((sheet, i) => sheet === styleSheets[i])
+        ) {
+            return this._shadowStyles;
+        }
+
+        const cssTexts = [];
+        const links = [];
+
+        styleSheets.forEach((styleSheet) => {
+            let cssText;
+            try {
+                cssText = Array.from(styleSheet.cssRules)
+                    .map((rule) => rule.cssText)
+                    .join('\n');
+            } catch {
+                if (styleSheet.ownerNode && styleSheet.ownerNode.tagName === 'LINK') {
+                    links.push(styleSheet.ownerNode);
                 }
+                return;
+            }
+
+            if (/highlightit|hljs/.test(cssText)) {
+                cssTexts.push(cssText);
+            }
+        });
 
-                if (container.id) {
-                    if (shareButton._currentBlockId !== container.id) {
-                        const clickListener = shareButton.onclickBackup || shareButton.onclick;
+        const cssText = cssTexts.join('\n');
+        let sheet = null;
 
-                        if (clickListener) {
-                            shareButton.removeEventListener('click', clickListener);
-                        }
+        if (polyfills.supports.constructableStyleSheets) {
+            sheet = new CSSStyleSheet();
+            sheet.replaceSync(cssText);
+        }
+
+        this._shadowStyles = { sources: styleSheets, cssText, sheet, links };
+
+        return this._shadowStyles;
+    }
+
+    /**
+     * Get the global theme set on the document root. Theme rules keyed on the root class
+     * cannot match inside a shadow root, so <highlight-it> elements pass it on to their block.
+     * @returns {string|null} - 'light' or 'dark', or null for the auto theme
+     * @private
+     */
+    static getDocumentTheme() {
+        const classList = document.documentElement.classList;
+
+        if (classList.contains('highlightit-theme-light')) return 'light';
+        if (classList.contains('highlightit-theme-dark')) return 'dark';
+
+        return null;
+    }
+
+    /**
+     * Get the label to show in the header for a language: its registered display name, or the
+     * label itself (a language name or filename)
+     * @param {string|null} label - The language name or filename
+     * @returns {string|null} - The label to show
+     * @private
+     */
+    static getLanguageLabel(label) {
+        return (label && cache.languageLabels.get(label.toLowerCase())) || label;
+    }
+
+    /**
+     * Get file extension from language name: the extension table first, then glob rules
+     * that are an extension such as *.mk, the reverse of getLanguageFromFilename()
+     * @param {string} language - The language to convert to file extension
+     * @returns {string} - The file extension for the language
+     * @private
+     */
+    static getLanguageFileExtension(language) {
+        if (!language) return 'txt';
+
+        const lowerLanguage = language.toLowerCase();
+
+        for (const [ext, lang] of cache.extensionMap.entries()) {
+            if (lang === lowerLanguage) {
+                return ext;
+            }
+        }
+
+        for (const [glob, globLanguage] of cache.filenameGlobs) {
+            const extension = glob.match(/^\*\.([^*?.]+)$/);
+            if (extension && globLanguage === lowerLanguage) {
+                return extension[1];
+            }
+        }
 
-                        const newClickListener = async () => {
-                            const url = new URL(window.location.href);
-                            url.hash = container.id;
+        return lowerLanguage;
+    }
+
+    /**
+     * Get the filename to download code in a language as: code.<extension>, or the
+     * well-known filename for languages without an extension, e.g. Dockerfile or Makefile
+     * @param {string} language - The language of the code
+     * @returns {string} - The filename
+     * @private
+     */
+    static getLanguageFilename(language) {
+        if (language) {
+            const lowerLanguage = language.toLowerCase();
+            const hasExtension = Array.from(cache.extensionMap.values()).includes(lowerLanguage);
 
-                            const success = await polyfills.copyToClipboard(url.toString());
+            if (!hasExtension) {
+                for (const [knownName, knownLanguage] of cache.filenameMap) {
+                    if (knownLanguage === lowerLanguage) {
+                        return knownName;
+                    }
+                }
+            }
+        }
 
-                            if (success) {
-                                shareButton.classList.add('copied');
-                                shareButton.innerHTML = cache.svgIcons.check;
+        return `code.${this.getLanguageFileExtension(language)}`;
+    }
+}
 
-                                setTimeout(() => {
-                                    shareButton.classList.remove('copied');
-                                    shareButton.innerHTML = cache.svgIcons.share;
-                                }, 2000);
-                            }
-                        };
+if (typeof window !== 'undefined') {
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', () => HighlightIt.initSharing());
+    } else {
+        HighlightIt.initSharing();
+    }
+}
 
-                        shareButton.onclickBackup = newClickListener;
-                        shareButton._currentBlockId = container.id;
-                        shareButton.addEventListener('click', newClickListener);
-                    }
-                    return;
-                }
+export default HighlightIt;
 
-                const blockId = await this.generateHash(cleanedCode);
-                container.id = blockId;
+/**
+ * Highlight a new element that wasn't present when the library was initialized
+ * @param {HTMLElement} element - The element to highlight
+ * @param {Object} options - Configuration options
+ * @param {boolean} [options.autoDetect=true] - Whether to auto-detect language if not specified
+ * @param {boolean} [options.addCopyButton=true] - Whether to add a copy button
+ * @param {boolean} [options.showLanguage=true] - Whether to show the language label
+ * @param {boolean} [options.addHeader=true] - Whether to add a header section
+ * @param {boolean} [options.addLines=false] - Whether to add line numbers
+ * @param {boolean} [options.withReload=false] - Whether to enable live updates
+ * @param {boolean} [options.addShare=false] - Whether to add a share button
+ * @param {boolean} [options.addDownload=false] - Whether to add a download button
+ * @param {boolean} [options.addWrap=false] - Whether to add a soft-wrap toggle button
+ * @param {boolean} [options.addSearch=false] - Whether to add a find button
+ * @param {boolean} [options.wrap=false] - Whether to soft-wrap long lines initially
+ * @param {number} [options.maxLines] - Collapse the block when it is longer than this many lines
+ * @param {boolean} [options.withFolding=false] - Whether to allow folding regions (adds line numbers)
+ * @param {Array<{line: number, text: string}>} [options.annotations] - Notes attached to lines
+ * @param {boolean} [options.annotationsMargin=false] - Whether to show notes in a side margin on wide screens
+ * @param {string} [options.filename] - The filename to use for the download button
+ * @param {string} [options.language] - The language to use for syntax highlighting
+ * @param {string} [options.theme] - Theme override for this element ('light', 'dark', or 'auto')
+ * @param {number} [options.lineStart] - Starting line number (default is 1, can be positive or negative)
+ * @param {string} [options.highlightLines] - Lines to keep emphasized, e.g. "3,5-7"
+ * @param {string} [options.focusLines] - Lines to keep in focus while every other line is dimmed, e.g. "3,5-7"
+ * @param {boolean} [options.diff=false] - Whether to render the code as a unified diff
+ * @returns {Object|null} - The block handle: container is the code block, getCode() returns its
+ * code, setCode(code), setLanguage(language) and setOptions(options) change it, refresh()
+ * highlights it again and destroy() restores the element (see HighlightIt.destroy())
+ */
+HighlightIt.highlight = function (element, options = {}) {
+    if (
+        !element ||
+        element.classList.contains('highlightit-original') ||
+        element.closest('.highlightit-container') ||
+        (element.parentElement && element.parentElement.classList.contains('highlightit-container'))
+    ) {
+        console.warn('HighlightIt: Element is already highlighted or is a hidden original element');
+        return this.getBlock(element);
+    }
 
-                if (shareButton._currentBlockId !== blockId) {
-                    const clickListener = shareButton.onclickBackup || shareButton.onclick;
+    element._source = this.getSourceElement(element).cloneNode(true);
 
-                    if (clickListener) {
-                        shareButton.removeEventListener('click', clickListener);
-                    }
+    const {
+        autoDetect = true,
+        addCopyButton = true,
+        showLanguage = true,
+        addHeader = true,
+        addLines = false,
+        withReload = false,
+        addShare = false,
+        addDownload = false,
+        addWrap = false,
+        addSearch = false,
+        wrap = false,
+        maxLines,
+        withFolding = false,
+        annotations,
+        annotationsMargin = false,
+        filename,
+        language,
+        theme,
+        lineStart,
+        highlightLines,
+        focusLines,
+        diff = false,
+    } = options;
 
-                    const newClickListener = async () => {
-                        const url = new URL(window.location.href);
-                        url.hash = blockId;
+    if (addLines) {
+        element.dataset.withLines = '';
+    }
 
-                        const success = await polyfills.copyToClipboard(url.toString());
+    if (lineStart !== undefined) {
+        element.dataset.lineStart = lineStart;
+    }
 
-                        if (success) {
-                            shareButton.classList.add('copied');
-                            shareButton.innerHTML = cache.svgIcons.check;
+    if (withReload) {
+        element.dataset.withReload = '';
+    }
 
-                            setTimeout(() => {
-                                shareButton.classList.remove('copied');
-                                shareButton.innerHTML = cache.svgIcons.share;
-                            }, 2000);
-                        }
-                    };
+    if (!addHeader) {
+        element.dataset.noHeader = '';
+    }
 
-                    shareButton.onclickBackup = newClickListener;
-                    shareButton._currentBlockId = blockId;
-                    shareButton.addEventListener('click', newClickListener);
-                }
-            });
+    if (!addCopyButton) {
+        element.dataset.noCopy = '';
+    }
 
-            const floatingBtnsContainer = container.querySelector('.highlightit-floating-buttons');
-            if (floatingBtnsContainer && container.classList.contains('highlightit-no-header')) {
-                const floatingCopyBtn = floatingBtnsContainer.querySelector('.highlightit-copy');
-                if (floatingCopyBtn) {
-                    const currentCode = floatingCopyBtn._currentCode;
+    if (addShare) {
+        element.dataset.withShare = '';
+    }
 
-                    if (currentCode !== cleanedCode) {
-                        const clickListener = floatingCopyBtn.onclick;
+    if (addDownload) {
+        element.dataset.withDownload = '';
+    }
 
-                        if (clickListener) {
-                            floatingCopyBtn.removeEventListener('click', clickListener);
-                        }
+    if (addSearch) {
+        element.dataset.withSearch = '';
+    }
 
-                        const newClickListener = async () => {
-                            const success = await polyfills.copyToClipboard(cleanedCode.trim());
+    if (filename) {
+        element.dataset.filename = filename;
+    }
 
-                            if (success) {
-                                polyfills.classList.add(floatingCopyBtn, 'copied');
-                                floatingCopyBtn.innerHTML = cache.svgIcons.check;
+    if (language) {
+        element.dataset.language = language;
+    }
 
-                                setTimeout(() => {
-                                    polyfills.classList.remove(floatingCopyBtn, 'copied');
-                                    floatingCopyBtn.innerHTML = cache.svgIcons.copy;
-                                }, 2000);
-                            }
-                        };
+    if (theme) {
+        element.dataset.theme = theme;
+    }
 
-                        floatingCopyBtn._currentCode = cleanedCode;
-                        floatingCopyBtn.addEventListener('click', newClickListener);
-                    }
-                }
+    if (highlightLines) {
+        element.dataset.highlightLines = highlightLines;
+    }
 
-                const floatingDownloadBtn =
-                    floatingBtnsContainer.querySelector('.highlightit-download');
-                if (floatingDownloadBtn) {
-                    const currentCode = floatingDownloadBtn._code;
+    if (focusLines) {
+        element.dataset.focusLines = focusLines;
+    }
 
-                    if (currentCode !== cleanedCode) {
-                        const clickListener =
-                            floatingDownloadBtn.onclickBackup || floatingDownloadBtn.onclick;
+    if (diff) {
+        element.dataset.diff = '';
+    }
 
-                        if (clickListener) {
-                            floatingDownloadBtn.removeEventListener('click', clickListener);
-                        }
+    if (wrap) {
+        element.dataset.wrap = '';
+    }
 
-                        let filename = container && container.dataset && container.dataset.filename;
-                        let codeLanguage =
-                            container.querySelector('code') &&
-                            (container.querySelector('code').dataset.language ||
-                                (container
-                                    .querySelector('code')
-                                    .className.match(/language-(\w+)/) || [])[1]);
-
-                        if (!filename) {
-                            const extension = codeLanguage
-                                ? this.getLanguageFileExtension(codeLanguage)
-                                : 'txt';
-                            filename = `code.${extension}`;
-                        }
+    if (maxLines !== undefined) {
+        element.dataset.maxLines = maxLines;
+    }
 
-                        const newClickListener = () => {
-                            const success = polyfills.downloadFile(filename, cleanedCode.trim());
+    if (withFolding) {
+        element.dataset.withFolding = '';
+    }
 
-                            if (success) {
-                                polyfills.classList.add(floatingDownloadBtn, 'copied');
+    if (annotations) {
+        element.dataset.annotations = JSON.stringify(annotations);
+    }
 
-                                const downloadIcon = floatingDownloadBtn.querySelector(
-                                    '.highlightit-download-icon'
-                                );
-                                const checkIcon =
-                                    floatingDownloadBtn.querySelector('.highlightit-check-icon');
+    if (annotationsMargin) {
+        element.dataset.annotationsMargin = '';
+    }
 
-                                if (downloadIcon) downloadIcon.style.display = 'none';
-                                if (checkIcon) checkIcon.style.display = 'block';
+    const codeElement = this.processElement(
+        element,
+        autoDetect,
+        addCopyButton,
+        showLanguage,
+        addHeader,
+        addLines,
+        addShare,
+        addDownload,
+        addWrap,
+        addSearch
+    );
 
-                                setTimeout(() => {
-                                    polyfills.classList.remove(floatingDownloadBtn, 'copied');
+    const container = codeElement.closest('.highlightit-container');
+    container._options = { ...options };
 
-                                    if (downloadIcon) downloadIcon.style.display = 'block';
-                                    if (checkIcon) checkIcon.style.display = 'none';
-                                }, 2000);
-                            }
-                        };
+    return this.getBlock(container);
+};
 
-                        floatingDownloadBtn.onclickBackup = newClickListener;
-                        floatingDownloadBtn._code = cleanedCode;
-                        floatingDownloadBtn.addEventListener('click', newClickListener);
-                    }
-                }
+/**
+ * Get the handle of a code block, e.g. to change it after init()
+ * @param {string|HTMLElement} idOrElement - The ID of the block, its container, an element
+ * inside it or the element it was created from
+ * @returns {Object|null} - The block handle (see HighlightIt.highlight()), or null if there is
+ * no such block
+ */
+HighlightIt.getBlock = function (idOrElement) {
+    const target =
+        typeof idOrElement === 'string' ? document.getElementById(idOrElement) : idOrElement;
+    const container = this.findContainer(target);
 
-                const floatingShareBtn = floatingBtnsContainer.querySelector('.highlightit-share');
-                if (floatingShareBtn) {
-                    const originalId = container.getAttribute('data-original-id');
+    if (!container) return null;
 
-                    if (originalId) {
-                        if (floatingShareBtn._currentBlockId !== originalId) {
-                            floatingShareBtn._currentBlockId = originalId;
-                        }
-                    } else if (container.id) {
-                        if (floatingShareBtn._currentBlockId !== container.id) {
-                            const clickListener = floatingShareBtn.onclick;
+    if (!container._block) {
+        container._block = this.createBlockHandle(container);
+    }
 
-                            if (clickListener) {
-                                floatingShareBtn.removeEventListener('click', clickListener);
-                            }
+    return container._block;
+};
 
-                            const newClickListener = async () => {
-                                const url = new URL(window.location.href);
-                                url.hash = container.id;
+/**
+ * Stream code into a new code block. The block is highlighted as chunks arrive, at most
+ * once per animation frame, without the hidden original copy and the debounce that
+ * data-with-reload needs. Ending the stream renders the final code once more and detects
+ * its language again from the complete code.
+ * @param {HTMLElement} element - The element to turn into a code block (usually empty)
+ * @param {Object} options - The same options as HighlightIt.highlight() (withReload is ignored)
+ * @returns {Object} - The writer: append(chunk) adds a chunk, replace(text) replaces all code,
+ * end([text]) finishes the stream, ended resolves with the container once the final code is
+ * rendered, and container is the code block
+ */
+HighlightIt.stream = function (element, options = {}) {
+    const { autoDetect = true, showLanguage = true, addShare = false } = options;
 
-                                const success = await polyfills.copyToClipboard(url.toString());
+    delete element.dataset.withReload;
 
-                                if (success) {
-                                    floatingShareBtn.classList.add('copied');
-                                    floatingShareBtn.innerHTML = cache.svgIcons.check;
+    const hasLanguage = !!(
+        options.language ||
+        options.filename ||
+        element.dataset.language ||
+        element.dataset.filename ||
+        /language-\w+/.test(element.className)
+    );
 
-                                    setTimeout(() => {
-                                        floatingShareBtn.classList.remove('copied');
-                                        floatingShareBtn.innerHTML = cache.svgIcons.share;
-                                    }, 2000);
-                                }
-                            };
+    const { container } = this.highlight(element, { ...options, withReload: false });
+    // Read the code from the block: an element that is already a block also holds its header
+    let text = this.getBlockCode(container);
+    const codeElement = container.querySelector('pre code');
 
-                            floatingShareBtn._currentBlockId = container.id;
-                            floatingShareBtn.addEventListener('click', newClickListener);
-                        }
-                    } else {
-                        this.generateHash(cleanedCode).then((blockId) => {
-                            container.id = blockId;
+    if (!hasLanguage) {
+        // The language detected from the first chunk must not be taken as the block's language
+        codeElement.className = codeElement.className.replace(/(^|\s)language-\S+/g, '').trim();
+    }
 
-                            if (floatingShareBtn._currentBlockId !== blockId) {
-                                const clickListener = floatingShareBtn.onclick;
+    const withShare = addShare || container.dataset.withShare !== undefined;
 
-                                if (clickListener) {
-                                    floatingShareBtn.removeEventListener('click', clickListener);
-                                }
+    const update = this.createLiveUpdater(
+        codeElement,
+        container,
+        autoDetect,
+        showLanguage,
+        withShare,
+        text.trim()
+    );
 
-                                const newClickListener = async () => {
-                                    const url = new URL(window.location.href);
-                                    url.hash = blockId;
+    let scheduled = false;
+    let ended = false;
+    let resolveEnded;
 
-                                    const success = await polyfills.copyToClipboard(url.toString());
+    const schedule = () => {
+        if (scheduled) return;
 
-                                    if (success) {
-                                        floatingShareBtn.classList.add('copied');
-                                        floatingShareBtn.innerHTML = cache.svgIcons.check;
+        scheduled = true;
+        polyfills.requestAnimationFrame(() => {
+            scheduled = false;
+            if (!ended) {
+                update(text.trim());
+            }
+        });
+    };
 
-                                        setTimeout(() => {
-                                            floatingShareBtn.classList.remove('copied');
-                                            floatingShareBtn.innerHTML = cache.svgIcons.share;
-                                        }, 2000);
-                                    }
-                                };
+    const write = (nextText) => {
+        if (ended) {
+            console.warn('HighlightIt: Cannot write to a stream that has ended');
+            return;
+        }
 
-                                floatingShareBtn._currentBlockId = blockId;
-                                floatingShareBtn.addEventListener('click', newClickListener);
-                            }
-                        });
-                    }
-                }
-            } else if (
-                !floatingBtnsContainer &&
-                container.classList.contains('highlightit-no-header')
-            ) {
-                const withShare = container.dataset.withShare !== undefined;
-                const withDownload = container.dataset.withDownload !== undefined;
-                const newFloatingBtns = this.createFloatingButtons(
-                    cleanedCode,
-                    withShare,
-                    withDownload,
-                    container
-                );
-                container.appendChild(newFloatingBtns);
+        text = nextText;
+        schedule();
+    };
+
+    return {
+        container,
+        ended: new Promise((resolve) => {
+            resolveEnded = resolve;
+        }),
+        append: (chunk) => write(text + chunk),
+        replace: (nextText) => write(nextText),
+        end: (finalText) => {
+            if (ended) return;
+
+            if (finalText !== undefined) {
+                text = finalText;
             }
 
-            if (showLanguage && language) {
-                const header = container.querySelector('.highlightit-header');
-                if (header) {
-                    const languageLabel = header.querySelector('.highlightit-language');
-                    if (languageLabel) {
-                        languageLabel.textContent = displayLabel || language;
-                    } else if (language) {
-                        const newLanguageLabel = document.createElement('span');
-                        newLanguageLabel.className = 'highlightit-language';
-                        newLanguageLabel.textContent = displayLabel || language;
-                        header.insertBefore(newLanguageLabel, header.firstChild);
-                    }
-                }
-            }
-        } catch (error) {
-            console.warn(`HighlightIt: Error highlighting with language ${language}`, error);
-            element.innerHTML = this.escapeHtml(cleanedCode);
+            ended = true;
+            Promise.resolve(update(text.trim(), true)).then(() => resolveEnded(container));
+        },
+    };
+};
+
+/**
+ * Stream Markdown into a container. A fenced code block becomes a live code block as soon as
+ * its opening fence arrives, is highlighted in the fence's language while it is still open and
+ * is finished when its closing fence arrives. Text outside the fences is shown as plain text,
+ * or handed to options.renderText, e.g. to render it with a Markdown library.
+ * @param {HTMLElement} container - The element to render the text and code blocks into
+ * @param {Object} options - The same options as HighlightIt.highlight() for the code blocks
+ * @param {function(string, HTMLElement): void} [options.renderText] - Renders the Markdown of a
+ * text segment into its element; called again with the whole segment whenever it grows
+ * @returns {Object} - The writer: append(chunk) adds a chunk of Markdown, end() finishes the
+ * stream and any open code block, ended resolves with the container once every code block is
+ * rendered, and container is the element the stream renders into
+ */
+HighlightIt.streamMarkdown = function (container, options = {}) {
+    const { renderText, ...blockOptions } = options;
+    const openingFence = /^ {0,3}(?:(`{3,})([^`]*)|(~{3,})(.*))$/;
+    const closingFence = /^ {0,3}(`{3,}|~{3,})\s*$/;
+    const blocksEnded = [];
+
+    let buffer = '';
+    let lineStart = 0;
+    let text = null;
+    let block = null;
+    let scheduled = false;
+    let ended = false;
+    let resolveEnded;
+
+    const renderSegment = (segment) => {
+        const value = (segment.body + segment.partial).replace(/\n$/, '');
+
+        if (value === segment.rendered || (!segment.element && !value.trim())) {
+            return;
         }
-    }
 
-    /**
-     * Setup a click handler for line share buttons
-     * @param {HTMLElement} button - The line share button
-     * @param {HTMLElement} container - The container element
-     */
-    static setupLineShareButtonHandler(button, container) {
-        const clickListener = async (e) => {
-            e.stopPropagation();
+        if (!segment.element) {
+            segment.element = document.createElement('div');
+            segment.element.className = renderText
+                ? 'highlightit-markdown-text'
+                : 'highlightit-markdown-text highlightit-markdown-plain';
+            container.appendChild(segment.element);
+        }
 
-            const currentBlockId = container.getAttribute('data-original-id') || container.id;
-            const lineNumber = button.dataset.lineNumber;
-            const url = new URL(window.location.href);
-            url.hash = `${currentBlockId}_${lineNumber}`;
+        segment.rendered = value;
 
-            const success = await polyfills.copyToClipboard(url.toString());
+        if (renderText) {
+            renderText(value, segment.element);
+        } else {
+            segment.element.textContent = value.replace(/^\s*\n|\n\s*$/g, '');
+        }
+    };
 
-            if (success) {
-                button.classList.add('copied');
-                button.innerHTML = cache.svgIcons.check;
+    const scheduleRender = () => {
+        if (scheduled) return;
 
-                const containerElement = button.closest('.highlightit-line-number-container');
-                if (containerElement) {
-                    containerElement.classList.add('has-copied-button');
-                    polyfills.updateHasClass(
-                        containerElement,
-                        '.highlightit-line-share.copied',
-                        'has-copied-button',
-                        true
-                    );
-                }
+        scheduled = true;
+        polyfills.requestAnimationFrame(() => {
+            scheduled = false;
+            if (text) {
+                renderSegment(text);
+            }
+        });
+    };
 
-                setTimeout(() => {
-                    button.classList.remove('copied');
-                    button.innerHTML = cache.svgIcons.link;
+    const closeText = () => {
+        if (text) {
+            text.partial = '';
+            renderSegment(text);
+            text = null;
+        }
+    };
 
-                    if (containerElement) {
-                        containerElement.classList.remove('has-copied-button');
-                        polyfills.updateHasClass(
-                            containerElement,
-                            '.highlightit-line-share.copied',
-                            'has-copied-button',
-                            false
-                        );
-                    }
-                }, 2000);
-            }
-        };
+    const openBlock = (fence, info) => {
+        closeText();
 
-        button._clickListener = clickListener;
-        button.addEventListener('click', clickListener);
-    }
+        const name = info.trim().split(/\s+/)[0];
+        const language =
+            name && (hljs.getLanguage(name) ? name : this.getLanguageFromFilename(name));
 
-    /**
-     * Find the original element for a live-updated element
-     * @param {HTMLElement} element - The element to find the original for
-     * @param {HTMLElement} container - The container element
-     * @returns {HTMLElement|null} - The original element or null if not found
-     * @private
-     */
-    static findOriginalElement(element, container) {
-        const linkedId =
-            (element.parentElement &&
-                element.parentElement.dataset &&
-                element.parentElement.dataset.linkedOriginal) ||
-            (container && container.dataset && container.dataset.linkedOriginal) ||
-            (element.parentElement && element.parentElement.getAttribute('data-linked-original')) ||
-            (container && container.getAttribute('data-linked-original'));
+        const element = document.createElement('div');
+        element.className = 'highlight-it';
+        container.appendChild(element);
 
-        if (linkedId) {
-            const originalElement = document.querySelector(
-                `.highlightit-original[data-highlightit-id="${linkedId}"]`
-            );
-            if (originalElement) {
-                return originalElement;
+        const writer = this.stream(
+            element,
+            language ? { ...blockOptions, language } : blockOptions
+        );
+        blocksEnded.push(writer.ended);
+        block = { writer, fence, code: '' };
+    };
+
+    const handleLine = (line) => {
+        if (block) {
+            const closing = line.match(closingFence);
+
+            if (
+                closing &&
+                closing[1][0] === block.fence[0] &&
+                closing[1].length >= block.fence.length
+            ) {
+                block.writer.end(block.code);
+                block = null;
+            } else {
+                block.code += `${line}\n`;
             }
+            return;
         }
 
-        const originalId =
-            (element.parentElement && element.parentElement.getAttribute('data-original-id')) ||
-            (container && container.getAttribute('data-original-id'));
+        const opening = line.match(openingFence);
 
-        if (originalId) {
-            const idElement = document.getElementById(originalId);
-            if (idElement) {
-                return idElement;
-            }
+        if (opening) {
+            openBlock(opening[1] || opening[3], opening[2] || opening[4] || '');
+            return;
+        }
+
+        if (!text) {
+            text = { element: null, body: '', partial: '', rendered: null };
         }
+        text.body += `${line}\n`;
+    };
+
+    const update = () => {
+        let newline;
 
-        if (
-            container &&
-            container.previousSibling &&
-            container.previousSibling.classList &&
-            container.previousSibling.classList.contains('highlightit-original')
-        ) {
-            return container.previousSibling;
+        while ((newline = buffer.indexOf('\n', lineStart)) !== -1) {
+            handleLine(buffer.slice(lineStart, newline).replace(/\r$/, ''));
+            lineStart = newline + 1;
         }
 
-        return null;
-    }
+        // Hold back a partial line while it may still turn out to be a fence
+        const partial = buffer.slice(lineStart);
 
-    /**
-     * Initialize the share functionality
-     */
-    static initSharing() {
-        setTimeout(() => {
-            this.scrollToAnchor();
-        }, 100);
+        if (block) {
+            const mayClose =
+                /^ {0,3}(`+|~+)\s*$/.test(partial) && partial.trim()[0] === block.fence[0];
+            block.writer.replace(block.code + (mayClose ? '' : partial));
+            return;
+        }
 
-        window.addEventListener('hashchange', () => {
-            this.scrollToAnchor();
-        });
-    }
+        const mayOpen = /^ {0,3}(`{1,2}|~{1,2})$/.test(partial) || openingFence.test(partial);
+        const visible = mayOpen ? '' : partial;
 
-    /**
-     * Get file extension from language name
-     * @param {string} language - The language to convert to file extension
-     * @returns {string} - The file extension for the language
-     * @private
-     */
-    static getLanguageFileExtension(language) {
-        if (!language) return 'txt';
+        if (visible && !text) {
+            text = { element: null, body: '', partial: '', rendered: null };
+        }
 
-        for (const [ext, lang] of cache.extensionMap.entries()) {
-            if (lang === language.toLowerCase()) {
-                return ext;
-            }
+        if (text) {
+            text.partial = visible;
+            scheduleRender();
         }
+    };
+
+    return {
+        container,
+        ended: new Promise((resolve) => {
+            resolveEnded = resolve;
+        }),
+        append: (chunk) => {
+            if (ended) {
+                console.warn('HighlightIt: Cannot write to a stream that has ended');
+                return;
+            }
 
-        return language.toLowerCase();
-    }
-}
+            buffer += chunk;
+            update();
+        },
+        end: () => {
+            if (ended) return;
 
-if (typeof window !== 'undefined') {
-    if (document.readyState === 'loading') {
-        document.addEventListener('DOMContentLoaded', () => HighlightIt.initSharing());
-    } else {
-        HighlightIt.initSharing();
-    }
-}
+            ended = true;
 
-export default HighlightIt;
+            if (lineStart < buffer.length) {
+                handleLine(buffer.slice(lineStart).replace(/\r$/, ''));
+                lineStart = buffer.length;
+            }
+
+            if (block) {
+                block.writer.end(block.code);
+                block = null;
+            }
+
+            closeText();
+            Promise.all(blocksEnded).then(() => resolveEnded(container));
+        },
+    };
+};
 
 /**
- * Highlight a new element that wasn't present when the library was initialized
- * @param {HTMLElement} element - The element to highlight
- * @param {Object} options - Configuration options
- * @param {boolean} [options.autoDetect=true] - Whether to auto-detect language if not specified
- * @param {boolean} [options.addCopyButton=true] - Whether to add a copy button
- * @param {boolean} [options.showLanguage=true] - Whether to show the language label
- * @param {boolean} [options.addHeader=true] - Whether to add a header section
- * @param {boolean} [options.addLines=false] - Whether to add line numbers
- * @param {boolean} [options.withReload=false] - Whether to enable live updates
- * @param {boolean} [options.addShare=false] - Whether to add a share button
- * @param {boolean} [options.addDownload=false] - Whether to add a download button
- * @param {string} [options.filename] - The filename to use for the download button
- * @param {string} [options.language] - The language to use for syntax highlighting
- * @param {string} [options.theme] - Theme override for this element ('light', 'dark', or 'auto')
- * @param {number} [options.lineStart] - Starting line number (default is 1, can be positive or negative)
- * @returns {HTMLElement} - The highlighted element container
+ * Render a code block to an HTML string without touching the DOM, e.g. on a server.
+ * The markup matches what highlight() produces, so the same styles apply; call
+ * HighlightIt.hydrate() or HighlightIt.init() on the client to make its buttons work.
+ * @param {string} code - The code to render
+ * @param {Object} options - The same options as HighlightIt.highlight()
+ * @param {string} [options.id] - The id of the block (used for share links, default is a hash of the code)
+ * @returns {string} - The HTML of the highlighted code block
  */
-HighlightIt.highlight = function (element, options = {}) {
-    if (
-        !element ||
-        element.classList.contains('highlightit-original') ||
-        element.closest('.highlightit-container') ||
-        (element.parentElement && element.parentElement.classList.contains('highlightit-container'))
-    ) {
-        console.warn('HighlightIt: Element is already highlighted or is a hidden original element');
-        return element;
-    }
-
+HighlightIt.renderToString = function (code, options = {}) {
     const {
         autoDetect = true,
         addCopyButton = true,
@@ -2250,66 +6266,557 @@ HighlightIt.highlight = function (element, options = {}) {
         withReload = false,
         addShare = false,
         addDownload = false,
+        addWrap = false,
+        addSearch = false,
+        wrap = false,
+        maxLines,
+        withFolding = false,
+        annotations,
+        annotationsMargin = false,
         filename,
-        language,
         theme,
         lineStart,
+        highlightLines,
+        focusLines,
+        diff = false,
+        id,
     } = options;
 
-    if (addLines) {
-        element.dataset.withLines = '';
+    const attribute = (name, value = '') => ` ${name}="${this.escapeHtml(String(value))}"`;
+
+    const withLines = addLines || lineStart !== undefined || withFolding || !!annotations;
+    const withWrap = addWrap || wrap;
+    const noHeader = !addHeader;
+
+    let language = options.language || null;
+    let displayLabel = language;
+
+    if (filename) {
+        language = this.getLanguageFromFilename(filename);
+        displayLabel = filename;
     }
 
-    if (lineStart !== undefined) {
-        element.dataset.lineStart = lineStart;
+    const content = this.runPluginHooks('beforeHighlight', (code || '').trim(), {
+        element: null,
+        container: null,
+        language,
+        live: false,
+    });
+    const parsedDiff = diff ? this.parseDiff(content) : null;
+
+    let html;
+
+    if (parsedDiff) {
+        if (!language && autoDetect) {
+            language = this.autoDetectLanguage(parsedDiff.after).language || null;
+        }
+        html = this.highlightDiff(parsedDiff, language);
+    } else if (language) {
+        try {
+            html = hljs.highlight(content, { language }).value;
+        } catch (e) {
+            console.error(`HighlightIt: Error highlighting with language ${language}`, e);
+            html = this.escapeHtml(content);
+        }
+    } else if (autoDetect) {
+        const result = this.autoDetectLanguage(content);
+        language = result.language || 'unknown';
+        html = result.value;
+    } else {
+        html = this.escapeHtml(content);
+    }
+
+    html = this.runPluginHooks('afterHighlight', html, {
+        element: null,
+        container: null,
+        language,
+        live: false,
+    });
+
+    if (!displayLabel) {
+        displayLabel = language;
     }
 
+    const dataset = [];
+    const setData = (name, value, enabled = true) => {
+        if (enabled) dataset.push(attribute(`data-${name}`, value));
+    };
+
+    let originalHtml = '';
+    let blockId = id || '';
+
     if (withReload) {
-        element.dataset.withReload = '';
+        const uniqueId = 'highlightit-id-' + Math.random().toString(36).substr(2, 9);
+        let originalDataset = '';
+
+        if (options.language) originalDataset += attribute('data-language', options.language);
+        if (lineStart !== undefined) originalDataset += attribute('data-line-start', lineStart);
+        if (addShare) originalDataset += attribute('data-with-share');
+        if (addDownload) originalDataset += attribute('data-with-download');
+        if (filename) originalDataset += attribute('data-filename', filename);
+
+        originalHtml =
+            `<pre class="highlightit-original highlightit-visually-hidden"` +
+            `${id ? attribute('id', id) : ''}${attribute('data-highlightit-id', uniqueId)}>` +
+            `<code${originalDataset}>${this.escapeHtml(content)}</code></pre>`;
+
+        setData('linked-original', uniqueId);
+        setData('original-id', id, !!id);
+    } else if (addShare && !blockId) {
+        blockId = polyfills.simpleHash(content);
     }
 
-    if (!addHeader) {
-        element.dataset.noHeader = '';
+    setData('language', options.language, !!options.language);
+    setData('with-lines', '', withLines);
+    setData('line-start', lineStart, lineStart !== undefined);
+    setData('with-reload', '', withReload);
+    setData('no-header', '', noHeader);
+    setData('no-copy', '', !addCopyButton);
+    setData('with-share', '', addShare);
+    setData('with-download', '', addDownload);
+    setData('with-search', '', addSearch);
+    setData('filename', filename, !!filename);
+    setData('theme', theme, !!theme);
+    setData('highlight-lines', highlightLines, !!highlightLines);
+    setData('focus-lines', focusLines, !!focusLines);
+    setData('diff', '', diff);
+    setData('wrap', '', wrap);
+    setData('max-lines', maxLines, maxLines !== undefined);
+    setData('with-folding', '', withFolding);
+    setData('annotations', JSON.stringify(annotations), !!annotations);
+    setData('annotations-margin', '', annotationsMargin);
+
+    const startLine = parseInt(lineStart !== undefined ? lineStart : 1, 10);
+    const emphasized = this.parseLineRanges(highlightLines);
+    const focused = this.parseLineRanges(focusLines);
+    const lineTypes = parsedDiff ? parsedDiff.lines.map((line) => line.type) : [];
+    const lineCount = content.split('\n').length;
+
+    const lineClasses = [];
+    for (let i = 0; i < lineCount; i++) {
+        const classes = [];
+        if (emphasized.has(startLine + i)) classes.push('highlightit-line-emphasis');
+        if (focused.has(startLine + i)) classes.push('highlightit-line-focused');
+        if (lineTypes[i] && lineTypes[i] !== 'context') {
+            classes.push(`highlightit-diff-${lineTypes[i]}`);
+        }
+        lineClasses.push(classes.join(' '));
     }
 
-    if (!addCopyButton) {
-        element.dataset.noCopy = '';
+    const containerClasses = ['highlight-it', 'highlightit-container'];
+    if (withLines) containerClasses.push('highlightit-with-lines');
+    if (addDownload) containerClasses.push('highlightit-with-download');
+    if (noHeader) containerClasses.push('highlightit-no-header');
+    if (theme && ['light', 'dark', 'auto'].includes(theme.toLowerCase())) {
+        containerClasses.push(`highlightit-theme-${theme.toLowerCase()}`);
     }
+    if (wrap) containerClasses.push('highlightit-wrapped');
+    if (parsedDiff) containerClasses.push('highlightit-diff');
+    if (emphasized.size > 0 || focused.size > 0) containerClasses.push('highlightit-has-emphasis');
+    if (focused.size > 0) containerClasses.push('highlightit-has-focus');
+
+    const renderButtons = (floating) => {
+        const context = {
+            code: parsedDiff ? parsedDiff.after : content,
+            language: language === 'unknown' ? null : language,
+            filename: filename || null,
+            container: null,
+            floating,
+            features: {
+                copy: !!addCopyButton,
+                share: !!addShare,
+                download: !!addDownload,
+                wrap: !!withWrap,
+                search: !!addSearch,
+            },
+        };
 
-    if (addShare) {
-        element.dataset.withShare = '';
+        return this.getRegisteredButtons(context)
+            .map((entry) =>
+                entry.create
+                    ? this.getButtonMarkup(entry.id, floating, wrap)
+                    : this.getCustomButtonMarkup(entry, floating)
+            )
+            .join('');
+    };
+
+    let headerHtml = '';
+    let floatingHtml = '';
+    const buttons = noHeader ? renderButtons(true) : renderButtons(false);
+
+    if (!noHeader && (showLanguage || buttons)) {
+        headerHtml = this.getHeaderMarkup(displayLabel, showLanguage, buttons);
+    } else if (noHeader && buttons) {
+        floatingHtml = `<div class="highlightit-floating-buttons">${buttons}</div>`;
     }
 
-    if (addDownload) {
-        element.dataset.withDownload = '';
+    let gutterHtml = '';
+    if (withLines) {
+        const shareId = blockId || id;
+        let rows = '';
+
+        for (let i = 0; i < lineCount; i++) {
+            rows += this.getLineNumberMarkup(
+                startLine + i,
+                addShare && shareId ? shareId : '',
+                lineClasses[i]
+            );
+        }
+
+        gutterHtml = `<div class="highlightit-line-numbers">${rows}</div>`;
     }
 
-    if (filename) {
-        element.dataset.filename = filename;
+    const codeLanguage = language || (autoDetect || parsedDiff ? 'unknown' : null);
+    const codeAttributes =
+        (options.language ? attribute('data-language', options.language) : '') +
+        (lineStart !== undefined ? attribute('data-line-start', lineStart) : '') +
+        (codeLanguage ? attribute('class', `language-${codeLanguage}`) : '');
+
+    return (
+        originalHtml +
+        `<div class="${containerClasses.join(' ')}"` +
+        `${blockId && !withReload ? attribute('id', blockId) : ''}${dataset.join('')}>` +
+        headerHtml +
+        `<pre${withLines ? ' class="highlightit-has-line-numbers"' : ''}>${gutterHtml}` +
+        `<code${codeAttributes}>${this.wrapHighlightedLines(html, lineClasses)}</code></pre>` +
+        floatingHtml +
+        '</div>'
+    );
+};
+
+/**
+ * Add a plugin. A plugin is an object with any of these hooks, each called with a context of
+ * {element, container, language, live}:
+ * - beforeHighlight(code, context): return a string to replace the code before it is highlighted
+ * - afterHighlight(html, context): return a string to replace the highlighted HTML before it is rendered
+ * - afterRender(container, context): called once a block is highlighted
+ * - onLiveUpdate(container, context): called after a live-updated or streamed block is rehighlighted
+ * Plugins run in the order they were added; add them before HighlightIt.init().
+ * @param {Object} plugin - The plugin
+ * @returns {typeof HighlightIt} - HighlightIt, so calls can be chained
+ */
+HighlightIt.use = function (plugin) {
+    if (!plugin || typeof plugin !== 'object') {
+        console.warn('HighlightIt: A plugin must be an object with hook functions');
+        return this;
     }
 
-    if (language) {
-        element.dataset.language = language;
+    if (!this._plugins) {
+        this._plugins = [];
     }
 
-    if (theme) {
-        element.dataset.theme = theme;
+    if (!this._plugins.includes(plugin)) {
+        this._plugins.push(plugin);
     }
 
-    this.processElement(
-        element,
-        autoDetect,
-        addCopyButton,
-        showLanguage,
-        addHeader,
-        addLines,
-        addShare,
-        addDownload
-    );
+    return this;
+};
 
-    const container =
-        element.closest('.highlightit-container') ||
-        (element.parentElement && element.parentElement.closest('.highlightit-container'));
+/**
+ * Register a language with highlight.js and with HighlightIt's own tables, so it gets filename
+ * detection, a download extension, a header label and, if popular, priority in auto-detection.
+ * Pass null as the grammar to only add extensions, aliases or a label to a language that is
+ * already registered.
+ * @param {string} name - The language name, as used in data-language
+ * @param {Function|null} grammar - The highlight.js language definition function
+ * @param {Object} [options] - Registration options
+ * @param {string[]} [options.extensions=[]] - File extensions of the language, e.g. ['flow']
+ * @param {string[]} [options.aliases=[]] - Other names of the language, e.g. in data-language
+ * @param {string} [options.displayName] - The label to show in the header instead of the name
+ * @param {boolean} [options.popular=false] - Whether to prefer the language when auto-detecting
+ */
+HighlightIt.registerLanguage = function (name, grammar, options = {}) {
+    const { extensions = [], aliases = [], displayName, popular = false } = options;
+    const languageName = name.toLowerCase();
+
+    if (grammar) {
+        hljs.registerLanguage(languageName, grammar);
+
+        if (!this._registeredLanguages) {
+            this._registeredLanguages = new Set();
+        }
+        this._registeredLanguages.add(languageName);
+        aliases.forEach((alias) => this._registeredLanguages.add(alias.toLowerCase()));
+    }
+
+    if (aliases.length > 0) {
+        hljs.registerAliases(aliases, { languageName });
+    }
+
+    extensions.forEach((extension) => {
+        cache.extensionMap.set(extension.replace(/^\./, '').toLowerCase(), languageName);
+    });
+
+    if (displayName) {
+        [languageName, ...aliases].forEach((key) => {
+            cache.languageLabels.set(key.toLowerCase(), displayName);
+        });
+    }
+
+    if (popular) {
+        cache.popularLanguages.add(languageName);
+    }
+};
+
+/**
+ * Register a button for the header and the floating buttons of code blocks. Callbacks get a
+ * context of {code, language, filename, container, floating, features}, where features tells
+ * which built-in buttons are enabled for the block.
+ * The built-in buttons are registered as 'search', 'wrap', 'copy', 'download' and 'share'
+ * (orders 10 to 50): registering one of these ids with only order or when moves or hides it,
+ * with onClick replaces it. Register buttons before HighlightIt.init().
+ * @param {Object} button - The button
+ * @param {string} button.id - A unique id for the button
+ * @param {string} [button.icon] - The SVG (or other HTML) shown in the button
+ * @param {string} [button.label] - The accessible label of the button
+ * @param {number} [button.order=100] - Where to place the button, lower comes first
+ * @param {Function} [button.when] - Called with the context; return false to hide the button
+ * @param {Function} [button.onClick] - Called with the context on click; return (or resolve to)
+ *     true to show a check mark
+ */
+HighlightIt.registerButton = function (button) {
+    if (!button || !button.id) {
+        console.warn('HighlightIt: A button needs an id');
+        return;
+    }
+
+    const registry = this.getButtonRegistry();
+    const existing = registry.get(button.id);
+
+    if (!existing && typeof button.onClick !== 'function') {
+        console.warn(`HighlightIt: Button ${button.id} needs an onClick handler`);
+        return;
+    }
+
+    const { id, icon, label, order, when, onClick } = button;
+    const entry = { ...existing, id };
+
+    if (icon !== undefined) entry.icon = icon;
+    if (label !== undefined) entry.label = label;
+    if (when !== undefined) entry.when = when;
+    if (typeof onClick === 'function') {
+        entry.onClick = onClick;
+        delete entry.create;
+    }
+
+    entry.order = order !== undefined ? order : existing ? existing.order : 100;
+
+    registry.set(id, entry);
+};
+
+/**
+ * Register the <highlight-it> custom element, which highlights its text content inside its own
+ * shadow root. Its attributes are the data attributes without the data- prefix, e.g.
+ * <highlight-it language="rust" filename="main.rs" with-lines>…</highlight-it>.
+ * The element is registered automatically when the library loads in a browser.
+ * @param {string} [name='highlight-it'] - The tag name to register the element under
+ * @returns {CustomElementConstructor|null} - The element class, or null without custom element support
+ */
+HighlightIt.defineElement = function (name = 'highlight-it') {
+    if (typeof window === 'undefined' || !window.customElements) {
+        return null;
+    }
+
+    const existing = window.customElements.get(name);
+    if (existing) return existing;
+
+    const connectedElements = new Set();
+    let documentObserver = null;
+
+    const observeDocument = () => {
+        if (documentObserver) return;
+
+        documentObserver = new MutationObserver((mutations) => {
+            const themeChanged = mutations.some((mutation) => mutation.type === 'attributes');
+            const stylesChanged = mutations.some((mutation) => mutation.type !== 'attributes');
+
+            mutations.forEach((mutation) => {
+                Array.from(mutation.addedNodes || []).forEach((node) => {
+                    if (node.tagName === 'LINK') {
+                        node.addEventListener('load', () =>
+                            connectedElements.forEach((element) => element.adoptStyles())
+                        );
+                    }
+                });
+            });
+
+            connectedElements.forEach((element) => {
+                if (stylesChanged) element.adoptStyles();
+                if (themeChanged && !element.hasAttribute('theme')) element.scheduleRender();
+            });
+        });
+
+        documentObserver.observe(document.head, {
+            characterData: true,
+            childList: true,
+            subtree: true,
+        });
+        documentObserver.observe(document.documentElement, {
+            attributes: true,
+            attributeFilter: ['class'],
+        });
+    };
+
+    class HighlightItElement extends HTMLElement {
+        static get observedAttributes() {
+            return cache.elementAttributes;
+        }
+
+        connectedCallback() {
+            if (!this.shadowRoot) {
+                this.attachShadow({ mode: 'open' });
+            }
 
-    return container || element;
+            if (!this._textObserver) {
+                this._textObserver = new MutationObserver(() => this.scheduleRender());
+            }
+
+            this._textObserver.observe(this, {
+                characterData: true,
+                childList: true,
+                subtree: true,
+            });
+
+            connectedElements.add(this);
+            observeDocument();
+
+            this.adoptStyles();
+            this.scheduleRender();
+        }
+
+        disconnectedCallback() {
+            if (this._textObserver) {
+                this._textObserver.disconnect();
+            }
+
+            connectedElements.delete(this);
+
+            if (connectedElements.size === 0 && documentObserver) {
+                documentObserver.disconnect();
+                documentObserver = null;
+            }
+
+            this._renderPending = false;
+            this.clearBlock();
+        }
+
+        attributeChangedCallback(attributeName, oldValue, newValue) {
+            if (oldValue !== newValue && this.isConnected) {
+                this.scheduleRender();
+            }
+        }
+
+        adoptStyles() {
+            const { cssText, sheet, links } = HighlightIt.getShadowStyles();
+
+            this.shadowRoot
+                .querySelectorAll('style, link[rel="stylesheet"]')
+                .forEach((style) => style.remove());
+
+            if (sheet) {
+                this.shadowRoot.adoptedStyleSheets = [sheet];
+            } else {
+                const style = document.createElement('style');
+                style.textContent = cssText;
+                this.shadowRoot.appendChild(style);
+            }
+
+            links.forEach((link) => this.shadowRoot.appendChild(link.cloneNode()));
+        }
+
+        scheduleRender() {
+            if (this._renderPending) return;
+            this._renderPending = true;
+
+            polyfills.requestAnimationFrame(() => {
+                if (!this._renderPending) return;
+                this._renderPending = false;
+                this.render();
+            });
+        }
+
+        clearBlock() {
+            if (!this.shadowRoot) return;
+
+            this.shadowRoot.querySelectorAll('.highlightit-container').forEach((container) => {
+                const restored = HighlightIt.destroy(container);
+                if (restored) restored.remove();
+            });
+
+            this._block = null;
+            this._attributes = null;
+        }
+
+        getBlockAttributes() {
+            const attributes = {};
+
+            cache.elementAttributes.forEach((attributeName) => {
+                if (this.hasAttribute(attributeName)) {
+                    attributes[attributeName] = this.getAttribute(attributeName);
+                }
+            });
+
+            const documentTheme = HighlightIt.getDocumentTheme();
+            if (!attributes.theme && documentTheme) {
+                attributes.theme = documentTheme;
+            }
+
+            return attributes;
+        }
+
+        updateBlock(attributes) {
+            const block = this._block;
+            if (!block || block.container._destroyed) return false;
+
+            const previous = this._attributes;
+            const changed = Object.keys({ ...previous, ...attributes }).filter(
+                (attributeName) => attributes[attributeName] !== previous[attributeName]
+            );
+
+            // Only the language, the theme and the code can change without a new block
+            if (changed.some((attributeName) => !['language', 'theme'].includes(attributeName))) {
+                return false;
+            }
+
+            if (changed.includes('language')) {
+                block.setLanguage(attributes.language || null);
+            }
+            if (changed.includes('theme')) {
+                block.setOptions({ theme: attributes.theme || null });
+            }
+            if (block.getCode() !== this.textContent.trim()) {
+                block.setCode(this.textContent);
+            }
+
+            this._attributes = attributes;
+            return true;
+        }
+
+        render() {
+            const attributes = this.getBlockAttributes();
+            if (this.updateBlock(attributes)) return;
+
+            this.clearBlock();
+
+            const block = document.createElement('div');
+            block.className = 'highlight-it';
+            block.textContent = this.textContent;
+
+            Object.keys(attributes).forEach((attributeName) => {
+                block.setAttribute(`data-${attributeName}`, attributes[attributeName]);
+            });
+
+            this.shadowRoot.appendChild(block);
+            this._block = HighlightIt.highlight(block);
+            this._attributes = attributes;
+        }
+    }
+
+    window.customElements.define(name, HighlightItElement);
+
+    return HighlightItElement;
 };
+
+if (typeof window !== 'undefined') {
+    HighlightIt.defineElement();
+}
@@ -2,26 +2,35 @@
  * Polyfills and browser compatibility helpers
  */
 
+const hasDocument = typeof document !== 'undefined';
+const hasWindow = typeof window !== 'undefined';
+const hasNavigator = typeof navigator !== 'undefined';
+
 const polyfills = {
     supports: {
         requestAnimationFrame: typeof requestAnimationFrame === 'function',
         ResizeObserver: typeof ResizeObserver === 'function',
         MutationObserver: typeof MutationObserver === 'function',
+        IntersectionObserver: typeof IntersectionObserver === 'function',
+        Worker: typeof Worker === 'function',
         classList:
+            hasDocument &&
             'classList' in document.documentElement &&
             typeof document.documentElement.classList !== 'undefined',
         dataset:
+            hasDocument &&
             'dataset' in document.documentElement &&
             typeof document.documentElement.dataset !== 'undefined',
-        clipboard: 'clipboard' in navigator,
+        clipboard: hasNavigator && 'clipboard' in navigator,
         clipboardItem: typeof ClipboardItem !== 'undefined',
         touch:
-            'ontouchstart' in window ||
-            navigator.maxTouchPoints > 0 ||
-            navigator.msMaxTouchPoints > 0,
-        getBoundingClientRect: 'getBoundingClientRect' in document.documentElement,
-        animation: 'Animation' in window && 'animate' in document.documentElement,
+            (hasWindow && 'ontouchstart' in window) ||
+            (hasNavigator && (navigator.maxTouchPoints > 0 || navigator.msMaxTouchPoints > 0)),
+        getBoundingClientRect: hasDocument && 'getBoundingClientRect' in document.documentElement,
+        animation: hasWindow && 'Animation' in window && 'animate' in document.documentElement,
         cssHas: (function () {
+            if (!hasDocument) return false;
+
             try {
                 document.querySelector(':has(*)');
                 return true;
@@ -29,13 +38,16 @@ const polyfills = {
                 return false;
             }
         })(),
-        download: typeof document.createElement('a').download !== 'undefined',
+        download: hasDocument && typeof document.createElement('a').download !== 'undefined',
         blob: typeof Blob !== 'undefined',
         URL: typeof URL !== 'undefined' && typeof URL.createObjectURL === 'function',
         TextEncoder: typeof TextEncoder !== 'undefined',
         crypto: typeof crypto !== 'undefined' && typeof crypto.subtle !== 'undefined',
         BigInt: typeof BigInt !== 'undefined',
         padStart: typeof String.prototype.padStart === 'function',
+        CustomEvent: typeof CustomEvent === 'function',
+        constructableStyleSheets:
+            typeof CSSStyleSheet !== 'undefined' && 'replaceSync' in CSSStyleSheet.prototype,
     },
 
     initStringPadding: function () {
@@ -75,6 +87,12 @@ const polyfills = {
     },
 
     requestAnimationFrame: (function () {
+        if (!hasWindow) {
+            return function (callback) {
+                return setTimeout(callback, 1000 / 60);
+            };
+        }
+
         return (
             window.requestAnimationFrame ||
             window.webkitRequestAnimationFrame ||
@@ -681,6 +699,23 @@ const polyfills = {
         };
     },
 
+    /**
+     * Create a CustomEvent, falling back to initCustomEvent in older browsers
+     *
+     * @param {string} type - The event type
+     * @param {Object} [options] - The bubbles, cancelable, composed and detail options
+     * @returns {CustomEvent} - The event
+     */
+    createCustomEvent: function (type, options = {}) {
+        if (this.supports.CustomEvent) {
+            return new CustomEvent(type, options);
+        }
+
+        const event = document.createEvent('CustomEvent');
+        event.initCustomEvent(type, !!options.bubbles, !!options.cancelable, options.detail);
+        return event;
+    },
+
     /**
      * Helper to check if a container has an element with a certain class
      * Used as a fallback for browsers that don't support :has() selector